@@ -0,0 +1,236 @@
+import express from 'express';
+import { loadConfig } from './config.js';
+import { createSupabaseGetter, createSessionClientFactory } from './supabase.js';
+import { createParaClient } from './para.js';
+import { createSupabaseStore } from './stores/index.js';
+import { createWalletService } from './wallets.js';
+import { createAuthenticator } from './auth.js';
+import { createConfirmationTracker } from './tracker.js';
+import { createDepositWatcher } from './deposits.js';
+import { createWalletProvisioner } from './provisioner.js';
+import { createWebhookService } from './webhooks.js';
+import { createChainRegistry } from './chains.js';
+import { createTransferService } from './transfers.js';
+import { createNonceManager } from './nonces.js';
+import { createPolicyEngine } from './policy.js';
+import { createApprovalService } from './approvals.js';
+import { createMailer } from './mailer.js';
+import { createAuditLog } from './audit.js';
+import { createRateLimiter } from './rate-limit.js';
+import { createMetrics } from './metrics.js';
+import { logger, logRequests } from './logger.js';
+import { createMemoryRateLimitStore } from './stores/rate-limits.js';
+import { ApiError, createErrorHandler } from './errors.js';
+import { assignRequestId, trackRequest } from './request-id.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createWalletRouter } from './routes/wallet.js';
+import { createSendRouter } from './routes/send.js';
+import { createTransactionsRouter } from './routes/transactions.js';
+import { createPolicyRouter } from './routes/policy.js';
+import { createRecipientsRouter } from './routes/recipients.js';
+import { createWebhooksRouter } from './routes/webhooks.js';
+import { createApprovalsRouter } from './routes/approvals.js';
+import { createMfaRouter } from './routes/mfa.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createMetricsRouter } from './routes/metrics.js';
+
+// Build the Express app shared by server.js (local) and api/handler.js (Vercel).
+//
+// Every dependency can be injected so tests can swap in fakes:
+//   supabase - Supabase client, or a function returning one (lazy)
+//   para     - Para client (see lib/para.js)
+//   provider - ethers provider used for every chain, or (chain) => provider
+//   store    - repositories (see lib/stores/index.js)
+//   config   - see lib/config.js
+export function createApp({ supabase, para, provider, store, config = loadConfig() } = {}) {
+  const getSupabaseClient =
+    typeof supabase === 'function'
+      ? supabase
+      : supabase
+        ? () => supabase
+        : createSupabaseGetter(config);
+  // Sign-in and refresh get a fresh client each time (see lib/supabase.js);
+  // an injected client is used as-is
+  const getSessionClient = supabase ? getSupabaseClient : createSessionClientFactory(config);
+
+  // The logger is process-wide (lib/logger.js)
+  logger.setLevel(config.logLevel);
+  const metrics = createMetrics();
+
+  para = para || createParaClient(config, { metrics });
+  store = store || createSupabaseStore(getSupabaseClient);
+  const chains = createChainRegistry(config.chains, config.defaultChain, { provider, metrics });
+  const nonces = createNonceManager({ chains, store, config });
+  const wallets = createWalletService({ para, chains, store, config });
+  const webhooks = createWebhookService({ store, config });
+  const policies = createPolicyEngine({ chains, store, config });
+  const audit = createAuditLog({ store });
+  const transfers = createTransferService({
+    chains,
+    para,
+    store,
+    nonces,
+    webhooks,
+    audit,
+    config,
+  });
+  const mailer = createMailer(config);
+
+  metrics.gauge('pending_transactions', 'Sent transactions not yet mined, by chain', () =>
+    Promise.all(
+      chains.list().map(async (chain) => {
+        const { total } = await store.transactions.list({
+          status: 'pending',
+          chainId: chain.chainId,
+          limit: 1,
+        });
+        return { labels: { chain: chain.key }, value: total };
+      })
+    )
+  );
+
+  const ctx = {
+    config,
+    metrics,
+    getSupabaseClient,
+    getSessionClient,
+    para,
+    chains,
+    store,
+    wallets,
+    webhooks,
+    provisioner: createWalletProvisioner({ para, store, wallets, webhooks, audit, config }),
+    nonces,
+    policies,
+    transfers,
+    approvals: createApprovalService({
+      chains,
+      store,
+      wallets,
+      transfers,
+      policies,
+      mailer,
+      config,
+    }),
+    auth: createAuthenticator({ getSupabaseClient, config }),
+    audit,
+    // Per-process counters unless RATE_LIMIT_STORE=supabase
+    rateLimiter: createRateLimiter({
+      store:
+        config.rateLimitStore === 'supabase' ? store.rateLimits : createMemoryRateLimitStore(),
+      config,
+    }),
+    tracker: createConfirmationTracker({ chains, store, webhooks, config }),
+    deposits: createDepositWatcher({ chains, store, webhooks, config }),
+  };
+
+  const app = express();
+  app.set('trust proxy', config.trustProxy);
+  // Long-running hosts start the background workers via
+  // app.locals.tracker.start(), .deposits.start(), .provisioner.start() and
+  // .webhooks.start()
+  app.locals.tracker = ctx.tracker;
+  app.locals.deposits = ctx.deposits;
+  app.locals.provisioner = ctx.provisioner;
+  app.locals.webhooks = ctx.webhooks;
+  app.use(assignRequestId);
+  app.use(logRequests);
+  app.use(metrics.observeRequests);
+  app.use(express.json());
+  app.use(trackRequest);
+
+  // Serve static files from public directory
+  if (config.publicDir) {
+    app.use(express.static(config.publicDir));
+  }
+
+  app.get('/api', (req, res) => {
+    res.json({
+      status: '✅ OK',
+      service: 'Fintech Backend (Supabase + Para)',
+      version: '2.0.0',
+      endpoints: {
+        'POST /api/signup': 'Create user; their wallet is provisioned in the background',
+        'POST /api/login': 'Authenticate user, return access + refresh tokens',
+        'POST /api/auth/refresh': 'Exchange a refresh_token for a new access token',
+        'POST /api/auth/logout': 'End the session; body { scope: local|global|others } (requires Bearer token)',
+        'GET /api/wallet': 'Fetch wallet address + ETH and token balances, or its provisioning status; ?chain=<key|id|all> (requires Bearer token)',
+        'POST /api/wallet/provision': 'Retry creating your wallet if it failed or is still pending (requires Bearer token)',
+        'POST /api/send': 'Build, sign, broadcast ETH or token transfer to an address or recipient_id; 202 pending_approval above the approval threshold (requires Bearer token)',
+        'POST /api/send/quote': 'Estimate gas + fees for a send and return a short-lived quote_id (requires Bearer token)',
+        'GET /api/wallet/nonces': 'Nonce state, gaps and stuck transactions; ?chain (requires Bearer token)',
+        'POST /api/wallet/nonces/repair': 'Fill nonce gaps with 0-value self-transfers (requires Bearer token)',
+        'GET /api/transactions': 'List sent and received transactions; ?direction, status, chain, since, until, limit, offset (requires Bearer token)',
+        'GET /api/transactions/:hash': 'Fetch one send or deposit from the ledger (requires Bearer token)',
+        'POST /api/transactions/:hash/speedup': 'Re-send a pending transaction with higher fees (requires Bearer token)',
+        'POST /api/transactions/:hash/cancel': 'Replace a pending transaction with a 0-value self-transfer (requires Bearer token)',
+        'GET /api/recipients': 'List saved recipients (requires Bearer token)',
+        'POST /api/recipients': 'Save a recipient; body { label, address, chain, notes } (requires Bearer token)',
+        'GET /api/recipients/:id': 'Fetch one saved recipient (requires Bearer token)',
+        'PATCH /api/recipients/:id': 'Update a saved recipient (requires Bearer token)',
+        'DELETE /api/recipients/:id': 'Delete a saved recipient (requires Bearer token)',
+        'GET /api/webhooks': 'List your webhook endpoints (requires Bearer token)',
+        'POST /api/webhooks': 'Register a webhook; body { url, events, description } (requires Bearer token)',
+        'GET /api/webhooks/:id': 'Fetch one webhook endpoint (requires Bearer token)',
+        'PATCH /api/webhooks/:id': 'Update a webhook\'s url, events, description or active flag (requires Bearer token)',
+        'DELETE /api/webhooks/:id': 'Delete a webhook endpoint (requires Bearer token)',
+        'GET /api/webhooks/:id/deliveries': 'Delivery log; ?status, limit, offset (requires Bearer token)',
+        'POST /api/webhooks/:id/deliveries/:deliveryId/replay': 'Send a delivery again (requires Bearer token)',
+        'GET /api/policy': 'Effective transfer policy and rolling limit usage (requires Bearer token)',
+        'POST /api/policy/allowlist': 'Allow a recipient; body { address, label } (requires Bearer token)',
+        'DELETE /api/policy/allowlist/:address': 'Remove an allowed recipient (requires Bearer token)',
+        'POST /api/policy/denylist': 'Block a recipient; body { address } (requires Bearer token)',
+        'DELETE /api/policy/denylist/:address': 'Unblock a recipient (requires Bearer token)',
+        'GET /api/approvals': 'Sends waiting for approval; ?status, limit, offset (requires Bearer token)',
+        'GET /api/approvals/:id': 'Fetch one approval request (requires Bearer token)',
+        'POST /api/approvals/:id/confirm': 'Approve and send with an authenticator code; body { code } (requires Bearer token)',
+        'POST /api/approvals/:id/email': 'Email a fresh approval link (requires Bearer token)',
+        'POST /api/approvals/:id/cancel': 'Cancel a send waiting for approval (requires Bearer token)',
+        'POST /api/approvals/confirm-link': 'Approve and send with the emailed link; body { token }',
+        'GET /api/mfa': 'Second-factor enrollment status (requires Bearer token)',
+        'POST /api/mfa/totp': 'Start authenticator app enrollment; body { password } (requires Bearer token)',
+        'POST /api/mfa/totp/verify': 'Finish enrollment with a code from the app; body { code } (requires Bearer token)',
+        'DELETE /api/mfa/totp': 'Remove the authenticator app; body { code } (requires Bearer token)',
+        'GET /api/admin/users': 'Users with wallets, balances and freezes; ?page, per_page, chain (requires admin)',
+        'GET /api/admin/users/:id': 'One user with balances on every chain (requires admin)',
+        'POST /api/admin/users/:id/freeze': 'Stop a user from sending; body { reason } (requires admin)',
+        'DELETE /api/admin/users/:id/freeze': 'Let a frozen user send again (requires admin)',
+        'POST /api/admin/users/:id/provision': 'Retry creating a user\'s wallet (requires admin)',
+        'GET /api/admin/transactions': 'Search sends and deposits; ?address, hash, user_id, direction, status, chain, since, until, limit, offset (requires admin)',
+        'GET /api/admin/export/:dataset': 'Export users, transactions, deposits or audit; ?format=json|csv, since, until (requires admin)',
+        'GET /api/admin/audit': 'Hash-chained audit log of sign-ups, logins, wallets, signing, broadcasts and admin actions; ?actor_id, action, user_id, outcome, request_id, ip, since, until, limit, offset (requires admin)',
+        'GET /api/metrics': 'Prometheus metrics (Bearer METRICS_TOKEN when set)',
+      },
+      chains: chains.list().map((c) => c.key),
+      aliases: 'Every endpoint is also served without the /api prefix (e.g. POST /signup)',
+      docs: 'https://github.com/prajalsharma/fintech-backend-para',
+    });
+  });
+
+  const api = express.Router();
+  api.use(createAuthRouter(ctx));
+  api.use(createWalletRouter(ctx));
+  api.use(createSendRouter(ctx));
+  api.use(createTransactionsRouter(ctx));
+  api.use(createPolicyRouter(ctx));
+  api.use(createRecipientsRouter(ctx));
+  api.use(createWebhooksRouter(ctx));
+  api.use(createApprovalsRouter(ctx));
+  api.use(createMfaRouter(ctx));
+  api.use(createAdminRouter(ctx));
+  api.use(createMetricsRouter(ctx));
+
+  // Canonical routes live under /api; the old unprefixed paths stay as aliases
+  app.use('/api', api);
+  app.use(api);
+
+  app.use((req, res, next) => {
+    next(new ApiError('NOT_FOUND', { details: { path: req.path, method: req.method } }));
+  });
+
+  // Every error, thrown by a route or passed to next(), is answered here
+  // (see lib/errors.js)
+  app.use(createErrorHandler(config));
+
+  return app;
+}
@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import { ApiError, toApiError } from './errors.js';
+import { verifyTotp } from './totp.js';
+import { invalidRequest } from './validation.js';
+import { logger } from './logger.js';
+
+// Two-step sends. A send above the user's approval_threshold (lib/policy.js)
+// isn't signed right away: it becomes a transfer approval in
+// 'pending_approval', confirmed with
+//   totp  - a code from the authenticator app, if the user enrolled one
+//           (POST /mfa/totp), or else
+//   email - a one-time link mailed to the account's address
+// within approvalTtlMs. Confirming re-prices the transfer and checks funds and
+// policy again before signing. approvalMaxAttempts wrong codes cancel it.
+//
+//   pending_approval -> approved -> executed | failed
+//                    -> expired | cancelled
+
+export const APPROVAL_STATUSES = [
+  'pending_approval',
+  'approved',
+  'executed',
+  'failed',
+  'expired',
+  'cancelled',
+];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function createApprovalService({
+  chains,
+  store,
+  wallets,
+  transfers,
+  policies,
+  mailer,
+  config,
+}) {
+  function describe(approval) {
+    const chain = chains.find(approval.chain_id);
+    return {
+      id: approval.id,
+      status: approval.status,
+      method: approval.method,
+      chain: chain?.key ?? null,
+      to: approval.to_address,
+      amount: approval.amount,
+      token: approval.token_symbol ?? chain?.nativeSymbol ?? null,
+      fee_tier: approval.fee_tier,
+      attempts: approval.attempts,
+      expires_at: approval.expires_at,
+      approved_at: approval.approved_at,
+      transaction_hash: approval.transaction_hash,
+      error: approval.error,
+      created_at: approval.created_at,
+    };
+  }
+
+  // Mail a fresh one-time link; an earlier link stops working. Resolves to
+  // whether the mail server took it.
+  async function sendLink(email, approval) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await store.approvals.update(approval.id, { email_token_hash: hashToken(token) });
+
+    const link = `${config.appUrl}/?approval=${token}`;
+    const { amount, to_address: to } = approval;
+    const asset = describe(approval).token;
+    try {
+      await mailer.send({
+        to: email,
+        subject: `Approve your transfer of ${amount} ${asset}`,
+        text: [
+          `A transfer of ${amount} ${asset} to ${to} is waiting for your approval.`,
+          '',
+          `Approve it: ${link}`,
+          '',
+          `The link works once and expires at ${approval.expires_at}.`,
+          "If you didn't make this transfer, ignore this email and change your password.",
+        ].join('\n'),
+      });
+      return true;
+    } catch (err) {
+      logger.error('Approval email error', { approval_id: approval.id, error: err.message });
+      return false;
+    }
+  }
+
+  // Hold a prepared transfer for approval. `user` is req.user.
+  async function request(user, wallet, transfer) {
+    const mfa = await store.mfa.get(user.id);
+    const approval = await store.approvals.create({
+      id: crypto.randomUUID(),
+      user_id: user.id,
+      wallet_id: wallet.wallet_id,
+      chain_id: transfer.chain.chainId,
+      to_address: transfer.to,
+      amount: transfer.amount,
+      token_symbol: transfer.asset?.symbol ?? null,
+      fee_tier: transfer.tier,
+      method: mfa?.confirmed_at ? 'totp' : 'email',
+      expires_at: new Date(Date.now() + config.approvalTtlMs).toISOString(),
+    });
+
+    if (approval.method === 'totp') return describe(approval);
+    return { ...describe(approval), email_sent: await sendLink(user.email, approval) };
+  }
+
+  // The user's approval, with a lapsed request reported as expired
+  async function get(userId, id) {
+    await store.approvals.expire(userId);
+    const approval = await store.approvals.get(userId, id);
+    if (!approval) throw new ApiError('APPROVAL_NOT_FOUND');
+    return approval;
+  }
+
+  async function list(userId, options) {
+    await store.approvals.expire(userId);
+    const { approvals, total } = await store.approvals.list(userId, options);
+    return { approvals: approvals.map(describe), total };
+  }
+
+  function assertPending(approval) {
+    if (approval.status === 'expired') throw new ApiError('APPROVAL_EXPIRED');
+    if (approval.status !== 'pending_approval') {
+      throw new ApiError('APPROVAL_NOT_PENDING', {
+        message: `Approval is no longer pending (status: ${approval.status})`,
+      });
+    }
+  }
+
+  // Price, check and broadcast the approved transfer
+  async function send(approval) {
+    const userId = approval.user_id;
+    const chain = chains.find(approval.chain_id);
+    if (!chain) {
+      throw new ApiError('CHAIN_NOT_CONFIGURED', {
+        message: `Chain ${approval.chain_id} is no longer configured`,
+      });
+    }
+    const asset = approval.token_symbol ? chain.tokens.find(approval.token_symbol) : null;
+
+    const wallet = await wallets.resolveWallet(userId, approval.wallet_id);
+    if (!wallet) throw new ApiError('WALLET_NOT_FOUND');
+
+    const transfer = await transfers.prepareTransfer({
+      chain,
+      asset,
+      from: wallet.address,
+      to: approval.to_address,
+      amount: approval.amount,
+      tier: approval.fee_tier,
+    });
+    if (!transfer.funds.sufficient) {
+      throw new ApiError('INSUFFICIENT_FUNDS', { details: transfers.describeCosts(transfer) });
+    }
+
+    return policies.withLock(userId, async () => {
+      await policies.assertCanSend(userId);
+      const { allowed, violations } = await policies.evaluate(userId, transfer);
+      if (!allowed) throw new ApiError('POLICY_DENIED', { details: { violations } });
+      return transfers.executeTransfer(userId, wallet, transfer);
+    });
+  }
+
+  // Claim a pending approval and send it; resolves to the /send response
+  async function execute(approval) {
+    const approved = await store.approvals.resolve(approval.id, {
+      status: 'approved',
+      approved_at: new Date().toISOString(),
+    });
+    if (!approved) throw new ApiError('APPROVAL_NOT_PENDING');
+
+    try {
+      const result = await send(approved);
+      await store.approvals.update(approved.id, {
+        status: 'executed',
+        transaction_hash: result.transaction_hash,
+      });
+      return { ...result, approval_id: approved.id };
+    } catch (err) {
+      await store.approvals.update(approved.id, {
+        status: 'failed',
+        error: toApiError(err).message,
+      });
+      throw err;
+    }
+  }
+
+  async function confirmWithCode(userId, id, code) {
+    const approval = await get(userId, id);
+    assertPending(approval);
+    if (approval.method !== 'totp') {
+      const message = 'this transfer is approved through the link emailed to you';
+      throw invalidRequest([{ field: 'code', message }]);
+    }
+
+    const mfa = await store.mfa.get(userId);
+    const step = mfa?.confirmed_at
+      ? verifyTotp(mfa.totp_secret, code, { after: mfa.last_used_step ?? -1 })
+      : null;
+
+    if (step === null || !(await store.mfa.useStep(userId, step))) {
+      const attempts = approval.attempts + 1;
+      const attemptsLeft = Math.max(config.approvalMaxAttempts - attempts, 0);
+      await store.approvals.update(approval.id, {
+        attempts,
+        ...(attemptsLeft ? {} : { status: 'cancelled', error: 'Too many wrong codes' }),
+      });
+      throw new ApiError('MFA_CODE_INVALID', { details: { attempts_left: attemptsLeft } });
+    }
+
+    return execute(approval);
+  }
+
+  // The emailed link stands in for the bearer token: whoever holds it approves
+  async function confirmWithToken(token) {
+    const approval = await store.approvals.findByTokenHash(hashToken(token));
+    if (!approval) throw new ApiError('APPROVAL_NOT_FOUND');
+    if (approval.status === 'pending_approval' && new Date(approval.expires_at) <= new Date()) {
+      throw new ApiError('APPROVAL_EXPIRED');
+    }
+    assertPending(approval);
+    return execute(approval);
+  }
+
+  async function resendLink(user, id) {
+    const approval = await get(user.id, id);
+    assertPending(approval);
+    if (approval.method !== 'email') {
+      const message = 'this transfer is approved with a code from your authenticator app';
+      throw invalidRequest([{ field: 'method', message }]);
+    }
+    return { ...describe(approval), email_sent: await sendLink(user.email, approval) };
+  }
+
+  async function cancel(userId, id) {
+    assertPending(await get(userId, id));
+    const cancelled = await store.approvals.resolve(id, { status: 'cancelled' });
+    if (!cancelled) throw new ApiError('APPROVAL_NOT_PENDING');
+    return describe(cancelled);
+  }
+
+  return {
+    describe,
+    request,
+    get,
+    list,
+    confirmWithCode,
+    confirmWithToken,
+    resendLink,
+    cancel,
+  };
+}
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { currentRequest } from './request-id.js';
+import * as v from './validation.js';
+import { logger } from './logger.js';
+
+// Audit log of security-relevant actions (signups, logins, wallet creation,
+// signing, broadcasts) and every admin request, kept in the append-only
+// audit_log table (lib/stores/audit.js). Each entry says who did what to
+// whom, from where, and whether it worked:
+//   { seq, actor_type, actor_id, action, target_user_id, outcome, status, ip,
+//     user_agent, request_id, details, created_at, prev_hash, hash }
+//
+// Entries are hash-chained: `hash` is the SHA-256 of the previous entry's
+// hash and this entry's fields, so editing, inserting or removing an entry
+// breaks every hash after it. verify() walks the chain.
+//
+// record() never throws: a failed write is logged and the action goes ahead.
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by `hash`; `id` is assigned by the database and isn't
+const HASHED_FIELDS = [
+  'seq',
+  'actor_type',
+  'actor_id',
+  'action',
+  'target_user_id',
+  'outcome',
+  'status',
+  'ip',
+  'user_agent',
+  'request_id',
+  'details',
+  'created_at',
+  'prev_hash',
+];
+
+// Two writers that read the same head both pick its seq + 1; the store
+// refuses the second, which reads the new head and tries again
+const MAX_APPEND_ATTEMPTS = 5;
+const VERIFY_PAGE = 500;
+
+// JSON with object keys sorted, so the hash doesn't depend on the key order
+// the database hands back (jsonb reorders them)
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, inner) =>
+    inner && typeof inner === 'object' && !Array.isArray(inner)
+      ? Object.fromEntries(
+          Object.keys(inner)
+            .sort()
+            .map((k) => [k, inner[k]])
+        )
+      : inner
+  );
+}
+
+export function hashEntry(entry) {
+  const fields = Object.fromEntries(HASHED_FIELDS.map((field) => [field, entry[field] ?? null]));
+  // Postgres echoes timestamps in its own format
+  fields.created_at = new Date(entry.created_at).toISOString();
+  fields.seq = Number(entry.seq);
+  return crypto.createHash('sha256').update(canonicalJson(fields)).digest('hex');
+}
+
+// Who made the request: an admin (key or user), a signed-in user, nobody, or
+// no request at all (background workers)
+function actorOf(req) {
+  if (!req) return { actor_type: 'system', actor_id: null };
+  if (req.admin) return { actor_type: req.admin.type, actor_id: req.admin.id };
+  if (req.user) return { actor_type: 'user', actor_id: req.user.id };
+  return { actor_type: 'anonymous', actor_id: null };
+}
+
+// A target that isn't a user id (mistyped, probing) is left in details
+function userId(value) {
+  try {
+    return value ? v.uuid()(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function createAuditLog({ store }) {
+  // Appends from this process go one at a time so they don't race each other
+  let queue = Promise.resolve();
+
+  async function append(entry) {
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const head = await store.audit.head();
+      const row = {
+        ...entry,
+        seq: Number(head?.seq ?? 0) + 1,
+        prev_hash: head?.hash ?? GENESIS_HASH,
+        created_at: new Date().toISOString(),
+      };
+      row.hash = hashEntry(row);
+
+      const saved = await store.audit.append(row);
+      if (saved) return saved;
+    }
+    throw new Error(`Audit log head kept moving (${MAX_APPEND_ATTEMPTS} attempts)`);
+  }
+
+  // Records `action` for the current request (or `req`). `outcome` defaults
+  // to the HTTP status when there is one.
+  async function record(
+    action,
+    { targetUserId = null, status = null, outcome, details = {} } = {},
+    req = currentRequest()
+  ) {
+    const entry = {
+      ...actorOf(req),
+      action,
+      target_user_id: targetUserId,
+      outcome: outcome ?? (status !== null && status >= 400 ? 'failure' : 'success'),
+      status,
+      ip: req?.ip ?? null,
+      user_agent: req?.headers['user-agent'] ?? null,
+      request_id: req?.id ?? null,
+      // Hashed as stored: no undefined, dates as strings
+      details: JSON.parse(JSON.stringify(details)),
+    };
+
+    const appended = queue.then(() => append(entry));
+    queue = appended.catch(() => {});
+    try {
+      return await appended;
+    } catch (err) {
+      logger.error('Audit log error', { action, request_id: entry.request_id, error: err.message });
+      return null;
+    }
+  }
+
+  // Express middleware: records the request as `action` once it has been
+  // answered, successful or not. Put it before the auth check so refused
+  // attempts are recorded too. `describe(req)` adds details; the target is the
+  // route's :id unless the route sets res.locals.audit = { targetUserId, details }.
+  function audited(action, describe = () => ({})) {
+    return (req, res, next) => {
+      const fromParams = userId(req.params.id);
+      const stray = req.params.id && !fromParams ? { id: req.params.id } : {};
+      const details = { ...stray, ...describe(req) };
+      res.on('finish', () => {
+        const extra = res.locals.audit ?? {};
+        record(
+          action,
+          {
+            targetUserId: extra.targetUserId ?? fromParams,
+            status: res.statusCode,
+            details: { ...details, ...extra.details },
+          },
+          req
+        );
+      });
+      next();
+    };
+  }
+
+  function list(filters) {
+    return store.audit.list(filters);
+  }
+
+  // Walks the chain from the first entry. Stops at the first entry whose seq,
+  // prev_hash or hash doesn't check out:
+  //   { valid, checked, head: { seq, hash } | null, broken_at?: { id, seq, reason } }
+  // Entries written before the chain existed (no seq) aren't covered.
+  async function verify({ pageSize = VERIFY_PAGE } = {}) {
+    let previous = { seq: 0, hash: GENESIS_HASH };
+    let checked = 0;
+
+    for (;;) {
+      const rows = await store.audit.chain({ afterSeq: previous.seq, limit: pageSize });
+      for (const row of rows) {
+        const seq = Number(row.seq);
+        let reason = null;
+        if (seq !== previous.seq + 1) reason = `expected seq ${previous.seq + 1}`;
+        else if (row.prev_hash !== previous.hash) reason = 'prev_hash does not match';
+        else if (hashEntry(row) !== row.hash) reason = 'hash does not match contents';
+
+        if (reason) {
+          return {
+            valid: false,
+            checked,
+            head: checked ? previous : null,
+            broken_at: { id: row.id, seq, reason },
+          };
+        }
+        previous = { seq, hash: row.hash };
+        checked++;
+      }
+      if (rows.length < pageSize) break;
+    }
+
+    return { valid: true, checked, head: checked ? previous : null };
+  }
+
+  return { record, audited, list, verify };
+}
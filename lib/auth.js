@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { createJwtVerifier } from './jwt.js';
+import { ApiError } from './errors.js';
+import { logger } from './logger.js';
+
+// How long a getUser() answer is trusted when a token can't be checked locally
+const LOOKUP_CACHE_MS = 60 * 1000;
+const LOOKUP_CACHE_MAX = 1000;
+
+const AUTH_ERRORS = {
+  missing: 'AUTH_MISSING',
+  expired: 'AUTH_EXPIRED',
+  invalid: 'AUTH_INVALID',
+};
+
+export const LOGOUT_SCOPES = ['local', 'global', 'others'];
+
+// Constant-time comparison of two strings of any length
+export function sameSecret(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+export function bearerToken(req) {
+  return req.headers.authorization?.split(' ')[1] || null;
+}
+
+// Authenticates requests with Supabase access tokens.
+//
+// Tokens are verified locally against SUPABASE_JWT_SECRET or the project's
+// JWKS. When neither can vouch for a token we fall back to auth.getUser(),
+// caching the answer briefly so a burst of requests costs one round trip.
+//
+// Note: logged-out sessions are remembered in-process only; other instances
+// accept their access tokens until they expire.
+export function createAuthenticator({ getSupabaseClient, config }) {
+  const jwt = createJwtVerifier(config);
+  const lookups = new Map(); // sha256(token) -> { user, expiresAt }
+  const revoked = new Map(); // session_id -> expiry (ms)
+
+  function cacheKey(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  function sweep(map, now) {
+    for (const [key, value] of map) {
+      if ((value.expiresAt ?? value) <= now) map.delete(key);
+    }
+  }
+
+  async function lookupUser(token, claims) {
+    const key = cacheKey(token);
+    const cached = lookups.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+    try {
+      const client = getSupabaseClient();
+      const {
+        data: { user },
+        error,
+      } = await client.auth.getUser(token);
+      if (error || !user) return null;
+
+      const now = Date.now();
+      if (lookups.size >= LOOKUP_CACHE_MAX) sweep(lookups, now);
+      lookups.set(key, {
+        user,
+        expiresAt: Math.min(now + LOOKUP_CACHE_MS, claims.exp * 1000),
+      });
+      return user;
+    } catch (err) {
+      logger.error('Token verification error', { error: err.message });
+      return null;
+    }
+  }
+
+  // Resolves to { user: { id, email, role, session_id, expires_at } } or
+  // { error: 'missing' | 'expired' | 'invalid' }
+  async function verifyToken(token) {
+    if (!token) return { error: 'missing' };
+
+    const { claims, unverified, error } = await jwt.verify(token);
+    if (error) return { error };
+
+    if (unverified && !(await lookupUser(token, claims))) return { error: 'invalid' };
+    if (claims.session_id && revoked.has(claims.session_id)) return { error: 'invalid' };
+
+    return {
+      user: {
+        id: claims.sub,
+        email: claims.email ?? null,
+        role: claims.role ?? null,
+        // Set by operators in Supabase (auth.users.raw_app_meta_data)
+        app_role: claims.app_metadata?.role ?? null,
+        session_id: claims.session_id ?? null,
+        expires_at: claims.exp,
+      },
+    };
+  }
+
+  // Reject a session's access tokens from now on (until they'd expire anyway)
+  function revokeSession(token, user) {
+    lookups.delete(cacheKey(token));
+    if (!user.session_id) return;
+
+    const now = Date.now();
+    sweep(revoked, now);
+    revoked.set(user.session_id, user.expires_at * 1000);
+  }
+
+  // Express middleware: 401 unless the request carries a valid Bearer token;
+  // sets req.user and req.token
+  async function requireAuth(req, res, next) {
+    try {
+      const token = bearerToken(req);
+      const { user, error } = await verifyToken(token);
+
+      if (!user) {
+        return next(new ApiError(AUTH_ERRORS[error]));
+      }
+
+      req.user = user;
+      req.token = token;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // Express middleware for the admin API: the X-Admin-Key header, or a valid
+  // Bearer token whose app_role is in config.adminRoles. Sets req.admin to
+  // { type: 'admin_key' | 'user', id, email }.
+  async function requireAdmin(req, res, next) {
+    const key = req.headers['x-admin-key'];
+    if (key) {
+      if (!config.adminApiKey || !sameSecret(key, config.adminApiKey)) {
+        return next(new ApiError('AUTH_INVALID', { message: 'Invalid admin key' }));
+      }
+      req.admin = { type: 'admin_key', id: null, email: null };
+      return next();
+    }
+
+    await requireAuth(req, res, (err) => {
+      if (err) return next(err);
+      if (!config.adminRoles.includes(req.user.app_role)) {
+        return next(new ApiError('ADMIN_FORBIDDEN'));
+      }
+      req.admin = { type: 'user', id: req.user.id, email: req.user.email };
+      next();
+    });
+  }
+
+  return { verifyToken, requireAuth, requireAdmin, revokeSession };
+}
@@ -0,0 +1,181 @@
+import { ethers } from 'ethers';
+import { createTokenRegistry } from './tokens.js';
+import { logger } from './logger.js';
+import { currentRequest } from './request-id.js';
+
+// Chains this deployment knows how to talk to. Enable them with CHAINS
+// (comma-separated keys) and override an RPC endpoint with RPC_URL_<KEY>,
+// e.g. RPC_URL_BASE_SEPOLIA.
+export const KNOWN_CHAINS = {
+  sepolia: {
+    chainId: 11155111,
+    name: 'Sepolia',
+    rpcUrl: (env) => `https://eth-sepolia.g.alchemy.com/v2/${env.INFURA_KEY}`,
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeSymbol: 'ETH',
+    eip1559: true,
+  },
+  'base-sepolia': {
+    chainId: 84532,
+    name: 'Base Sepolia',
+    rpcUrl: () => 'https://sepolia.base.org',
+    explorerUrl: 'https://sepolia.basescan.org',
+    nativeSymbol: 'ETH',
+    eip1559: true,
+  },
+  'arbitrum-sepolia': {
+    chainId: 421614,
+    name: 'Arbitrum Sepolia',
+    rpcUrl: () => 'https://sepolia-rollup.arbitrum.io/rpc',
+    explorerUrl: 'https://sepolia.arbiscan.io',
+    nativeSymbol: 'ETH',
+    eip1559: true,
+  },
+  // Anvil / Hardhat devnet
+  local: {
+    chainId: 31337,
+    name: 'Local Devnet',
+    rpcUrl: () => 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    nativeSymbol: 'ETH',
+    eip1559: true,
+  },
+};
+
+function rpcEnvName(key) {
+  return `RPC_URL_${key.toUpperCase().replace(/-/g, '_')}`;
+}
+
+// Build the enabled chain list from CHAINS, attaching each chain's tokens
+export function parseChains(env, tokens = []) {
+  const keys = (env.CHAINS || 'sepolia')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+  return keys.map((key) => {
+    const known = KNOWN_CHAINS[key];
+    if (!known) {
+      throw new Error(
+        `Unknown chain "${key}" in CHAINS. Known chains: ${Object.keys(KNOWN_CHAINS).join(', ')}`
+      );
+    }
+    return {
+      ...known,
+      key,
+      rpcUrl: env[rpcEnvName(key)] || known.rpcUrl(env),
+      tokens: tokens.filter((t) => t.chain === key),
+    };
+  });
+}
+
+// Node calls timed and logged by instrument()
+const RPC_METHODS = new Set([
+  'broadcastTransaction',
+  'call',
+  'estimateGas',
+  'getBalance',
+  'getBlock',
+  'getBlockNumber',
+  'getFeeData',
+  'getLogs',
+  'getTransaction',
+  'getTransactionCount',
+  'getTransactionReceipt',
+]);
+
+// JSON-RPC provider whose HTTP requests carry the current X-Request-Id
+function createRpcProvider(chain) {
+  const connection = new ethers.FetchRequest(chain.rpcUrl);
+  connection.preflightFunc = async (request) => {
+    const requestId = currentRequest()?.id;
+    if (requestId) request.setHeader('X-Request-Id', requestId);
+    return request;
+  };
+  return new ethers.JsonRpcProvider(connection, chain.chainId, { staticNetwork: true });
+}
+
+// The provider with its RPC_METHODS timed in `metrics` and failures logged.
+// Methods run on the provider itself (ethers keeps private fields).
+function instrument(provider, chain, metrics) {
+  return new Proxy(provider, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (typeof value !== 'function' || !RPC_METHODS.has(property)) return value;
+
+      return async (...args) => {
+        const started = Date.now();
+        const call = () => value.apply(target, args);
+        try {
+          const result = metrics ? await metrics.timeRpc(chain.key, property, call) : await call();
+          logger.debug('RPC call', {
+            chain: chain.key,
+            method: property,
+            duration_ms: Date.now() - started,
+          });
+          return result;
+        } catch (err) {
+          logger.warn('RPC call failed', {
+            chain: chain.key,
+            method: property,
+            duration_ms: Date.now() - started,
+            code: err.code ?? null,
+            error: err.shortMessage ?? err.message,
+          });
+          throw err;
+        }
+      };
+    },
+  });
+}
+
+// Registry of enabled chains with one lazily-created provider each.
+//
+// `provider` (optional) overrides provider creation: either a single
+// provider used for every chain, or a function (chain) => provider. Either
+// way node calls are timed in `metrics` and logged with the request id.
+export function createChainRegistry(chains, defaultKey, { provider, metrics } = {}) {
+  const entries = chains.map((chain) => ({ ...chain, tokens: createTokenRegistry(chain.tokens) }));
+  const providers = new Map();
+
+  const fallback = entries.find((c) => c.key === defaultKey) || entries[0];
+  if (!fallback) {
+    throw new Error('No chains configured. Set CHAINS, e.g. CHAINS=sepolia');
+  }
+
+  function find(ref) {
+    if (ref === undefined || ref === null || ref === '') return fallback;
+    const key = String(ref).toLowerCase();
+    return entries.find((c) => c.key === key || String(c.chainId) === key) || null;
+  }
+
+  function providerFor(chainOrRef) {
+    const chain = typeof chainOrRef === 'object' ? chainOrRef : find(chainOrRef);
+    if (!chain) throw new Error(`Unknown chain: ${chainOrRef}`);
+
+    if (!providers.has(chain.key)) {
+      const created =
+        typeof provider === 'function' ? provider(chain) : provider || createRpcProvider(chain);
+      providers.set(chain.key, instrument(created, chain, metrics));
+    }
+    return providers.get(chain.key);
+  }
+
+  return {
+    default: fallback,
+    find,
+    list: () => [...entries],
+    provider: providerFor,
+  };
+}
+
+// Public description of a chain for API responses
+export function describeChain(chain) {
+  return {
+    chain: chain.key,
+    chain_id: chain.chainId,
+    name: chain.name,
+    native_symbol: chain.nativeSymbol,
+    explorer_url: chain.explorerUrl,
+  };
+}
@@ -0,0 +1,41 @@
+// Circuit breaker for an upstream service.
+//
+// After `threshold` consecutive failures the breaker opens and allow() turns
+// calls away for `cooldownMs`. Then it lets a single trial call through
+// (half-open): success closes the breaker, failure opens it again.
+//
+// State is per process, so on serverless hosts each instance trips on its own.
+export function createCircuitBreaker({ threshold = 5, cooldownMs = 30 * 1000 } = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function state() {
+    if (openedAt === null) return 'closed';
+    return Date.now() - openedAt >= cooldownMs ? 'half-open' : 'open';
+  }
+
+  // Callers that are allowed through must report success() or failure()
+  function allow() {
+    const current = state();
+    if (current === 'closed') return true;
+    if (current === 'open' || trialInFlight) return false;
+
+    trialInFlight = true;
+    return true;
+  }
+
+  function success() {
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  }
+
+  function failure() {
+    failures++;
+    trialInFlight = false;
+    if (openedAt !== null || failures >= threshold) openedAt = Date.now();
+  }
+
+  return { allow, success, failure, state };
+}
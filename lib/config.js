@@ -0,0 +1,149 @@
+import { parseChains } from './chains.js';
+import { parseTokens } from './tokens.js';
+import { parsePolicy } from './policy.js';
+import { parseRateLimits } from './rate-limit.js';
+
+// "1" -> 1 hop, "true"/"false", or an address list like "loopback"
+function parseTrustProxy(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+// Runtime configuration, read from environment variables.
+// Tests build their own config with loadConfig({ ...overrides }).
+export function loadConfig(env = process.env) {
+  const defaultChain = env.DEFAULT_CHAIN || (env.CHAINS || 'sepolia').split(',')[0].trim();
+  const chains = parseChains(env, parseTokens(env.TOKENS, defaultChain));
+
+  return {
+    port: Number(env.PORT) || 3000,
+
+    // Supabase
+    supabaseUrl: env.SUPABASE_URL,
+    supabaseServiceKey: env.SUPABASE_SERVICE_KEY,
+    // Lets access tokens be verified locally (HS256 projects). Projects on
+    // asymmetric signing keys are verified against their JWKS instead.
+    supabaseJwtSecret: env.SUPABASE_JWT_SECRET,
+
+    // Para REST API
+    paraApiKey: env.PARA_API_KEY,
+    paraBaseUrl: env.PARA_BASE_URL || 'https://api.beta.getpara.com/v1',
+    // Per-attempt timeout, retries with exponential backoff (base delay, and
+    // the longest we'll wait, Retry-After included), and the circuit breaker
+    // that fails fast after consecutive failures (lib/para.js)
+    paraTimeoutMs: Number(env.PARA_TIMEOUT_MS) || 10 * 1000,
+    paraMaxRetries: Number(env.PARA_MAX_RETRIES ?? 3),
+    paraRetryBaseMs: Number(env.PARA_RETRY_BASE_MS) || 250,
+    paraRetryMaxMs: Number(env.PARA_RETRY_MAX_MS) || 5 * 1000,
+    paraBreakerThreshold: Number(env.PARA_BREAKER_THRESHOLD) || 5,
+    paraBreakerCooldownMs: Number(env.PARA_BREAKER_COOLDOWN_MS) || 30 * 1000,
+    // New wallets are polled until ready: every walletPollIntervalMs at
+    // first, backing off, for up to walletPollTimeoutMs
+    walletPollIntervalMs: Number(env.WALLET_POLL_INTERVAL_MS) || 500,
+    walletPollTimeoutMs: Number(env.WALLET_POLL_TIMEOUT_MS) || 30 * 1000,
+
+    // Wallet provisioning (lib/provisioner.js): failed attempts are retried
+    // after provisionRetryBaseMs, doubling each time, up to
+    // provisionMaxAttempts. 0 disables the in-process worker.
+    provisionRetryBaseMs: Number(env.PROVISION_RETRY_BASE_MS) || 30 * 1000,
+    provisionMaxAttempts: Number(env.PROVISION_MAX_ATTEMPTS) || 8,
+    provisionIntervalMs: Number(env.PROVISION_INTERVAL_MS ?? 15000),
+
+    // Outbound webhooks (lib/webhooks.js): per-delivery timeout, retries
+    // after webhookRetryBaseMs, doubling each time, up to webhookMaxAttempts.
+    // 0 disables the in-process delivery worker.
+    webhookTimeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+    webhookRetryBaseMs: Number(env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+    webhookMaxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    webhookIntervalMs: Number(env.WEBHOOK_INTERVAL_MS ?? 15000),
+    // Endpoints must be https on public addresses. Plain http is allowed in
+    // development; private and local addresses only when explicitly allowed.
+    webhookAllowHttp: env.WEBHOOK_ALLOW_HTTP
+      ? env.WEBHOOK_ALLOW_HTTP === 'true'
+      : env.NODE_ENV === 'development',
+    webhookAllowPrivateUrls: env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+
+    // Enabled chains (lib/chains.js), each with its ERC-20 registry from TOKENS.
+    // Requests pick one with a `chain` parameter; defaultChain otherwise.
+    chains,
+    defaultChain,
+
+    // Transfer policy applied to every user unless overridden in
+    // user_policies (lib/policy.js)
+    defaultPolicy: parsePolicy(env.DEFAULT_POLICY),
+
+    // Sends above the policy's approval_threshold wait this long for a TOTP
+    // code or the emailed link (lib/approvals.js); this many wrong codes
+    // cancel them
+    approvalTtlMs: Number(env.APPROVAL_TTL_MS) || 15 * 60 * 1000,
+    approvalMaxAttempts: Number(env.APPROVAL_MAX_ATTEMPTS) || 5,
+    // Name shown in authenticator apps
+    mfaIssuer: env.MFA_ISSUER || 'Fintech Backend',
+    // Where approval links point (the UI confirms them)
+    appUrl: (env.APP_URL || `http://localhost:${Number(env.PORT) || 3000}`).replace(/\/$/, ''),
+
+    // Admin API (lib/routes/admin.js): callers present ADMIN_API_KEY as
+    // X-Admin-Key, or an access token whose app_metadata.role is one of
+    // adminRoles
+    adminApiKey: env.ADMIN_API_KEY,
+    adminRoles: (env.ADMIN_ROLES || 'admin')
+      .split(',')
+      .map((role) => role.trim())
+      .filter(Boolean),
+
+    // Outbound email (lib/mailer.js); without SMTP_URL mail is logged instead
+    smtpUrl: env.SMTP_URL,
+    emailFrom: env.EMAIL_FROM || 'Fintech Backend <no-reply@localhost>',
+    smtpTimeoutMs: Number(env.SMTP_TIMEOUT_MS) || 10 * 1000,
+
+    // How long a POST /send/quote stays executable
+    quoteTtlMs: Number(env.QUOTE_TTL_MS) || 60 * 1000,
+
+    // How long an Idempotency-Key and its stored response are kept
+    idempotencyTtlMs: Number(env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000,
+
+    // Rate limits per route and caller, and lockout after failed logins
+    // (lib/rate-limit.js). Counters are per process with the memory store;
+    // 'supabase' shares them between instances (Vercel).
+    rateLimits: parseRateLimits(env.RATE_LIMITS),
+    rateLimitStore: env.RATE_LIMIT_STORE || 'memory',
+    loginLockout: {
+      // 0 turns lockout off
+      threshold: Number(env.LOGIN_LOCKOUT_THRESHOLD ?? 5),
+      baseMs: Number(env.LOGIN_LOCKOUT_BASE_MS) || 60 * 1000,
+      maxMs: Number(env.LOGIN_LOCKOUT_MAX_MS) || 60 * 60 * 1000,
+      failureWindowMs: Number(env.LOGIN_FAILURE_WINDOW_MS) || 24 * 60 * 60 * 1000,
+    },
+    // Express "trust proxy": how req.ip (the rate limits' client IP) is read
+    // from X-Forwarded-For. Vercel sits one proxy in front of the app.
+    trustProxy: parseTrustProxy(env.TRUST_PROXY ?? (env.VERCEL ? '1' : 'false')),
+
+    // Confirmation tracker (lib/tracker.js)
+    confirmationBlocks: Number(env.CONFIRMATION_BLOCKS) || 3,
+    finalityBlocks: Number(env.FINALITY_BLOCKS) || 12,
+    dropTimeoutMs: Number(env.DROP_TIMEOUT_MS) || 30 * 60 * 1000,
+    // A pending transaction blocking its wallet's nonce queue this long is "stuck"
+    stuckAfterMs: Number(env.STUCK_AFTER_MS) || 10 * 60 * 1000,
+    // 0 disables the in-process tracker
+    trackerIntervalMs: Number(env.TRACKER_INTERVAL_MS ?? 15000),
+
+    // Deposit watcher (lib/deposits.js): at most depositBatchBlocks blocks
+    // scanned per chain per pass. 0 disables the in-process watcher.
+    depositBatchBlocks: Number(env.DEPOSIT_BATCH_BLOCKS) || 100,
+    depositIntervalMs: Number(env.DEPOSIT_INTERVAL_MS ?? 15000),
+
+    // Structured logs (lib/logger.js): debug, info, warn, error or silent
+    logLevel: env.LOG_LEVEL || 'info',
+    // When set, GET /metrics wants it as a bearer token
+    metricsToken: env.METRICS_TOKEN,
+
+    // Include the upstream error text (Para, RPC, database) in error
+    // responses as `detail`; never in production
+    exposeErrors: env.NODE_ENV !== 'production',
+
+    // Directory with the frontend UI; only the local server serves it
+    // (Vercel serves public/ itself)
+    publicDir: null,
+  };
+}
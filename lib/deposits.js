@@ -0,0 +1,244 @@
+import { ethers } from 'ethers';
+import { TERMINAL_STATUSES, TRACKED_STATUSES } from './tracker.js';
+import { logger } from './logger.js';
+
+// Deposit watcher: records transfers into managed wallets in store.deposits.
+//
+// Every pass scans each chain from its cursor up to the head:
+//   ETH    - top-level transactions in each block sent to a managed wallet.
+//            Transfers made from inside a contract need trace APIs and
+//            aren't seen.
+//   tokens - Transfer logs of the chain's configured ERC-20s (TOKENS)
+// then re-checks every pending or confirmed deposit, which moves through the
+// same statuses as a send (lib/tracker.js). deposit.received is emitted once
+// a deposit is confirmed.
+//
+// A chain without a cursor starts at its head at the first pass; earlier
+// blocks are not backfilled.
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const CONFIRMED_STATUSES = ['confirmed', 'final'];
+const PAGE_SIZE = 100;
+
+const key = (address) => address.toLowerCase();
+const topicAddress = (topic) => ethers.getAddress(ethers.dataSlice(topic, 12));
+
+export function createDepositWatcher({ chains, store, webhooks, config }) {
+  const { confirmationBlocks, finalityBlocks, dropTimeoutMs, depositBatchBlocks } = config;
+  let timer = null;
+  let running = false;
+
+  function statusFor(receipt, confirmations) {
+    if (receipt.status === 0) return 'failed';
+    if (confirmations >= finalityBlocks) return 'final';
+    if (confirmations >= confirmationBlocks) return 'confirmed';
+    return 'pending';
+  }
+
+  // Plain ETH transfers in blocks [fromBlock, toBlock]
+  async function ethTransfers(provider, fromBlock, toBlock) {
+    const transfers = [];
+    for (let number = fromBlock; number <= toBlock; number++) {
+      const block = await provider.getBlock(number, true);
+      for (const tx of block?.prefetchedTransactions ?? []) {
+        if (!tx.to || tx.value === 0n || key(tx.from) === key(tx.to)) continue;
+        transfers.push({
+          hash: tx.hash,
+          log_index: null,
+          from_address: tx.from,
+          to_address: tx.to,
+          amount: ethers.formatEther(tx.value),
+          value_wei: tx.value.toString(),
+        });
+      }
+    }
+    return transfers;
+  }
+
+  // Transfer logs of the chain's tokens in blocks [fromBlock, toBlock]
+  async function tokenTransfers(chain, provider, fromBlock, toBlock) {
+    const tokens = chain.tokens.list();
+    if (!tokens.length) return [];
+
+    const logs = await provider.getLogs({
+      address: tokens.map((t) => t.address),
+      topics: [TRANSFER_TOPIC],
+      fromBlock,
+      toBlock,
+    });
+
+    const transfers = [];
+    for (const log of logs) {
+      // ERC-721 Transfer has the token id as a fourth topic
+      if (log.topics.length !== 3) continue;
+      const token = chain.tokens.find(log.address);
+      const from = topicAddress(log.topics[1]);
+      const to = topicAddress(log.topics[2]);
+      const units = ethers.toBigInt(log.data);
+      if (!token || units === 0n || key(from) === key(to)) continue;
+
+      transfers.push({
+        hash: log.transactionHash,
+        log_index: log.index,
+        from_address: from,
+        to_address: to,
+        amount: ethers.formatUnits(units, token.decimals),
+        value_wei: '0',
+        token_symbol: token.symbol,
+        token_address: token.address,
+        token_units: units.toString(),
+      });
+    }
+    return transfers;
+  }
+
+  // Record deposits in the blocks after the chain's cursor; resolves to the
+  // newly recorded ones. Blocks that may still be reorged are scanned again
+  // next time (known deposits are skipped).
+  async function scan(chain) {
+    const provider = chains.provider(chain);
+    const head = await provider.getBlockNumber();
+    const cursor = await store.deposits.getCursor(chain.chainId);
+    if (cursor === null) {
+      await store.deposits.setCursor(chain.chainId, head);
+      return [];
+    }
+
+    const fromBlock = cursor + 1;
+    const toBlock = Math.min(head, cursor + depositBatchBlocks);
+    if (fromBlock > toBlock) return [];
+
+    const transfers = [
+      ...(await ethTransfers(provider, fromBlock, toBlock)),
+      ...(await tokenTransfers(chain, provider, fromBlock, toBlock)),
+    ];
+    const wallets = await store.wallets.findByAddresses([
+      ...new Set(transfers.map((t) => t.to_address)),
+    ]);
+    const byAddress = new Map(wallets.map((w) => [key(w.address), w]));
+
+    const deposits = [];
+    for (const transfer of transfers) {
+      const wallet = byAddress.get(key(transfer.to_address));
+      if (!wallet) continue;
+
+      // A reverted ETH transfer moved nothing (token logs only exist on success)
+      const receipt = await provider.getTransactionReceipt(transfer.hash);
+      if (!receipt || receipt.status === 0) continue;
+
+      deposits.push({
+        ...transfer,
+        user_id: wallet.user_id,
+        wallet_id: wallet.wallet_id,
+        chain_id: chain.chainId,
+        to_address: wallet.address,
+        block_number: receipt.blockNumber,
+      });
+    }
+
+    const recorded = await store.deposits.record(deposits);
+    const settled = Math.min(toBlock, head - confirmationBlocks + 1);
+    if (settled > cursor) await store.deposits.setCursor(chain.chainId, settled);
+    return recorded;
+  }
+
+  async function save(deposit, patch) {
+    const changed = Object.keys(patch).some(
+      (field) => String(patch[field] ?? null) !== String(deposit[field] ?? null)
+    );
+    if (!changed) return deposit;
+
+    const updated = await store.deposits.update(deposit.id, patch);
+    if (CONFIRMED_STATUSES.includes(updated.status) && deposit.status === 'pending') {
+      webhooks.emit(updated.user_id, 'deposit.received', updated);
+    }
+    return updated;
+  }
+
+  // Re-check one deposit against its chain and persist any change
+  async function checkDeposit(deposit, head) {
+    if (TERMINAL_STATUSES.includes(deposit.status)) return deposit;
+    const provider = chains.provider(deposit.chain_id);
+    if (head === undefined) head = await provider.getBlockNumber();
+
+    const receipt = await provider.getTransactionReceipt(deposit.hash);
+    if (receipt) {
+      const confirmations = Math.max(head - receipt.blockNumber + 1, 0);
+      return save(deposit, {
+        status: statusFor(receipt, confirmations),
+        block_number: receipt.blockNumber,
+        confirmations,
+      });
+    }
+
+    // Its block was reorged away: it's pending again until mined or dropped
+    const age = Date.now() - new Date(deposit.created_at).getTime();
+    const dropped = age > dropTimeoutMs && !(await provider.getTransaction(deposit.hash));
+    return save(deposit, {
+      status: dropped ? 'dropped' : 'pending',
+      block_number: null,
+      confirmations: 0,
+    });
+  }
+
+  // One pass: scan every chain, then re-check every non-terminal deposit
+  async function poll() {
+    if (running) return { found: 0, updated: 0 };
+    running = true;
+
+    let found = 0;
+    let updated = 0;
+    try {
+      const heads = new Map();
+      for (const chain of chains.list()) {
+        try {
+          found += (await scan(chain)).length;
+        } catch (err) {
+          logger.error('Deposit scan error', { chain: chain.key, error: err.message });
+        }
+      }
+
+      const tracked = [];
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { deposits, total } = await store.deposits.list({
+          status: TRACKED_STATUSES,
+          limit: PAGE_SIZE,
+          offset,
+        });
+        tracked.push(...deposits);
+        if (offset + PAGE_SIZE >= total) break;
+      }
+
+      for (const deposit of tracked) {
+        try {
+          // One block-number lookup per chain per pass
+          if (!heads.has(deposit.chain_id)) {
+            heads.set(deposit.chain_id, await chains.provider(deposit.chain_id).getBlockNumber());
+          }
+          const result = await checkDeposit(deposit, heads.get(deposit.chain_id));
+          if (result.status !== deposit.status) updated++;
+        } catch (err) {
+          logger.error('Deposit check error', { hash: deposit.hash, error: err.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return { found, updated };
+  }
+
+  function start(intervalMs = config.depositIntervalMs) {
+    if (timer || !intervalMs) return;
+    timer = setInterval(() => {
+      poll().catch((err) => logger.error('Deposit watcher error', { error: err.message }));
+    }, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { scan, checkDeposit, poll, start, stop };
+}
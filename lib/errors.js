@@ -0,0 +1,158 @@
+import { logger } from './logger.js';
+
+// API errors with stable, machine-readable codes.
+//
+// Routes throw (or pass to next) an ApiError; the error middleware answers
+//   { error: message, code, request_id, ...details }
+// with the code's HTTP status. The Para client and the Supabase stores throw
+// ApiErrors themselves, ethers errors are classified by their code, and
+// anything else is INTERNAL_ERROR. Messages are always ours; the upstream text
+// behind an error is only returned (as `detail`) outside production.
+
+export const ERROR_CODES = {
+  // Request
+  INVALID_REQUEST: { status: 400, message: 'Invalid request' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Request body too large' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests, try again later' },
+  NOT_FOUND: { status: 404, message: 'Not found' },
+
+  // Auth
+  AUTH_MISSING: { status: 401, message: 'Missing token' },
+  AUTH_EXPIRED: { status: 401, message: 'Token expired' },
+  AUTH_INVALID: { status: 401, message: 'Invalid token' },
+  INVALID_CREDENTIALS: { status: 401, message: 'Invalid email or password' },
+  REFRESH_TOKEN_INVALID: { status: 401, message: 'Invalid refresh token' },
+  LOGIN_LOCKED: { status: 429, message: 'Too many failed logins, try again later' },
+  ADMIN_FORBIDDEN: { status: 403, message: 'Admin access required' },
+  MFA_CODE_INVALID: { status: 403, message: 'Invalid or already used code' },
+  MFA_NOT_ENROLLED: { status: 409, message: 'No authenticator app enrolled' },
+  MFA_ALREADY_ENROLLED: { status: 409, message: 'An authenticator app is already enrolled' },
+  SIGNUP_FAILED: { status: 400, message: 'Signup failed' },
+  EMAIL_TAKEN: { status: 409, message: 'A user with this email address is already registered' },
+  LOGOUT_FAILED: { status: 400, message: 'Logout failed' },
+  AUTH_UNAVAILABLE: { status: 503, message: 'Authentication unavailable, try again shortly' },
+
+  // Resources
+  USER_NOT_FOUND: { status: 404, message: 'User not found' },
+  WALLET_NOT_FOUND: { status: 404, message: 'Wallet not found' },
+  WALLET_NOT_READY: { status: 409, message: 'Wallet is not ready yet, try again shortly' },
+  TRANSACTION_NOT_FOUND: { status: 404, message: 'Transaction not found' },
+  RECIPIENT_NOT_FOUND: { status: 404, message: 'Recipient not found' },
+  RECIPIENT_LABEL_TAKEN: { status: 409, message: 'A recipient with this label already exists' },
+  POLICY_ENTRY_NOT_FOUND: { status: 404, message: 'Address is not on the list' },
+  QUOTE_NOT_FOUND: { status: 404, message: 'Quote not found' },
+  QUOTE_EXPIRED: { status: 410, message: 'Quote expired, request a new one' },
+  QUOTE_USED: { status: 409, message: 'Quote already used' },
+  WEBHOOK_NOT_FOUND: { status: 404, message: 'Webhook not found' },
+  APPROVAL_NOT_FOUND: { status: 404, message: 'Approval request not found' },
+  APPROVAL_EXPIRED: { status: 410, message: 'Approval request expired, send again' },
+  APPROVAL_NOT_PENDING: { status: 409, message: 'Approval request is no longer pending' },
+  DELIVERY_NOT_FOUND: { status: 404, message: 'Webhook delivery not found' },
+  IDEMPOTENCY_KEY_REUSED: {
+    status: 409,
+    message: 'Idempotency-Key was already used with a different request',
+  },
+  IDEMPOTENCY_IN_PROGRESS: {
+    status: 409,
+    message: 'A request with this Idempotency-Key is still in progress',
+  },
+
+  // Transfers
+  POLICY_DENIED: { status: 403, message: 'Transfer denied by policy' },
+  ACCOUNT_FROZEN: { status: 403, message: 'Sending is disabled for this account' },
+  INSUFFICIENT_FUNDS: { status: 400, message: 'Insufficient funds' },
+  CHAIN_NOT_CONFIGURED: { status: 400, message: 'Chain is no longer configured' },
+  EXECUTION_REVERTED: { status: 400, message: 'The transfer would revert on chain' },
+  NONCE_TOO_LOW: { status: 409, message: 'Nonce already used, retry the request' },
+  REPLACEMENT_UNDERPRICED: { status: 409, message: 'Replacement fee too low, retry shortly' },
+  NOT_REPLACEABLE: { status: 409, message: 'Only pending transactions can be replaced' },
+
+  // Upstream
+  PARA_UNAVAILABLE: { status: 503, message: 'Wallet provider unavailable, try again shortly' },
+  PARA_ERROR: { status: 502, message: 'Wallet provider rejected the request' },
+  RPC_UNAVAILABLE: { status: 503, message: 'Blockchain node unavailable, try again shortly' },
+  RPC_ERROR: { status: 502, message: 'Blockchain node error' },
+  DATABASE_ERROR: { status: 503, message: 'Database unavailable, try again shortly' },
+  INTERNAL_ERROR: { status: 500, message: 'Internal error' },
+};
+
+export class ApiError extends Error {
+  // details are merged into the response body; cause is the upstream error
+  constructor(code, { message, details = {}, cause } = {}) {
+    const known = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    super(message || known.message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = known.status;
+    this.details = details;
+  }
+}
+
+// A Supabase error from one of the stores, e.g. databaseError('Wallet', error)
+export function databaseError(storeName, error) {
+  return new ApiError('DATABASE_ERROR', {
+    cause: new Error(`${storeName} store error: ${error.message}`),
+  });
+}
+
+// ethers v6 error codes -> ours. Nodes that are down or time out are
+// "unavailable"; anything else the node says is an RPC_ERROR.
+const ETHERS_CODES = {
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  NONCE_EXPIRED: 'NONCE_TOO_LOW',
+  REPLACEMENT_UNDERPRICED: 'REPLACEMENT_UNDERPRICED',
+  CALL_EXCEPTION: 'EXECUTION_REVERTED',
+  NETWORK_ERROR: 'RPC_UNAVAILABLE',
+  SERVER_ERROR: 'RPC_UNAVAILABLE',
+  TIMEOUT: 'RPC_UNAVAILABLE',
+};
+
+function isEthersError(err) {
+  return typeof err.code === 'string' && 'shortMessage' in err;
+}
+
+// Any thrown value -> ApiError
+export function toApiError(err) {
+  if (err instanceof ApiError) return err;
+
+  // express.json() failures
+  if (err?.type === 'entity.parse.failed') {
+    return new ApiError('INVALID_REQUEST', {
+      details: { fields: [{ field: 'body', message: 'body must be valid JSON' }] },
+    });
+  }
+  if (err?.type === 'entity.too.large') return new ApiError('PAYLOAD_TOO_LARGE');
+
+  if (err && isEthersError(err)) {
+    return new ApiError(ETHERS_CODES[err.code] || 'RPC_ERROR', { cause: err });
+  }
+  return new ApiError('INTERNAL_ERROR', { cause: err });
+}
+
+// Final Express middleware. Server-side failures (5xx) are logged with the
+// request id the client sees.
+export function createErrorHandler({ exposeErrors }) {
+  return (err, req, res, next) => {
+    const error = toApiError(err);
+    const { cause } = error;
+
+    if (error.status >= 500) {
+      logger.error('Request failed', {
+        request_id: req.id,
+        code: error.code,
+        method: req.method,
+        path: req.path,
+        error: cause?.message ?? error.message,
+      });
+    }
+    if (res.headersSent) return next(err);
+
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      request_id: req.id,
+      ...error.details,
+      ...(exposeErrors && cause?.message ? { detail: cause.message } : {}),
+    });
+  };
+}
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import { ApiError } from './errors.js';
+import { invalidRequest } from './validation.js';
+import { logger } from './logger.js';
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// Express middleware implementing the Idempotency-Key header.
+//
+// The first request with a key runs normally and its response (anything
+// below 500) is stored. Retries with the same key and body get the stored
+// response replayed; the same key with a different body gets 409. A 5xx
+// frees the key so the client can retry for real.
+//
+// `identify(req)` scopes keys to a caller (user id, email, ...), so two
+// callers can't collide on, or read, each other's keys.
+export function createIdempotencyMiddleware({ store, config, identify }) {
+  // HMAC rather than a bare hash: bodies can contain passwords
+  function fingerprint(req) {
+    return crypto
+      .createHmac('sha256', config.supabaseServiceKey || 'idempotency')
+      .update(`${req.method} ${req.path} ${JSON.stringify(req.body ?? {})}`)
+      .digest('hex');
+  }
+
+  return async function idempotency(req, res, next) {
+    const clientKey = req.get(HEADER);
+    if (!clientKey) return next();
+
+    if (clientKey.length > MAX_KEY_LENGTH) {
+      const message = `${HEADER} must be at most ${MAX_KEY_LENGTH} characters`;
+      return next(invalidRequest([{ field: HEADER, message }]));
+    }
+
+    try {
+      // Unidentified requests fail in the route anyway (401/400); don't store those
+      const caller = await identify(req);
+      if (!caller) return next();
+
+      const key = `${req.path}:${caller}:${clientKey}`;
+      const requestFingerprint = fingerprint(req);
+
+      const { claimed, record } = await store.idempotency.claim({
+        key,
+        fingerprint: requestFingerprint,
+        expiresAt: new Date(Date.now() + config.idempotencyTtlMs),
+      });
+
+      if (!claimed) {
+        if (record.fingerprint !== requestFingerprint) {
+          return next(new ApiError('IDEMPOTENCY_KEY_REUSED'));
+        }
+        if (record.status !== 'completed') {
+          return next(new ApiError('IDEMPOTENCY_IN_PROGRESS'));
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response_status).json(record.response_body);
+      }
+
+      // Store the final response before it goes out
+      const send = res.json.bind(res);
+      res.json = (body) => {
+        const status = res.statusCode;
+        const saved =
+          status >= 500
+            ? store.idempotency.release(key)
+            : store.idempotency.complete(key, { status, body });
+
+        saved
+          .catch((err) => logger.error('Idempotency store error', { error: err.message }))
+          .finally(() => send(body));
+        return res;
+      };
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+// Local verification of Supabase access tokens.
+//
+// Projects on the legacy JWT secret sign with HS256; projects on asymmetric
+// signing keys (RS256/ES256) publish them at /auth/v1/.well-known/jwks.json.
+// verify() resolves to one of:
+//   { claims }                 - signature and claims checked
+//   { claims, unverified }     - well-formed, but no key to check it with
+//   { error: 'expired' }
+//   { error: 'invalid' }
+
+const JWKS_TTL_MS = 10 * 60 * 1000;
+// Don't hammer the JWKS endpoint when it's down or tokens carry an unknown kid
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+const CLOCK_SKEW_SECONDS = 30;
+
+function decode(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const [header, claims] = parts
+      .slice(0, 2)
+      .map((part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8')));
+    return {
+      header,
+      claims,
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function createJwtVerifier({ supabaseUrl, supabaseJwtSecret }) {
+  const issuer = supabaseUrl ? `${supabaseUrl.replace(/\/$/, '')}/auth/v1` : null;
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+
+  async function fetchJwks() {
+    const res = await fetch(`${issuer}/.well-known/jwks.json`);
+    if (!res.ok) throw new Error(`JWKS fetch failed: ${res.status}`);
+
+    const jwks = await res.json();
+    keys = new Map(
+      (jwks.keys || []).map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+    fetchedAt = Date.now();
+  }
+
+  // Public key for a kid, or null if we can't get one right now
+  async function publicKey(kid) {
+    if (!issuer) return null;
+
+    const stale = Date.now() - fetchedAt > JWKS_TTL_MS || !keys.has(kid);
+    if (stale && Date.now() - attemptedAt > JWKS_MIN_REFETCH_MS) {
+      attemptedAt = Date.now();
+      try {
+        await fetchJwks();
+      } catch (err) {
+        logger.error('JWKS error', { error: err.message });
+      }
+    }
+    return keys.get(kid) || null;
+  }
+
+  // true/false once checked, null when there's no key to check with
+  async function checkSignature({ header, signingInput, signature }) {
+    if (header.alg === 'HS256') {
+      if (!supabaseJwtSecret) return null;
+      const expected = crypto
+        .createHmac('sha256', supabaseJwtSecret)
+        .update(signingInput)
+        .digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    if (header.alg === 'RS256' || header.alg === 'ES256') {
+      const key = await publicKey(header.kid);
+      if (!key) return null;
+      return crypto.verify(
+        'sha256',
+        Buffer.from(signingInput),
+        header.alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+        signature
+      );
+    }
+
+    return false;
+  }
+
+  async function verify(token) {
+    const decoded = decode(token);
+    if (!decoded) return { error: 'invalid' };
+
+    const { claims } = decoded;
+    // Only user sessions; the anon and service_role keys are JWTs too
+    const audiences = [].concat(claims.aud);
+    if (!claims.sub || !audiences.includes('authenticated')) return { error: 'invalid' };
+    if (issuer && claims.iss && claims.iss !== issuer) return { error: 'invalid' };
+
+    const signed = await checkSignature(decoded);
+    if (signed === false) return { error: 'invalid' };
+
+    if (typeof claims.exp !== 'number') return { error: 'invalid' };
+    if (claims.exp + CLOCK_SKEW_SECONDS <= Date.now() / 1000) return { error: 'expired' };
+
+    return signed ? { claims } : { claims, unverified: true };
+  }
+
+  return { verify };
+}
@@ -0,0 +1,17 @@
+// In-process keyed lock: calls to withLock() with the same key run one at a
+// time, in order. Other keys aren't blocked.
+export function createKeyedLock() {
+  const locks = new Map();
+
+  return function withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+
+    locks.set(key, tail);
+    tail.then(() => {
+      if (locks.get(key) === tail) locks.delete(key);
+    });
+    return run;
+  };
+}
@@ -0,0 +1,106 @@
+import { currentRequest } from './request-id.js';
+
+// Structured logs: one JSON object per line,
+//   {"level":"error","time":"…","msg":"Wallet provisioning error","request_id":"…",…}
+// on stdout (stderr for warn and error). Lines logged while a request is being
+// handled carry its request_id, so a failed /send can be matched with the Para
+// and RPC calls behind it.
+//
+// Fields are redacted before they're written: values under keys that look
+// like credentials are replaced, and tokens and email addresses inside
+// strings are masked.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// access_token, password, x-api-key, ...; not token_symbol
+const SECRET_KEY = /(^|[-_])(password|secret|token|authorization|api[-_]?key|cookie)$/i;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const BEARER = /\b(Bearer)\s+[\w.~+/-]+=*/gi;
+const EMAIL = /\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g;
+const MAX_DEPTH = 6;
+
+function redactString(text) {
+  return text
+    .replace(JWT, '[redacted]')
+    .replace(BEARER, '$1 [redacted]')
+    .replace(EMAIL, '$1***@$2');
+}
+
+// A copy of `value` safe to log
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Error) {
+    return { name: value.name, code: value.code, message: redactString(value.message) };
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, inner]) => [
+      key,
+      SECRET_KEY.test(key) && inner !== null && inner !== undefined
+        ? '[redacted]'
+        : redact(inner, depth + 1),
+    ])
+  );
+}
+
+// `write(line, level)` receives each finished line; tests capture them
+export function createLogger({ level = 'info', write } = {}) {
+  let threshold = LEVELS[level] ?? LEVELS.info;
+  const sink =
+    write ||
+    ((line, lineLevel) => {
+      const stream = LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+      stream.write(`${line}\n`);
+    });
+
+  function log(lineLevel, msg, fields = {}) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const entry = {
+      level: lineLevel,
+      time: new Date().toISOString(),
+      msg,
+      request_id: currentRequest()?.id,
+      ...redact(fields),
+    };
+    sink(JSON.stringify(entry), lineLevel);
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    setLevel(name) {
+      if (!(name in LEVELS)) throw new Error(`Unknown LOG_LEVEL: ${name}`);
+      threshold = LEVELS[name];
+    },
+  };
+}
+
+// The process-wide logger; createApp sets its level from LOG_LEVEL
+export const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+// Express middleware: one line per answered request. The path is logged
+// without its query string, which can carry addresses and filters.
+export function logRequests(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('request', {
+      request_id: req.id,
+      method: req.method,
+      path: req.path,
+      route: req.route ? req.route.path : null,
+      status: res.statusCode,
+      duration_ms: Math.round(durationMs * 10) / 10,
+      user_id: req.user?.id ?? null,
+      ip: req.ip,
+    });
+  });
+  next();
+}
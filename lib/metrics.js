@@ -0,0 +1,229 @@
+// Prometheus metrics, served as text by GET /metrics.
+//
+//   http_request_duration_seconds{method,route,status}   histogram
+//   para_request_duration_seconds{operation,outcome}      histogram, per attempt
+//   para_request_errors_total{operation,reason}           counter
+//   rpc_request_duration_seconds{chain,method,outcome}    histogram
+//   rpc_request_errors_total{chain,method,code}           counter
+//   signups_total{outcome}, sends_total{outcome}          counters
+//   pending_transactions{chain}                           gauge, read at scrape time
+//
+// `route` is the Express route pattern (/transactions/:hash), never the raw
+// path, so ids and hashes don't each become a series. Counts are per process.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series keyed by their label values, in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function seriesLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function createCounter(name, help, labelNames) {
+  const series = new Map();
+  return {
+    inc(labels = {}, by = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) ?? 0) + by);
+    },
+    get(labels = {}) {
+      return series.get(seriesKey(labelNames, labels)) ?? 0;
+    },
+    async render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function createHistogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // key -> { counts (per bucket, cumulative at render), sum, count }
+  return {
+    observe(labels, seconds) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      const bucket = buckets.findIndex((le) => seconds <= le);
+      if (bucket !== -1) entry.counts[bucket]++;
+      entry.sum += seconds;
+      entry.count++;
+    },
+    count(labels = {}) {
+      return series.get(seriesKey(labelNames, labels))?.count ?? 0;
+    },
+    async render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, { counts, sum, count }] of series) {
+        const labels = seriesLabels(labelNames, key);
+        let cumulative = 0;
+        buckets.forEach((le, i) => {
+          cumulative += counts[i];
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// A gauge read when scraped: collect() -> [{ labels, value }]
+function createCollectedGauge(name, help, collect) {
+  return {
+    async render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels, value } of await collect()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function elapsedSeconds(started) {
+  return Number(process.hrtime.bigint() - started) / 1e9;
+}
+
+export function createMetrics() {
+  const collectors = [];
+  const add = (metric) => {
+    collectors.push(metric);
+    return metric;
+  };
+
+  const httpDuration = add(
+    createHistogram(
+      'http_request_duration_seconds',
+      'HTTP request latency by route and status',
+      ['method', 'route', 'status']
+    )
+  );
+  const paraDuration = add(
+    createHistogram(
+      'para_request_duration_seconds',
+      'Para API call latency, per attempt',
+      ['operation', 'outcome']
+    )
+  );
+  const paraErrors = add(
+    createCounter('para_request_errors_total', 'Failed Para API attempts', ['operation', 'reason'])
+  );
+  const rpcDuration = add(
+    createHistogram(
+      'rpc_request_duration_seconds',
+      'Blockchain node call latency',
+      ['chain', 'method', 'outcome']
+    )
+  );
+  const rpcErrors = add(
+    createCounter('rpc_request_errors_total', 'Failed blockchain node calls', [
+      'chain',
+      'method',
+      'code',
+    ])
+  );
+  const signups = add(createCounter('signups_total', 'Signups by outcome', ['outcome']));
+  const sends = add(
+    createCounter('sends_total', 'POST /send by outcome (sent, pending_approval, failed)', [
+      'outcome',
+    ])
+  );
+
+  // Express middleware timing every request. Mounted before the routers, so
+  // req.route is known by the time the response finishes.
+  function observeRequests(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      httpDuration.observe(
+        {
+          method: req.method,
+          route: req.route ? req.route.path : 'unmatched',
+          status: res.statusCode,
+        },
+        elapsedSeconds(started)
+      );
+    });
+    next();
+  }
+
+  // Express middleware counting a route's outcomes in `counter`
+  function countOutcome(counter, outcomeOf) {
+    return (req, res, next) => {
+      res.on('finish', () => counter.inc({ outcome: outcomeOf(res.statusCode) }));
+      next();
+    };
+  }
+
+  // Times `fn` as one Para attempt; `reasonOf(result)` names a failure
+  async function timePara(operation, fn, reasonOf) {
+    const started = process.hrtime.bigint();
+    const result = await fn();
+    const reason = reasonOf(result);
+    paraDuration.observe({ operation, outcome: reason ? 'error' : 'ok' }, elapsedSeconds(started));
+    if (reason) paraErrors.inc({ operation, reason });
+    return result;
+  }
+
+  async function timeRpc(chain, method, fn) {
+    const started = process.hrtime.bigint();
+    try {
+      const result = await fn();
+      rpcDuration.observe({ chain, method, outcome: 'ok' }, elapsedSeconds(started));
+      return result;
+    } catch (err) {
+      rpcDuration.observe({ chain, method, outcome: 'error' }, elapsedSeconds(started));
+      rpcErrors.inc({ chain, method, code: err.code ?? 'UNKNOWN' });
+      throw err;
+    }
+  }
+
+  // Adds a gauge read at scrape time, e.g. pending transactions from the store
+  function gauge(name, help, collect) {
+    add(createCollectedGauge(name, help, collect));
+  }
+
+  async function render() {
+    const lines = [];
+    for (const collector of collectors) lines.push(...(await collector.render()));
+    return `${lines.join('\n')}\n`;
+  }
+
+  return {
+    observeRequests,
+    countOutcome,
+    timePara,
+    timeRpc,
+    gauge,
+    render,
+    // For routes and tests
+    signups,
+    sends,
+    httpDuration,
+    paraDuration,
+    paraErrors,
+    rpcDuration,
+    rpcErrors,
+  };
+}
@@ -0,0 +1,77 @@
+import { createKeyedLock } from './lock.js';
+
+// Per-wallet nonce manager.
+//
+// Signing is serialized per (chain, address) inside this process, and the
+// next nonce is derived from the node's pending count plus our own ledger, so
+// back-to-back sends from one wallet never collide. A broadcast that fails is
+// marked `failed` in the ledger, which frees its nonce for the next send.
+//
+// Note: the lock is in-process only. Serverless deployments running several
+// instances should route batch payouts through a single worker.
+
+const IN_FLIGHT_STATUSES = ['pending'];
+const PAGE_SIZE = 1000;
+
+export function createNonceManager({ chains, store, config }) {
+  const lock = createKeyedLock();
+
+  // Run fn with the wallet's lock held; calls for the same wallet queue up
+  function withLock(chain, address, fn) {
+    return lock(`${chain.chainId}:${address.toLowerCase()}`, fn);
+  }
+
+  async function inFlight(chain, address) {
+    const { transactions } = await store.transactions.list({
+      chainId: chain.chainId,
+      fromAddress: address,
+      status: IN_FLIGHT_STATUSES,
+      limit: PAGE_SIZE,
+    });
+    return transactions;
+  }
+
+  // Nonce state for one wallet:
+  //   latest  - next nonce the chain expects (mined count)
+  //   pending - node's count including its mempool
+  //   gaps    - nonces below our highest in-flight one that nothing will fill
+  //   stuck   - the in-flight transaction blocking the queue, if it's older
+  //             than stuckAfterMs
+  //   next    - the nonce the next send will use
+  async function inspect(chain, address) {
+    const provider = chains.provider(chain);
+    const [latest, pending, entries] = await Promise.all([
+      provider.getTransactionCount(address, 'latest'),
+      provider.getTransactionCount(address, 'pending'),
+      inFlight(chain, address),
+    ]);
+
+    const used = new Set(entries.map((tx) => Number(tx.nonce)));
+    const highest = Math.max(pending - 1, ...used);
+
+    const gaps = [];
+    for (let nonce = latest; nonce < highest; nonce++) {
+      if (!used.has(nonce) && nonce >= pending) gaps.push(nonce);
+    }
+
+    const head = entries.find((tx) => Number(tx.nonce) === latest);
+    const stuck =
+      head && Date.now() - new Date(head.created_at).getTime() > config.stuckAfterMs ? head : null;
+
+    return {
+      latest,
+      pending,
+      gaps,
+      stuck,
+      next: gaps.length ? gaps[0] : Math.max(pending, highest + 1),
+    };
+  }
+
+  // Next nonce for a send; call with the wallet's lock held
+  async function reserve(chain, address) {
+    const { next } = await inspect(chain, address);
+    return next;
+  }
+
+  return { withLock, inspect, reserve };
+}
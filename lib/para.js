@@ -0,0 +1,207 @@
+import { ApiError } from './errors.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { logger } from './logger.js';
+import { currentRequest } from './request-id.js';
+
+// Para REST API client.
+//
+// Every attempt is cut off after paraTimeoutMs. 429s are retried, and so are
+// timeouts, network errors and 5xx for requests that are safe to repeat.
+// Wallet creation is: Para keeps one wallet per user identifier and type,
+// and answers a repeat with 409 and that wallet's id, so a retry after a
+// lost response gets the same wallet back. Retries back off exponentially
+// with full jitter, and wait at least as long as Para's Retry-After asks; a
+// Retry-After beyond paraRetryMaxMs fails the call instead. Consecutive
+// failures open a circuit breaker, after which calls fail fast until a trial
+// request gets through.
+//
+// Failures are ApiErrors: PARA_UNAVAILABLE when Para can't be reached or is
+// having trouble (timeouts, 5xx, 429, open breaker), PARA_ERROR when it
+// rejects the request.
+//
+// Each attempt carries the current request's X-Request-Id, is logged, and is
+// timed in `metrics` (lib/metrics.js) under its operation name.
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(header) {
+  if (!header) return 0;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+// Why an attempt failed, for logs and metrics (null: it didn't)
+function failureReason(outcome) {
+  if (!outcome.error) return null;
+  if (outcome.timedOut) return 'timeout';
+  if (outcome.throttled) return 'throttled';
+  if (outcome.down) return outcome.status ? 'server_error' : 'network';
+  return 'rejected';
+}
+
+export function createParaClient(config, { metrics } = {}) {
+  const {
+    paraApiKey,
+    paraBaseUrl,
+    paraTimeoutMs,
+    paraMaxRetries,
+    paraRetryBaseMs,
+    paraRetryMaxMs,
+  } = config;
+  const breaker = createCircuitBreaker({
+    threshold: config.paraBreakerThreshold,
+    cooldownMs: config.paraBreakerCooldownMs,
+  });
+
+  function unavailable(message, cause) {
+    return new ApiError('PARA_UNAVAILABLE', { cause: cause || new Error(message) });
+  }
+
+  // One HTTP round trip -> { data } on success, otherwise { error, down,
+  // throttled, retryAfter }. `down` means Para itself is failing (counts
+  // towards the breaker); a 429 or other 4xx means it's up.
+  async function attempt(method, endpoint, body, accept) {
+    const headers = { 'X-API-Key': paraApiKey, 'Content-Type': 'application/json' };
+    const requestId = currentRequest()?.id;
+    if (requestId) headers['X-Request-Id'] = requestId;
+
+    const opts = { method, headers, signal: AbortSignal.timeout(paraTimeoutMs) };
+    if (body) opts.body = JSON.stringify(body);
+
+    let res;
+    let data;
+    try {
+      res = await fetch(`${paraBaseUrl}${endpoint}`, opts);
+      // Error pages from proxies aren't JSON
+      data = await res.json().catch(() => ({}));
+    } catch (err) {
+      const timedOut = err.name === 'TimeoutError';
+      const message = timedOut ? `Para request timed out after ${paraTimeoutMs}ms` : null;
+      return { error: unavailable(message, timedOut ? null : err), down: true, timedOut };
+    }
+
+    if (res.ok || accept.includes(res.status)) return { data, status: res.status };
+
+    const message = `Para API error (${res.status}): ${data.message || res.statusText}`;
+    if (res.status >= 500 || res.status === 429) {
+      return {
+        error: unavailable(message),
+        status: res.status,
+        down: res.status !== 429,
+        throttled: res.status === 429,
+        retryAfter: retryAfterMs(res.headers.get('retry-after')),
+      };
+    }
+    return { error: new ApiError('PARA_ERROR', { cause: new Error(message) }), status: res.status };
+  }
+
+  async function timedAttempt(operation, method, endpoint, body, accept, retry) {
+    const started = Date.now();
+    const call = () => attempt(method, endpoint, body, accept);
+    const outcome = metrics
+      ? await metrics.timePara(operation, call, failureReason)
+      : await call();
+
+    const reason = failureReason(outcome);
+    const fields = {
+      operation,
+      method,
+      endpoint,
+      status: outcome.status ?? null,
+      duration_ms: Date.now() - started,
+      retry,
+    };
+    if (reason) {
+      logger.warn('Para request failed', {
+        ...fields,
+        reason,
+        error: outcome.error.cause?.message ?? outcome.error.message,
+      });
+    } else {
+      logger.debug('Para request', fields);
+    }
+    return outcome;
+  }
+
+  // `operation` names the call in logs and metrics (endpoints contain ids);
+  // `retries` caps the retries for callers that can't wait; `accept` lists
+  // error statuses whose body is an answer rather than a failure
+  async function request(
+    method,
+    endpoint,
+    body = null,
+    {
+      idempotent = method === 'GET',
+      operation = 'other',
+      retries = paraMaxRetries,
+      accept = [],
+    } = {}
+  ) {
+    if (!paraApiKey) {
+      throw unavailable('PARA_API_KEY not set in environment');
+    }
+
+    let lastError = null;
+    for (let retry = 0; ; retry++) {
+      // If our own retries tripped the breaker, report what actually failed
+      if (!breaker.allow()) {
+        throw lastError || unavailable('Para circuit breaker is open; not calling Para');
+      }
+
+      const outcome = await timedAttempt(operation, method, endpoint, body, accept, retry);
+      lastError = outcome.error;
+      if (outcome.down) breaker.failure();
+      else breaker.success();
+      if (!outcome.error) return outcome.data;
+
+      const retryable = outcome.throttled || (outcome.down && idempotent);
+      const backoff = Math.random() * Math.min(paraRetryMaxMs, paraRetryBaseMs * 2 ** retry);
+      const delay = Math.max(backoff, outcome.retryAfter ?? 0);
+      if (!retryable || retry >= retries || delay > paraRetryMaxMs) throw outcome.error;
+
+      await sleep(delay);
+    }
+  }
+
+  function getWallet(walletId, { retries } = {}) {
+    return request('GET', `/wallets/${walletId}`, null, { operation: 'get_wallet', retries });
+  }
+
+  return {
+    request,
+
+    // The user's EVM wallet: a new one, or the one Para already made for this
+    // email (409)
+    async createWallet(email) {
+      const res = await request(
+        'POST',
+        '/wallets',
+        { type: 'EVM', userIdentifier: email, userIdentifierType: 'EMAIL' },
+        { idempotent: true, operation: 'create_wallet', accept: [409] }
+      );
+      if (res.wallet) return res.wallet;
+      if (!res.walletId) {
+        const message = `Para API error (409): ${res.message || 'wallet already exists'}`;
+        throw new ApiError('PARA_ERROR', { cause: new Error(message) });
+      }
+      return getWallet(res.walletId);
+    },
+
+    getWallet,
+
+    // Signing the same digest twice is harmless, so this is retried like a GET
+    signRaw(walletId, data) {
+      return request(
+        'POST',
+        `/wallets/${walletId}/sign-raw`,
+        { data },
+        { idempotent: true, operation: 'sign_raw' }
+      );
+    },
+  };
+}
@@ -0,0 +1,373 @@
+import { ethers } from 'ethers';
+import { createKeyedLock } from './lock.js';
+import { ApiError } from './errors.js';
+
+// Transfer policy engine, evaluated before POST /send signs anything.
+//
+// A policy looks like:
+//   {
+//     "max_per_tx":   { "ETH": "0.5", "USDC": "1000" },
+//     "daily_limit":  { "ETH": "1" },              rolling 24 hours
+//     "weekly_limit": { "ETH": "5", "USDC": "5000" },  rolling 7 days
+//     "require_allowlist": true,
+//     "allowlist": [{ "address": "0x...", "label": "Payroll", "added_at": "..." }],
+//     "denylist": ["0x..."],
+//     "new_recipient_cooldown_hours": 24,
+//     "approval_threshold": { "ETH": "0.1" }         sends above need a second factor
+//   }
+//
+// Limits are in whole units per asset symbol, summed across chains. The
+// effective policy is DEFAULT_POLICY with the user's row (user_policies) on
+// top: a user's limit replaces the default for that asset (null lifts it),
+// and the allow/deny lists are the union of both. Allowlist entries added less
+// than new_recipient_cooldown_hours ago can't receive funds yet.
+//
+// approval_threshold isn't a limit: sends above it go ahead only once
+// confirmed with a second factor (lib/approvals.js).
+
+export const LIMIT_RULES = ['max_per_tx', 'daily_limit', 'weekly_limit'];
+// Per-asset amount maps, merged the same way
+const AMOUNT_RULES = [...LIMIT_RULES, 'approval_threshold'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const WINDOWS = [
+  { rule: 'daily_limit', ms: 24 * HOUR_MS, label: '24 hours' },
+  { rule: 'weekly_limit', ms: 7 * 24 * HOUR_MS, label: '7 days' },
+];
+
+// Ledger entries that count towards rolling limits (cancels send nothing).
+// An original still pending with replaced_by set is left out: its speedup
+// carries the same amount, and a cancel means it won't go through. Only one
+// of the two can be mined; the tracker marks the other 'replaced'.
+const SPENDING_KINDS = ['transfer', 'speedup'];
+const SPENDING_STATUSES = ['pending', 'confirmed', 'final'];
+const PAGE_SIZE = 1000;
+
+// Amounts are compared as 18-decimal fixed point
+const DECIMALS = 18;
+
+const EMPTY_POLICY = {
+  max_per_tx: {},
+  daily_limit: {},
+  weekly_limit: {},
+  approval_threshold: {},
+  require_allowlist: false,
+  allowlist: [],
+  denylist: [],
+  new_recipient_cooldown_hours: 0,
+};
+
+function toUnits(amount) {
+  return ethers.parseUnits(String(amount), DECIMALS);
+}
+
+function formatUnits(units) {
+  return ethers.formatUnits(units, DECIMALS).replace(/\.0$/, '');
+}
+
+function checkAddress(address, where) {
+  if (typeof address !== 'string' || !ethers.isAddress(address)) {
+    throw new Error(`Invalid address in ${where}: ${JSON.stringify(address)}`);
+  }
+  return ethers.getAddress(address);
+}
+
+// Validate a policy object (DEFAULT_POLICY or a user_policies row), returning
+// it with addresses checksummed and limits as strings
+export function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Policy must be a JSON object');
+  }
+
+  const unknown = Object.keys(policy).filter((key) => !(key in EMPTY_POLICY));
+  if (unknown.length) {
+    throw new Error(`Unknown policy fields: ${unknown.join(', ')}`);
+  }
+
+  const normalized = {};
+
+  for (const rule of AMOUNT_RULES) {
+    if (policy[rule] === undefined) continue;
+    if (!policy[rule] || typeof policy[rule] !== 'object') {
+      throw new Error(`${rule} must map asset symbols to amounts`);
+    }
+    normalized[rule] = Object.fromEntries(
+      Object.entries(policy[rule]).map(([symbol, limit]) => {
+        if (limit !== null && !(/^\d+(\.\d+)?$/.test(String(limit)) && toUnits(limit) > 0n)) {
+          throw new Error(`${rule}.${symbol} must be a positive amount or null`);
+        }
+        return [symbol.toUpperCase(), limit === null ? null : String(limit)];
+      })
+    );
+  }
+
+  if (policy.require_allowlist !== undefined) {
+    if (typeof policy.require_allowlist !== 'boolean') {
+      throw new Error('require_allowlist must be true or false');
+    }
+    normalized.require_allowlist = policy.require_allowlist;
+  }
+
+  if (policy.allowlist !== undefined) {
+    if (!Array.isArray(policy.allowlist)) throw new Error('allowlist must be an array');
+    normalized.allowlist = policy.allowlist.map((entry) => {
+      const { address, label = null, added_at = null } =
+        typeof entry === 'string' ? { address: entry } : entry || {};
+      return { address: checkAddress(address, 'allowlist'), label, added_at };
+    });
+  }
+
+  if (policy.denylist !== undefined) {
+    if (!Array.isArray(policy.denylist)) throw new Error('denylist must be an array');
+    normalized.denylist = policy.denylist.map((address) => checkAddress(address, 'denylist'));
+  }
+
+  if (policy.new_recipient_cooldown_hours !== undefined) {
+    const hours = policy.new_recipient_cooldown_hours;
+    if (typeof hours !== 'number' || !(hours >= 0)) {
+      throw new Error('new_recipient_cooldown_hours must be a number >= 0');
+    }
+    normalized.new_recipient_cooldown_hours = hours;
+  }
+
+  return normalized;
+}
+
+// Parse the DEFAULT_POLICY env var (JSON); no policy means no restrictions
+export function parsePolicy(json) {
+  return json ? normalizePolicy(JSON.parse(json)) : {};
+}
+
+function mergePolicies(base, override) {
+  const merged = { ...EMPTY_POLICY, ...base, ...override };
+
+  for (const rule of AMOUNT_RULES) {
+    const limits = { ...base[rule], ...override[rule] };
+    merged[rule] = Object.fromEntries(Object.entries(limits).filter(([, v]) => v !== null));
+  }
+
+  merged.allowlist = [...(base.allowlist || []), ...(override.allowlist || [])];
+  merged.denylist = [...new Set([...(base.denylist || []), ...(override.denylist || [])])];
+  return merged;
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+export function createPolicyEngine({ chains, store, config }) {
+  const defaults = config.defaultPolicy || {};
+  const lock = createKeyedLock();
+
+  // The user's own overrides, as stored
+  async function userPolicy(userId) {
+    const policy = await store.policies.get(userId);
+    try {
+      return policy ? normalizePolicy(policy) : {};
+    } catch (err) {
+      throw new Error(`Invalid policy for user ${userId}: ${err.message}`);
+    }
+  }
+
+  async function effectivePolicy(userId) {
+    return mergePolicies(defaults, await userPolicy(userId));
+  }
+
+  function assetOf(row) {
+    return (row.token_symbol ?? chains.find(row.chain_id)?.nativeSymbol ?? 'ETH').toUpperCase();
+  }
+
+  // Ledger entries that count towards the rolling limits, newest first
+  async function recentSpending(userId) {
+    const since = new Date(Date.now() - Math.max(...WINDOWS.map((w) => w.ms)));
+    const rows = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { transactions, total } = await store.transactions.list({
+        userId,
+        status: SPENDING_STATUSES,
+        since,
+        limit: PAGE_SIZE,
+        offset,
+      });
+      rows.push(...transactions);
+      if (!transactions.length || rows.length >= total) break;
+    }
+    return rows.filter(
+      (row) =>
+        SPENDING_KINDS.includes(row.kind ?? 'transfer') &&
+        !(row.replaced_by && row.status === 'pending')
+    );
+  }
+
+  // Units of `asset` sent in each window
+  function usedIn(rows, asset) {
+    const now = Date.now();
+    return Object.fromEntries(
+      WINDOWS.map(({ rule, ms }) => [
+        rule,
+        rows
+          .filter((row) => assetOf(row) === asset && now - new Date(row.created_at) < ms)
+          .reduce((sum, row) => sum + toUnits(row.amount), 0n),
+      ])
+    );
+  }
+
+  // Check a prepared transfer against the user's policy. Every failing rule is
+  // reported, e.g. { rule: 'daily_limit', asset: 'ETH', limit: '1', used: '0.8',
+  // requested: '0.5', message }.
+  async function evaluate(userId, transfer) {
+    const policy = await effectivePolicy(userId);
+    const asset = (transfer.asset?.symbol ?? transfer.chain.nativeSymbol).toUpperCase();
+    const amount = toUnits(transfer.amount);
+    const violations = [];
+
+    if (policy.denylist.some((address) => sameAddress(address, transfer.to))) {
+      violations.push({ rule: 'denylist', message: 'Recipient is on the denylist' });
+    }
+
+    const entry = policy.allowlist.find((e) => sameAddress(e.address, transfer.to));
+    if (policy.require_allowlist && !entry) {
+      violations.push({ rule: 'allowlist', message: 'Recipient is not on the allowlist' });
+    }
+
+    if (entry?.added_at && policy.new_recipient_cooldown_hours > 0) {
+      const usableAt = new Date(
+        new Date(entry.added_at).getTime() + policy.new_recipient_cooldown_hours * HOUR_MS
+      );
+      if (usableAt > new Date()) {
+        violations.push({
+          rule: 'recipient_cooldown',
+          usable_at: usableAt.toISOString(),
+          message: `Recipient was added recently; it can receive funds from ${usableAt.toISOString()}`,
+        });
+      }
+    }
+
+    const maxPerTx = policy.max_per_tx[asset];
+    if (maxPerTx && amount > toUnits(maxPerTx)) {
+      violations.push({
+        rule: 'max_per_tx',
+        asset,
+        limit: maxPerTx,
+        requested: transfer.amount,
+        message: `Amount exceeds the per-transaction limit of ${maxPerTx} ${asset}`,
+      });
+    }
+
+    if (WINDOWS.some(({ rule }) => policy[rule][asset])) {
+      const used = usedIn(await recentSpending(userId), asset);
+
+      for (const { rule, label } of WINDOWS) {
+        const limit = policy[rule][asset];
+        if (!limit || used[rule] + amount <= toUnits(limit)) continue;
+
+        const remaining = formatUnits(
+          toUnits(limit) > used[rule] ? toUnits(limit) - used[rule] : 0n
+        );
+        violations.push({
+          rule,
+          asset,
+          limit,
+          used: formatUnits(used[rule]),
+          remaining,
+          requested: transfer.amount,
+          message: `Exceeds the ${limit} ${asset} limit per ${label}; ${remaining} ${asset} left`,
+        });
+      }
+    }
+
+    return { allowed: violations.length === 0, violations };
+  }
+
+  // The approval_threshold a transfer is above, as { asset, threshold }, or
+  // null if it can go ahead without a second factor
+  async function approvalThreshold(userId, transfer) {
+    const policy = await effectivePolicy(userId);
+    const asset = (transfer.asset?.symbol ?? transfer.chain.nativeSymbol).toUpperCase();
+    const threshold = policy.approval_threshold[asset];
+    if (!threshold || toUnits(transfer.amount) <= toUnits(threshold)) return null;
+    return { asset, threshold };
+  }
+
+  // Throws ACCOUNT_FROZEN while an admin has frozen the user's sends
+  async function assertCanSend(userId) {
+    const freeze = await store.freezes.get(userId);
+    if (freeze) throw new ApiError('ACCOUNT_FROZEN', { details: { frozen_at: freeze.created_at } });
+  }
+
+  // Limits and how much of each rolling window is used, per asset
+  async function usage(userId) {
+    const policy = await effectivePolicy(userId);
+    const assets = [...new Set(WINDOWS.flatMap(({ rule }) => Object.keys(policy[rule])))];
+    const rows = assets.length ? await recentSpending(userId) : [];
+
+    const summary = assets.map((asset) => {
+      const used = usedIn(rows, asset);
+      const windows = WINDOWS.filter(({ rule }) => policy[rule][asset]).map(({ rule }) => {
+        const limit = toUnits(policy[rule][asset]);
+        return [
+          rule,
+          {
+            limit: policy[rule][asset],
+            used: formatUnits(used[rule]),
+            remaining: formatUnits(limit > used[rule] ? limit - used[rule] : 0n),
+          },
+        ];
+      });
+      return { asset, ...Object.fromEntries(windows) };
+    });
+
+    return { policy, usage: summary };
+  }
+
+  // Serialize evaluate + send per user so concurrent sends can't both fit
+  // under a limit. In-process only, like the nonce lock.
+  function withLock(userId, fn) {
+    return lock(userId, fn);
+  }
+
+  // Users manage their own lists; limits are set by operators. Adding to the
+  // allowlist starts the recipient's cooldown.
+  async function addRecipient(userId, list, address, label = null) {
+    address = checkAddress(address, list);
+    const policy = await userPolicy(userId);
+    const entries = policy[list] || [];
+
+    if (list === 'allowlist') {
+      const existing = entries.find((e) => sameAddress(e.address, address));
+      if (existing) return existing;
+
+      const entry = { address, label, added_at: new Date().toISOString() };
+      await store.policies.save(userId, { ...policy, allowlist: [...entries, entry] });
+      return entry;
+    }
+
+    if (!entries.some((a) => sameAddress(a, address))) {
+      await store.policies.save(userId, { ...policy, denylist: [...entries, address] });
+    }
+    return { address };
+  }
+
+  // Resolves to false if the address wasn't on the user's own list
+  async function removeRecipient(userId, list, address) {
+    const policy = await userPolicy(userId);
+    const entries = policy[list] || [];
+    const kept = entries.filter((e) => !sameAddress(e.address ?? e, address));
+    if (kept.length === entries.length) return false;
+
+    await store.policies.save(userId, { ...policy, [list]: kept });
+    return true;
+  }
+
+  return {
+    effectivePolicy,
+    evaluate,
+    approvalThreshold,
+    assertCanSend,
+    usage,
+    withLock,
+    addRecipient,
+    removeRecipient,
+  };
+}
@@ -0,0 +1,207 @@
+import { toApiError } from './errors.js';
+import { logger } from './logger.js';
+
+// Wallet provisioning: creates each new user's Para wallet outside the signup
+// request, and retries until it exists.
+//
+// /signup records a job (store.provisioning) and starts a first attempt
+// without waiting for it. A failed attempt schedules the next one at
+// next_attempt_at, backing off from provisionRetryBaseMs; after
+// provisionMaxAttempts the job is 'failed' until the user retries with
+// POST /wallet/provision. Due jobs are picked up by the background worker
+// (start(), long-running hosts), or by `node scripts/provision.js` from cron
+// where none runs (Vercel).
+//
+// An attempt locks its job for LOCK_MS, so two instances never work on the
+// same user at once. Every attempt, successful or not, is audited as
+// wallet.create. GET /wallet doesn't attempt anything (see check()): a
+// signup attempt frozen along with its serverless function holds the lock
+// until it runs out, but once Para has the wallet, check() finishes the job.
+
+const LOCK_MS = 2 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+export function describeJob(job) {
+  return {
+    wallet_status: job.status,
+    attempts: job.attempts,
+    last_error: job.last_error,
+    next_attempt_at: job.next_attempt_at,
+  };
+}
+
+export function createWalletProvisioner({ para, store, wallets, webhooks, audit, config }) {
+  let timer = null;
+  let running = false;
+
+  // Doubling, with jitter so jobs that failed together don't retry together
+  function retryDelay(attempts) {
+    const delay = Math.min(config.provisionRetryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  async function createWallet(job) {
+    // Keep Para's id right away so a retry polls this wallet instead of
+    // creating another
+    let walletId = job.para_wallet_id;
+    if (!walletId) {
+      walletId = (await para.createWallet(job.email)).id;
+      await store.provisioning.update(job.user_id, { para_wallet_id: walletId });
+    }
+
+    await saveWallet(job, walletId, await wallets.waitUntilReady(walletId));
+  }
+
+  // Store the ready Para wallet as the user's, once: an attempt and check()
+  // can both get here
+  async function saveWallet(job, walletId, paraWallet) {
+    if (await store.wallets.getWallet(job.user_id, walletId)) return;
+
+    const address = paraWallet.address || (await wallets.getWalletAddress(walletId));
+    try {
+      await store.wallets.addWallet({ userId: job.user_id, walletId, address, type: 'EVM' });
+    } catch (err) {
+      if (await store.wallets.getWallet(job.user_id, walletId)) return;
+      throw err;
+    }
+    await audit.record('wallet.create', {
+      targetUserId: job.user_id,
+      outcome: 'success',
+      details: { wallet_id: walletId, address, attempt: job.attempts + 1 },
+    });
+    await webhooks.emit(job.user_id, 'wallet.created', { wallet_id: walletId, address });
+  }
+
+  // Run the user's job if it's due and not locked; resolves to the job as it
+  // stands afterwards (null if there is none)
+  async function attempt(userId) {
+    const job = await store.provisioning.claim(userId, new Date(Date.now() + LOCK_MS));
+    if (!job) return store.provisioning.get(userId);
+
+    try {
+      await createWallet(job);
+      return markReady(userId);
+    } catch (err) {
+      // check() may have finished the job meanwhile
+      const current = await store.provisioning.get(userId);
+      if (current?.status === 'ready') return current;
+
+      const attempts = job.attempts + 1;
+      const failed = attempts >= config.provisionMaxAttempts;
+      logger.error('Wallet provisioning error', {
+        user_id: userId,
+        attempt: attempts,
+        error: err.message,
+      });
+      await audit.record('wallet.create', {
+        targetUserId: userId,
+        outcome: 'failure',
+        details: { wallet_id: job.para_wallet_id, attempt: attempts, error: toApiError(err).code },
+      });
+
+      return store.provisioning.update(userId, {
+        status: failed ? 'failed' : 'provisioning',
+        attempts,
+        last_error: toApiError(err).code,
+        next_attempt_at: failed ? null : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+        locked_until: null,
+      });
+    }
+  }
+
+  function markReady(userId) {
+    return store.provisioning.update(userId, {
+      status: 'ready',
+      last_error: null,
+      next_attempt_at: null,
+      locked_until: null,
+    });
+  }
+
+  function attemptInBackground(userId) {
+    attempt(userId).catch((err) =>
+      logger.error('Wallet provisioning error', { user_id: userId, error: err.message })
+    );
+  }
+
+  // Record a job for a new user and start on it without waiting
+  async function enqueue(userId, email) {
+    const job = await store.provisioning.create({ userId, email });
+    attemptInBackground(userId);
+    return job;
+  }
+
+  // GET /wallet: the user's job (null if there is none). Once Para has been
+  // asked for the wallet, one status request without retries, finishing the
+  // job if it's ready; creating the wallet and retrying are left to attempt().
+  async function check(userId) {
+    const job = await store.provisioning.get(userId);
+    if (job?.status !== 'provisioning' || !job.para_wallet_id) return job;
+
+    try {
+      const paraWallet = await para.getWallet(job.para_wallet_id, { retries: 0 });
+      if (paraWallet.status !== 'ready') return job;
+
+      await saveWallet(job, job.para_wallet_id, paraWallet);
+      return markReady(userId);
+    } catch (err) {
+      logger.warn('Wallet status check error', { user_id: userId, error: err.message });
+      return job;
+    }
+  }
+
+  // POST /wallet/provision: attempt now, restarting a failed job. Users who
+  // signed up before provisioning jobs existed get one here.
+  async function retry(userId, email) {
+    const job =
+      (await store.provisioning.get(userId)) ||
+      (await store.provisioning.create({ userId, email }));
+    if (job.status === 'ready') return job;
+
+    await store.provisioning.update(userId, {
+      status: 'provisioning',
+      attempts: job.status === 'failed' ? 0 : job.attempts,
+      next_attempt_at: new Date().toISOString(),
+    });
+    return attempt(userId);
+  }
+
+  // One pass over the due jobs
+  async function poll() {
+    if (running) return { attempted: 0, ready: 0 };
+    running = true;
+
+    let attempted = 0;
+    let ready = 0;
+    try {
+      for (const job of await store.provisioning.listDue(BATCH_SIZE)) {
+        try {
+          const result = await attempt(job.user_id);
+          attempted++;
+          if (result?.status === 'ready') ready++;
+        } catch (err) {
+          logger.error('Wallet provisioning error', { user_id: job.user_id, error: err.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return { attempted, ready };
+  }
+
+  function start(intervalMs = config.provisionIntervalMs) {
+    if (timer || !intervalMs) return;
+    timer = setInterval(() => {
+      poll().catch((err) => logger.error('Wallet provisioner error', { error: err.message }));
+    }, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, attempt, check, retry, poll, start, stop };
+}
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import { ApiError } from './errors.js';
+
+// Rate limits per route, and progressive lockout of accounts after failed
+// logins. Over-limit requests get 429 with Retry-After (in seconds):
+//   { "error": "...", "code": "RATE_LIMITED" | "LOGIN_LOCKED", "retry_after": 42 }
+//
+// Each route has a budget per caller dimension: the client IP, the email in
+// the body, the signed-in user. RATE_LIMITS overrides the defaults as JSON,
+// "<count>/<window>" with s, m, h or d (null lifts a budget, "off" lifts all):
+//   RATE_LIMITS='{"login": {"ip": "100/15m"}, "send": {"user": "30/1m"}}'
+//
+// Logins: after loginLockoutThreshold failures for an address (counted over
+// loginFailureWindowMs), it is locked for loginLockoutBaseMs, doubling with
+// each further failure up to loginLockoutMaxMs. Signing in clears the count.
+//
+// Counters live in the rate limit store (lib/stores/rate-limits.js). Keys hold
+// a hash of the IP, email or user id, not the value itself.
+
+export const DEFAULT_RATE_LIMITS = {
+  // Each signup creates a Para wallet, which costs us
+  signup: { ip: '5/1h', email: '3/1h' },
+  login: { ip: '30/15m', email: '10/15m' },
+  send: { ip: '60/1m', user: '10/1m' },
+};
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// The address a request is about: the one in the body, else the signed-in
+// user's (password re-checks, e.g. POST /mfa/totp)
+function emailOf(req) {
+  const email = typeof req.body?.email === 'string' ? req.body.email : req.user?.email;
+  return email ? email.toLowerCase() : null;
+}
+
+// Who a request counts against, per dimension (null: not counted)
+const CALLERS = {
+  ip: (req) => req.ip ?? null,
+  email: emailOf,
+  user: (req) => req.user?.id ?? null,
+};
+
+function parseBudget(route, dimension, text) {
+  const match = /^(\d+)\/(\d*)([smhd])$/.exec(String(text).trim());
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid RATE_LIMITS ${route}.${dimension}: "${text}" (e.g. "10/15m")`);
+  }
+  return { limit: Number(match[1]), windowMs: Number(match[2] || 1) * UNITS[match[3]] };
+}
+
+// RATE_LIMITS -> { route: { dimension: { limit, windowMs } } }, defaults included
+export function parseRateLimits(json) {
+  if (json?.trim() === 'off') return {};
+  const overrides = json ? JSON.parse(json) : {};
+
+  const parsed = {};
+  for (const [route, defaults] of Object.entries(DEFAULT_RATE_LIMITS)) {
+    const budgets = { ...defaults, ...overrides[route] };
+    parsed[route] = {};
+    for (const [dimension, text] of Object.entries(budgets)) {
+      if (!CALLERS[dimension]) {
+        throw new Error(`Unknown RATE_LIMITS dimension ${route}.${dimension}`);
+      }
+      if (text !== null) parsed[route][dimension] = parseBudget(route, dimension, text);
+    }
+  }
+
+  const unknown = Object.keys(overrides).filter((route) => !DEFAULT_RATE_LIMITS[route]);
+  if (unknown.length) {
+    const known = Object.keys(DEFAULT_RATE_LIMITS).join(', ');
+    throw new Error(`Unknown RATE_LIMITS route(s): ${unknown.join(', ')}. Known: ${known}`);
+  }
+  return parsed;
+}
+
+function hashed(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+}
+
+function tooMany(code, res, resetAt) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return new ApiError(code, { details: { retry_after: retryAfter } });
+}
+
+export function createRateLimiter({ store, config }) {
+  const budgets = config.rateLimits ?? {};
+  const lockout = config.loginLockout;
+
+  // Express middleware counting the request against each of `route`'s
+  // budgets. Mount it after validation and auth so the email and user are known.
+  function limit(route) {
+    return async (req, res, next) => {
+      try {
+        for (const [dimension, { limit: max, windowMs }] of Object.entries(budgets[route] ?? {})) {
+          const caller = CALLERS[dimension](req);
+          if (!caller) continue;
+
+          const key = `${route}:${dimension}:${hashed(caller)}`;
+          const { count, resetAt } = await store.hit(key, windowMs);
+          if (count > max) return next(tooMany('RATE_LIMITED', res, resetAt));
+        }
+        next();
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  const failuresKey = (email) => `login:failures:${hashed(email.toLowerCase())}`;
+  const lockKey = (email) => `login:lock:${hashed(email.toLowerCase())}`;
+
+  // Express middleware refusing logins to a locked address before the
+  // password is tried
+  async function checkLoginLock(req, res, next) {
+    try {
+      const email = emailOf(req);
+      const lock = lockout.threshold && email ? await store.get(lockKey(email)) : null;
+      next(lock ? tooMany('LOGIN_LOCKED', res, lock.resetAt) : undefined);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // A wrong password: locks the address once failures reach the threshold,
+  // for longer with each one after
+  async function loginFailed(email) {
+    if (!lockout.threshold) return;
+    const { count } = await store.hit(failuresKey(email), lockout.failureWindowMs);
+    if (count < lockout.threshold) return;
+
+    const lockMs = Math.min(lockout.baseMs * 2 ** (count - lockout.threshold), lockout.maxMs);
+    await store.reset(lockKey(email));
+    await store.hit(lockKey(email), lockMs);
+  }
+
+  async function loginSucceeded(email) {
+    if (!lockout.threshold) return;
+    await store.reset(failuresKey(email));
+  }
+
+  return { limit, checkLoginLock, loginFailed, loginSucceeded };
+}
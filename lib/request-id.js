@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Gives every request an id (req.id), echoed in the X-Request-Id header and in
+// error bodies so a client's report can be matched to the server logs. An
+// X-Request-Id sent by the caller or a proxy is kept if it looks sane.
+const HEADER = 'X-Request-Id';
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+// The request being handled, for code below the routes (signing, wallet
+// creation) that records who asked without being passed `req`
+const requests = new AsyncLocalStorage();
+
+export function assignRequestId(req, res, next) {
+  const given = req.get(HEADER);
+  req.id = given && VALID_ID.test(given) ? given : crypto.randomUUID();
+  res.set(HEADER, req.id);
+  next();
+}
+
+// Mount after the body parser: its stream callbacks don't keep the context
+export function trackRequest(req, res, next) {
+  requests.run(req, next);
+}
+
+// The current request, or null outside one (background workers, scripts)
+export function currentRequest() {
+  return requests.getStore() ?? null;
+}
@@ -0,0 +1,393 @@
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { describeJob } from '../provisioner.js';
+import { authError } from './auth.js';
+import { DIRECTIONS, STATUSES, listHistory } from './transactions.js';
+import * as v from '../validation.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_REASON_LENGTH = 500;
+// Exports page through a table EXPORT_PAGE rows at a time, up to
+// MAX_EXPORT_ROWS rows
+const EXPORT_PAGE = 500;
+const MAX_EXPORT_ROWS = 10000;
+const EXPORT_DATASETS = ['users', 'transactions', 'deposits', 'audit'];
+const EXPORT_FORMATS = ['json', 'csv'];
+
+function describeFreeze(freeze) {
+  if (!freeze) return null;
+  return { reason: freeze.reason, frozen_by: freeze.frozen_by, frozen_at: freeze.created_at };
+}
+
+// One column per key seen in any row. Objects become JSON; cells a
+// spreadsheet would run as a formula are prefixed with '.
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = rows.map((row) => columns.map((column) => cell(row[column])).join(','));
+  return [columns.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// GET /admin/users, GET /admin/users/:id, POST/DELETE /admin/users/:id/freeze,
+// POST /admin/users/:id/provision, GET /admin/transactions,
+// GET /admin/export/:dataset, GET /admin/audit
+//
+// For operators: an admin key or an admin role (see requireAdmin in
+// lib/auth.js). Every request, refused ones included, goes to the audit log.
+export function createAdminRouter({
+  getSupabaseClient,
+  auth,
+  audit,
+  store,
+  wallets,
+  chains,
+  provisioner,
+}) {
+  const router = express.Router();
+  const { requireAdmin } = auth;
+  const { audited } = audit;
+
+  const idSchema = { params: { id: v.uuid() } };
+  const usersSchema = {
+    query: {
+      chain: v.optional(v.chain(chains)),
+      page: v.optional(v.integer({ min: 1 }), 1),
+      per_page: v.optional(v.integer({ min: 1, max: MAX_LIMIT }), DEFAULT_LIMIT),
+    },
+  };
+  const freezeSchema = {
+    params: idSchema.params,
+    body: { reason: v.optional(v.string({ max: MAX_REASON_LENGTH }), null) },
+  };
+  const searchSchema = {
+    query: {
+      address: v.optional(v.address()),
+      hash: v.optional(v.txHash()),
+      user_id: v.optional(v.uuid()),
+      direction: v.optional(v.oneOf(DIRECTIONS)),
+      status: v.optional(v.list(v.oneOf(STATUSES))),
+      chain: v.optional(v.chain(chains)),
+      since: v.optional(v.date()),
+      until: v.optional(v.date()),
+      limit: v.optional(v.integer({ min: 1, max: MAX_LIMIT }), DEFAULT_LIMIT),
+      offset: v.optional(v.integer(), 0),
+    },
+  };
+  const exportSchema = {
+    params: { dataset: v.oneOf(EXPORT_DATASETS) },
+    query: {
+      format: v.optional(v.oneOf(EXPORT_FORMATS), 'json'),
+      since: v.optional(v.date()),
+      until: v.optional(v.date()),
+    },
+  };
+  const auditSchema = {
+    query: {
+      actor_id: v.optional(v.string()),
+      action: v.optional(v.list(v.string({ max: 100 }))),
+      user_id: v.optional(v.uuid()),
+      outcome: v.optional(v.oneOf(['success', 'failure'])),
+      request_id: v.optional(v.string({ max: 128 })),
+      ip: v.optional(v.string({ max: 64 })),
+      since: v.optional(v.date()),
+      until: v.optional(v.date()),
+      limit: v.optional(v.integer({ min: 1, max: MAX_LIMIT }), DEFAULT_LIMIT),
+      offset: v.optional(v.integer(), 0),
+    },
+  };
+
+  // Supabase Auth owns the user list
+  async function listUsers(page, perPage) {
+    const client = getSupabaseClient();
+    const { data, error } = await client.auth.admin.listUsers({ page, perPage });
+    if (error) throw new ApiError('AUTH_UNAVAILABLE', { cause: error });
+    return { users: data.users, total: data.total ?? null };
+  }
+
+  async function getUser(userId) {
+    const client = getSupabaseClient();
+    const { data, error } = await client.auth.admin.getUserById(userId);
+    if (error || !data.user) throw authError('USER_NOT_FOUND', error);
+    return data.user;
+  }
+
+  // ETH (and token) balances on one chain; an RPC failure is reported in place
+  async function chainBalances(address, chain, { tokens }) {
+    try {
+      const [balance, tokenBalances] = await Promise.all([
+        wallets.getWalletBalance(address, chain),
+        tokens ? wallets.getWalletTokenBalances(address, chain) : undefined,
+      ]);
+      return { chain: chain.key, balance_eth: balance, ...(tokens && { tokens: tokenBalances }) };
+    } catch (err) {
+      const { code, message } = toApiError(err);
+      return { chain: chain.key, balance_eth: null, error: message, code };
+    }
+  }
+
+  // A user with their wallets (balances on `balanceChains`), wallet
+  // provisioning and freeze
+  async function describeUser(user, balanceChains, { tokens = false } = {}) {
+    const [rows, job, freeze] = await Promise.all([
+      store.wallets.listWallets(user.id),
+      store.provisioning.get(user.id),
+      store.freezes.get(user.id),
+    ]);
+
+    const userWallets = await Promise.all(
+      rows.map(async (wallet) => ({
+        wallet_id: wallet.wallet_id,
+        address: wallet.address,
+        is_primary: wallet.is_primary,
+        created_at: wallet.created_at,
+        // No address cached until the wallet was first used
+        balances: wallet.address
+          ? await Promise.all(
+              balanceChains.map((chain) => chainBalances(wallet.address, chain, { tokens }))
+            )
+          : [],
+      }))
+    );
+
+    return {
+      id: user.id,
+      email: user.email,
+      role: user.app_metadata?.role ?? null,
+      created_at: user.created_at,
+      last_sign_in_at: user.last_sign_in_at ?? null,
+      wallet_status: rows.length ? 'ready' : (job?.status ?? null),
+      frozen: describeFreeze(freeze),
+      wallets: userWallets,
+    };
+  }
+
+  // One page of a dataset as flat rows; `done` once there are no more
+  async function exportPage(dataset, { since, until, limit, offset }) {
+    const filters = { since, until, limit, offset };
+    if (dataset === 'transactions') {
+      const { transactions } = await store.transactions.list(filters);
+      return { rows: transactions, done: transactions.length < limit };
+    }
+    if (dataset === 'deposits') {
+      const { deposits } = await store.deposits.list(filters);
+      return { rows: deposits, done: deposits.length < limit };
+    }
+    if (dataset === 'audit') {
+      const { entries } = await store.audit.list(filters);
+      return { rows: entries, done: entries.length < limit };
+    }
+
+    const { users } = await listUsers(offset / limit + 1, limit);
+    const inRange = users.filter((user) => {
+      const created = new Date(user.created_at);
+      return (!since || created >= since) && (!until || created <= until);
+    });
+    const rows = await Promise.all(
+      inRange.map(async (user) => {
+        const { wallets: userWallets, frozen, ...rest } = await describeUser(user, []);
+        return {
+          ...rest,
+          frozen: Boolean(frozen),
+          frozen_reason: frozen?.reason ?? null,
+          wallet_ids: userWallets.map((w) => w.wallet_id).join(' '),
+          addresses: userWallets.map((w) => w.address ?? '').join(' '),
+        };
+      })
+    );
+    return { rows, done: users.length < limit };
+  }
+
+  router.get(
+    '/admin/users',
+    audited('admin.users.list', (req) => ({ query: req.query })),
+    requireAdmin,
+    v.validate(usersSchema),
+    async (req, res, next) => {
+      try {
+        const { page, per_page: perPage } = req.query;
+        const chain = chains.find(req.query.chain);
+
+        const { users, total } = await listUsers(page, perPage);
+        const described = await Promise.all(users.map((user) => describeUser(user, [chain])));
+
+        res.json({ users: described, total, page, per_page: perPage });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    '/admin/users/:id',
+    audited('admin.users.get'),
+    requireAdmin,
+    v.validate(idSchema),
+    async (req, res, next) => {
+      try {
+        const user = await getUser(req.params.id);
+        res.json(await describeUser(user, chains.list(), { tokens: true }));
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // Stops /send, quotes and approvals until lifted; transactions already
+  // broadcast aren't affected
+  router.post(
+    '/admin/users/:id/freeze',
+    audited('admin.users.freeze', (req) => ({ reason: req.body?.reason ?? null })),
+    requireAdmin,
+    v.validate(freezeSchema),
+    async (req, res, next) => {
+      try {
+        const user = await getUser(req.params.id);
+        const freeze = await store.freezes.freeze(user.id, {
+          reason: req.body.reason,
+          frozenBy: req.admin.email ?? req.admin.type,
+        });
+
+        res.json({ user_id: user.id, frozen: describeFreeze(freeze) });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.delete(
+    '/admin/users/:id/freeze',
+    audited('admin.users.unfreeze'),
+    requireAdmin,
+    v.validate(idSchema),
+    async (req, res, next) => {
+      try {
+        const user = await getUser(req.params.id);
+        const unfrozen = await store.freezes.unfreeze(user.id);
+
+        res.json({ user_id: user.id, frozen: null, unfrozen });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // Same as the user's own POST /wallet/provision: 200 once the wallet
+  // exists, 202 while Para is still working on it
+  router.post(
+    '/admin/users/:id/provision',
+    audited('admin.users.provision'),
+    requireAdmin,
+    v.validate(idSchema),
+    async (req, res, next) => {
+      try {
+        const user = await getUser(req.params.id);
+
+        if (!(await store.wallets.getPrimaryWallet(user.id))) {
+          const job = await provisioner.retry(user.id, user.email);
+          if (job.status !== 'ready') {
+            return res.status(202).json({ user_id: user.id, ...describeJob(job) });
+          }
+        }
+
+        const wallet = await wallets.resolveWallet(user.id);
+        res.json({
+          user_id: user.id,
+          wallet_status: 'ready',
+          wallet_id: wallet.wallet_id,
+          address: wallet.address,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // Sends and deposits of every user, by address (either end), hash or user
+  router.get(
+    '/admin/transactions',
+    audited('admin.transactions.search', (req) => ({ query: req.query })),
+    requireAdmin,
+    v.validate(searchSchema),
+    async (req, res, next) => {
+      try {
+        const { address, hash, user_id: userId, direction, status, since, until } = req.query;
+        const { limit, offset } = req.query;
+        const chain = req.query.chain ? chains.find(req.query.chain) : null;
+        const filters = { userId, address, hash, status, chainId: chain?.chainId, since, until };
+
+        res.json(await listHistory(store, filters, { direction, limit, offset }));
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    '/admin/export/:dataset',
+    audited('admin.export', (req) => ({ dataset: req.params.dataset, query: req.query })),
+    requireAdmin,
+    v.validate(exportSchema),
+    async (req, res, next) => {
+      try {
+        const { dataset } = req.params;
+        const { format, since, until } = req.query;
+
+        let rows = [];
+        let done = false;
+        for (let offset = 0; !done && rows.length < MAX_EXPORT_ROWS; offset += EXPORT_PAGE) {
+          const page = await exportPage(dataset, { since, until, limit: EXPORT_PAGE, offset });
+          rows.push(...page.rows);
+          done = page.done;
+        }
+        const truncated = !done || rows.length > MAX_EXPORT_ROWS;
+        rows = rows.slice(0, MAX_EXPORT_ROWS);
+
+        const filename = `${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'json') return res.json({ dataset, rows, truncated });
+
+        res.set('X-Export-Truncated', String(truncated));
+        res.type('text/csv').send(toCsv(rows));
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    '/admin/audit',
+    audited('admin.audit.list', (req) => ({ query: req.query })),
+    requireAdmin,
+    v.validate(auditSchema),
+    async (req, res, next) => {
+      try {
+        const { actor_id: actorId, action, user_id: targetUserId, outcome } = req.query;
+        const { request_id: requestId, ip, since, until, limit, offset } = req.query;
+
+        const { entries, total } = await audit.list({
+          actorId,
+          action,
+          targetUserId,
+          outcome,
+          requestId,
+          ip,
+          since,
+          until,
+          limit,
+          offset,
+        });
+        res.json({ entries, total, limit, offset });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,87 @@
+import express from 'express';
+import { APPROVAL_STATUSES } from '../approvals.js';
+import * as v from '../validation.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// GET /approvals, GET /approvals/:id, POST /approvals/:id/confirm,
+// POST /approvals/:id/email, POST /approvals/:id/cancel,
+// POST /approvals/confirm-link
+export function createApprovalsRouter({ auth, approvals }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  const listSchema = {
+    query: {
+      status: v.optional(v.list(v.oneOf(APPROVAL_STATUSES))),
+      limit: v.optional(v.integer({ min: 1, max: MAX_LIMIT }), DEFAULT_LIMIT),
+      offset: v.optional(v.integer(), 0),
+    },
+  };
+  const idSchema = { params: { id: v.uuid() } };
+  const confirmSchema = { params: idSchema.params, body: { code: v.otp() } };
+  const linkSchema = { body: { token: v.string({ max: 128 }) } };
+
+  router.get('/approvals', requireAuth, v.validate(listSchema), async (req, res, next) => {
+    try {
+      const { status, limit, offset } = req.query;
+      const { approvals: found, total } = await approvals.list(req.user.id, {
+        status,
+        limit,
+        offset,
+      });
+      res.json({ approvals: found, total, limit, offset });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // No bearer token: the emailed link is the credential, and it may be opened
+  // on a device that isn't signed in
+  router.post('/approvals/confirm-link', v.validate(linkSchema), async (req, res, next) => {
+    try {
+      res.json(await approvals.confirmWithToken(req.body.token));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/approvals/:id', requireAuth, v.validate(idSchema), async (req, res, next) => {
+    try {
+      res.json(approvals.describe(await approvals.get(req.user.id, req.params.id)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const confirming = [requireAuth, v.validate(confirmSchema)];
+
+  router.post('/approvals/:id/confirm', confirming, async (req, res, next) => {
+    try {
+      res.json(await approvals.confirmWithCode(req.user.id, req.params.id, req.body.code));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const byId = [requireAuth, v.validate(idSchema)];
+
+  router.post('/approvals/:id/email', byId, async (req, res, next) => {
+    try {
+      res.json(await approvals.resendLink(req.user, req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/approvals/:id/cancel', byId, async (req, res, next) => {
+    try {
+      res.json(await approvals.cancel(req.user.id, req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,171 @@
+import express from 'express';
+import { createIdempotencyMiddleware } from '../idempotency.js';
+import { LOGOUT_SCOPES } from '../auth.js';
+import { ApiError } from '../errors.js';
+import * as v from '../validation.js';
+
+const signupSchema = { body: { email: v.email(), password: v.password() } };
+// No strength rules here: they'd lock out accounts created before them
+const loginSchema = { body: { email: v.email(), password: v.string({ max: 1024, trim: false }) } };
+const refreshSchema = { body: { refresh_token: v.string({ max: 1024 }) } };
+const logoutSchema = { body: { scope: v.optional(v.oneOf(LOGOUT_SCOPES), 'local') } };
+
+const EMAIL_TAKEN = ['email_exists', 'user_already_exists'];
+
+// The address an auth attempt was for, as sent (before validation)
+function attemptedEmail(req) {
+  const { email } = req.body ?? {};
+  return { email: typeof email === 'string' ? email.slice(0, 320) : null };
+}
+
+// Supabase Auth returns failures as { error }. Outages (network errors, 5xx)
+// aren't the caller's fault and get AUTH_UNAVAILABLE instead of `code`.
+export function authError(code, error) {
+  const unavailable = error?.name === 'AuthRetryableFetchError' || error?.status >= 500;
+  return new ApiError(unavailable ? 'AUTH_UNAVAILABLE' : code, { cause: error });
+}
+
+function describeSession({ user, session }) {
+  return {
+    user_id: user.id,
+    email: user.email,
+    access_token: session.access_token,
+    refresh_token: session.refresh_token,
+    expires_at: session.expires_at,
+  };
+}
+
+// POST /signup, POST /login, POST /auth/refresh, POST /auth/logout
+export function createAuthRouter({
+  getSupabaseClient,
+  getSessionClient,
+  auth,
+  provisioner,
+  store,
+  audit,
+  rateLimiter,
+  metrics,
+  config,
+}) {
+  const router = express.Router();
+  const { audited } = audit;
+  const { limit, checkLoginLock } = rateLimiter;
+
+  // A retried signup replays the first response instead of failing on
+  // "already registered"; keys are scoped per email
+  const idempotency = createIdempotencyMiddleware({
+    store,
+    config,
+    identify: (req) => req.body.email,
+  });
+
+  const signingUp = [
+    metrics.countOutcome(metrics.signups, (status) => (status < 400 ? 'success' : 'failure')),
+    audited('auth.signup', attemptedEmail),
+    v.validate(signupSchema),
+    limit('signup'),
+    idempotency,
+  ];
+
+  router.post('/signup', signingUp, async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      const client = getSupabaseClient();
+      const { data, error } = await client.auth.admin.createUser({
+        email,
+        password,
+        email_confirm: true,
+      });
+
+      if (error) {
+        throw authError(EMAIL_TAKEN.includes(error.code) ? 'EMAIL_TAKEN' : 'SIGNUP_FAILED', error);
+      }
+      res.locals.audit = { targetUserId: data.user.id };
+
+      // The wallet is created in the background (lib/provisioner.js);
+      // GET /wallet reports when it's ready
+      const job = await provisioner.enqueue(data.user.id, email);
+
+      res.json({
+        user_id: data.user.id,
+        email: data.user.email,
+        wallet_address: null,
+        wallet_status: job.status,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const loggingIn = [
+    audited('auth.login', attemptedEmail),
+    v.validate(loginSchema),
+    limit('login'),
+    checkLoginLock,
+  ];
+
+  router.post('/login', loggingIn, async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      const client = getSessionClient();
+      const { data, error } = await client.auth.signInWithPassword({
+        email,
+        password,
+      });
+
+      if (error) {
+        const err = authError('INVALID_CREDENTIALS', error);
+        // Outages aren't the caller's fault; only wrong passwords count
+        if (err.code === 'INVALID_CREDENTIALS') await rateLimiter.loginFailed(email);
+        throw err;
+      }
+      await rateLimiter.loginSucceeded(email);
+      res.locals.audit = { targetUserId: data.user.id };
+
+      res.json(describeSession(data));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/auth/refresh', v.validate(refreshSchema), async (req, res, next) => {
+    try {
+      const { refresh_token } = req.body;
+
+      const client = getSessionClient();
+      const { data, error } = await client.auth.refreshSession({ refresh_token });
+
+      if (error || !data.session) throw authError('REFRESH_TOKEN_INVALID', error);
+
+      res.json(describeSession(data));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const loggingOut = [auth.requireAuth, v.validate(logoutSchema)];
+
+  router.post('/auth/logout', loggingOut, async (req, res, next) => {
+    try {
+      const { scope } = req.body;
+
+      // Revokes the refresh token(s); access tokens stay valid until they
+      // expire, so this session's is also rejected locally
+      const client = getSupabaseClient();
+      const { error } = await client.auth.admin.signOut(req.token, scope);
+      if (error) throw authError('LOGOUT_FAILED', error);
+
+      if (scope !== 'others') {
+        auth.revokeSession(req.token, req.user);
+      }
+
+      res.json({ logged_out: true, scope });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
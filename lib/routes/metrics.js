@@ -0,0 +1,24 @@
+import express from 'express';
+import { bearerToken, sameSecret } from '../auth.js';
+import { ApiError } from '../errors.js';
+
+// GET /metrics: Prometheus text format (lib/metrics.js). Open unless
+// METRICS_TOKEN is set, in which case scrapers send it as a bearer token.
+export function createMetricsRouter({ metrics, config }) {
+  const router = express.Router();
+
+  router.get('/metrics', async (req, res, next) => {
+    try {
+      if (config.metricsToken) {
+        const token = bearerToken(req);
+        if (!token) throw new ApiError('AUTH_MISSING');
+        if (!sameSecret(token, config.metricsToken)) throw new ApiError('AUTH_INVALID');
+      }
+      res.type('text/plain; version=0.0.4').send(await metrics.render());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,141 @@
+import express from 'express';
+import { ApiError } from '../errors.js';
+import { generateTotpSecret, otpauthUrl, verifyTotp } from '../totp.js';
+import { authError } from './auth.js';
+import * as v from '../validation.js';
+import { logger } from '../logger.js';
+
+const enrollSchema = { body: { password: v.string({ max: 1024, trim: false }) } };
+const codeSchema = { body: { code: v.otp() } };
+
+function describeMfa(mfa) {
+  return {
+    totp: {
+      enrolled: Boolean(mfa?.confirmed_at),
+      pending: Boolean(mfa && !mfa.confirmed_at),
+      confirmed_at: mfa?.confirmed_at ?? null,
+    },
+  };
+}
+
+// GET /mfa, POST /mfa/totp, POST /mfa/totp/verify, DELETE /mfa/totp
+//
+// Enrolling an authenticator app switches approvals (lib/approvals.js) from
+// emailed links to codes.
+export function createMfaRouter({
+  getSupabaseClient,
+  getSessionClient,
+  auth,
+  store,
+  rateLimiter,
+  config,
+}) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  // A stolen access token alone mustn't be enough to enroll the thief's app.
+  // Wrong passwords count towards the login lockout (lib/rate-limit.js), so
+  // this can't be used to guess the password instead of /login.
+  async function checkPassword(email, password) {
+    const { data, error } = await getSessionClient().auth.signInWithPassword({ email, password });
+    if (error) {
+      const err = authError('INVALID_CREDENTIALS', error);
+      if (err.code === 'INVALID_CREDENTIALS') await rateLimiter.loginFailed(email);
+      throw err;
+    }
+    await rateLimiter.loginSucceeded(email);
+
+    // Only the check was wanted; end the session it opened
+    const { error: signOutError } = await getSupabaseClient().auth.admin.signOut(
+      data.session.access_token,
+      'local'
+    );
+    if (signOutError) {
+      logger.error('MFA re-auth sign-out error', { error: signOutError.message });
+    }
+  }
+
+  // Spend a code from the enrolled (or enrolling) app
+  async function checkCode(mfa, code) {
+    const step = verifyTotp(mfa.totp_secret, code, { after: mfa.last_used_step ?? -1 });
+    if (step === null || !(await store.mfa.useStep(mfa.user_id, step))) {
+      throw new ApiError('MFA_CODE_INVALID');
+    }
+  }
+
+  router.get('/mfa', requireAuth, async (req, res, next) => {
+    try {
+      res.json(describeMfa(await store.mfa.get(req.user.id)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Starts (or restarts) enrollment; the app is used once a code from it is
+  // verified
+  const enrolling = [
+    requireAuth,
+    v.validate(enrollSchema),
+    rateLimiter.limit('login'),
+    rateLimiter.checkLoginLock,
+  ];
+
+  router.post('/mfa/totp', enrolling, async (req, res, next) => {
+    try {
+      const { id: userId, email } = req.user;
+
+      const existing = await store.mfa.get(userId);
+      if (existing?.confirmed_at) throw new ApiError('MFA_ALREADY_ENROLLED');
+
+      await checkPassword(email, req.body.password);
+
+      const secret = generateTotpSecret();
+      await store.mfa.save(userId, secret);
+
+      res.status(201).json({
+        secret,
+        otpauth_url: otpauthUrl(secret, email, config.mfaIssuer),
+        ...describeMfa({ confirmed_at: null }),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const verifying = [requireAuth, v.validate(codeSchema)];
+
+  router.post('/mfa/totp/verify', verifying, async (req, res, next) => {
+    try {
+      const mfa = await store.mfa.get(req.user.id);
+      if (!mfa) throw new ApiError('MFA_NOT_ENROLLED');
+      if (mfa.confirmed_at) throw new ApiError('MFA_ALREADY_ENROLLED');
+
+      await checkCode(mfa, req.body.code);
+      const confirmed = await store.mfa.update(mfa.user_id, {
+        confirmed_at: new Date().toISOString(),
+      });
+
+      res.json(describeMfa(confirmed));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Later approvals fall back to emailed links; ones already waiting for a
+  // code can only be cancelled
+  router.delete('/mfa/totp', verifying, async (req, res, next) => {
+    try {
+      const mfa = await store.mfa.get(req.user.id);
+      if (!mfa?.confirmed_at) throw new ApiError('MFA_NOT_ENROLLED');
+
+      await checkCode(mfa, req.body.code);
+      await store.mfa.remove(mfa.user_id);
+
+      res.json(describeMfa(null));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,54 @@
+import express from 'express';
+import { ApiError } from '../errors.js';
+import * as v from '../validation.js';
+
+const LISTS = ['allowlist', 'denylist'];
+
+const addSchema = { body: { address: v.address(), label: v.optional(v.string({ max: 100 })) } };
+const removeSchema = { params: { address: v.address() } };
+
+// GET /policy, POST /policy/:list, DELETE /policy/:list/:address
+export function createPolicyRouter({ auth, policies }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  router.get('/policy', requireAuth, async (req, res, next) => {
+    try {
+      res.json(await policies.usage(req.user.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const adding = [requireAuth, v.validate(addSchema)];
+  const removing = [requireAuth, v.validate(removeSchema)];
+
+  for (const list of LISTS) {
+    router.post(`/policy/${list}`, adding, async (req, res, next) => {
+      try {
+        const { address, label } = req.body;
+        const entry = await policies.addRecipient(req.user.id, list, address, label);
+        res.json({ list, ...entry });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    router.delete(`/policy/${list}/:address`, removing, async (req, res, next) => {
+      try {
+        const removed = await policies.removeRecipient(req.user.id, list, req.params.address);
+        if (!removed) {
+          throw new ApiError('POLICY_ENTRY_NOT_FOUND', {
+            message: `Address is not on your ${list}`,
+          });
+        }
+
+        res.json({ list, address: req.params.address, removed: true });
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  return router;
+}
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import express from 'express';
+import { ApiError } from '../errors.js';
+import * as v from '../validation.js';
+
+const MAX_LABEL_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+
+function describeRecipient({ id, label, address, chain, notes, created_at, updated_at }) {
+  return { id, label, address, chain, notes, created_at, updated_at };
+}
+
+// GET/POST /recipients, GET/PATCH/DELETE /recipients/:id
+export function createRecipientsRouter({ auth, store, chains }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  // A mixed-case address with a bad checksum is a typo and is rejected;
+  // chain null/"" means the recipient can be paid on any chain
+  const createFields = {
+    label: v.string({ max: MAX_LABEL_LENGTH }),
+    address: v.address(),
+    chain: v.nullable(v.chain(chains)),
+    notes: v.nullable(v.string({ max: MAX_NOTES_LENGTH })),
+  };
+  const createSchema = { body: createFields };
+  // Only the fields present are updated
+  const updateSchema = {
+    params: { id: v.uuid() },
+    body: {
+      ...createFields,
+      label: v.optional(createFields.label),
+      address: v.optional(createFields.address),
+    },
+  };
+  const idSchema = { params: { id: v.uuid() } };
+
+  router.get('/recipients', requireAuth, async (req, res, next) => {
+    try {
+      const recipients = await store.recipients.list(req.user.id);
+      res.json({ recipients: recipients.map(describeRecipient) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/recipients', requireAuth, v.validate(createSchema), async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const fields = req.body;
+
+      const recipient = await store.recipients.create({
+        id: crypto.randomUUID(),
+        user_id: userId,
+        ...fields,
+      });
+      res.status(201).json(describeRecipient(recipient));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/recipients/:id', requireAuth, v.validate(idSchema), async (req, res, next) => {
+    try {
+      const recipient = await store.recipients.get(req.user.id, req.params.id);
+      if (!recipient) throw new ApiError('RECIPIENT_NOT_FOUND');
+
+      res.json(describeRecipient(recipient));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch('/recipients/:id', requireAuth, v.validate(updateSchema), async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const fields = req.body;
+
+      const recipient = await store.recipients.update(userId, req.params.id, fields);
+      if (!recipient) throw new ApiError('RECIPIENT_NOT_FOUND');
+
+      res.json(describeRecipient(recipient));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/recipients/:id', requireAuth, v.validate(idSchema), async (req, res, next) => {
+    try {
+      if (!(await store.recipients.remove(req.user.id, req.params.id))) {
+        throw new ApiError('RECIPIENT_NOT_FOUND');
+      }
+
+      res.json({ id: req.params.id, deleted: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
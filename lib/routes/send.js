@@ -0,0 +1,215 @@
+import express from 'express';
+import { FEE_TIERS } from '../transfers.js';
+import { createIdempotencyMiddleware } from '../idempotency.js';
+import { ApiError } from '../errors.js';
+import * as v from '../validation.js';
+
+// For sends_total: 202 means held for approval (lib/approvals.js)
+function sendOutcome(status) {
+  if (status === 202) return 'pending_approval';
+  return status < 400 ? 'sent' : 'failed';
+}
+
+// POST /send, POST /send/quote
+export function createSendRouter({
+  auth,
+  wallets,
+  transfers,
+  policies,
+  approvals,
+  chains,
+  store,
+  rateLimiter,
+  metrics,
+  config,
+}) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  // Retried sends must never broadcast twice; keys are scoped per user
+  const idempotency = createIdempotencyMiddleware({
+    store,
+    config,
+    identify: (req) => req.user.id,
+  });
+
+  const transferFields = {
+    to: v.optional(v.address()),
+    recipient_id: v.optional(v.uuid()),
+    amount: v.optional(v.amount()),
+    chain: v.optional(v.chain(chains)),
+    token: v.optional(v.string({ max: 64 })),
+    wallet_id: v.optional(v.string()),
+    fee_tier: v.optional(v.oneOf(Object.keys(FEE_TIERS)), 'normal'),
+  };
+
+  // A quote_id stands in for the whole transfer; otherwise amount and exactly
+  // one of to / recipient_id are required
+  function checkTransfer({ body }) {
+    if (body.quote_id) return [];
+
+    const fields = [];
+    if (!body.amount) {
+      fields.push({ field: 'amount', message: 'amount is required' });
+    }
+    if (!body.to && !body.recipient_id) {
+      fields.push({ field: 'to', message: 'to (or recipient_id) is required' });
+    }
+    if (body.to && body.recipient_id) {
+      fields.push({ field: 'recipient_id', message: 'pass either to or recipient_id, not both' });
+    }
+    return fields;
+  }
+
+  const quoteSchema = { body: transferFields, check: checkTransfer };
+  const sendSchema = {
+    body: { ...transferFields, quote_id: v.optional(v.uuid()) },
+    check: checkTransfer,
+  };
+
+  // Resolve a validated /send body and price the transfer; throws when the
+  // request can't go ahead
+  async function prepareFromBody(req, userId) {
+    const { recipient_id, amount, wallet_id, token: tokenRef, fee_tier: tier } = req.body;
+    const recipientField = recipient_id ? 'recipient_id' : 'to';
+    let to = req.body.to;
+    let chainRef = req.body.chain;
+
+    // A saved recipient supplies the address, and its chain unless one is given
+    if (recipient_id) {
+      const recipient = await store.recipients.get(userId, recipient_id);
+      if (!recipient) throw new ApiError('RECIPIENT_NOT_FOUND');
+      if (recipient.chain && chainRef && chainRef !== recipient.chain) {
+        const message = `recipient "${recipient.label}" is saved for chain ${recipient.chain}`;
+        throw v.invalidRequest([{ field: 'chain', message }]);
+      }
+      to = recipient.address;
+      chainRef = chainRef || recipient.chain;
+    }
+
+    // Only a saved recipient can name a chain that's since been removed
+    const chain = chains.find(chainRef);
+    if (!chain) {
+      throw v.invalidRequest([{ field: 'chain', message: `chain ${chainRef} is not configured` }]);
+    }
+
+    const asset = tokenRef ? chain.tokens.find(tokenRef) : null;
+    if (tokenRef && !asset) {
+      const message = `unknown token on ${chain.key}: ${tokenRef}`;
+      throw v.invalidRequest([{ field: 'token', message }]);
+    }
+
+    const decimals = (amount.split('.')[1] || '').length;
+    if (asset && decimals > asset.decimals) {
+      const message = `amount has too many decimals for ${asset.symbol} (max ${asset.decimals})`;
+      throw v.invalidRequest([{ field: 'amount', message }]);
+    }
+
+    const wallet = await wallets.resolveWallet(userId, wallet_id);
+    if (!wallet) throw new ApiError('WALLET_NOT_FOUND');
+
+    if (to.toLowerCase() === wallet.address.toLowerCase()) {
+      const message = 'cannot send to your own wallet';
+      throw v.invalidRequest([{ field: recipientField, message }]);
+    }
+
+    const transfer = await transfers.prepareTransfer({
+      chain,
+      asset,
+      from: wallet.address,
+      to,
+      amount,
+      tier,
+    });
+    if (!transfer.funds.sufficient) {
+      throw new ApiError('INSUFFICIENT_FUNDS', { details: transfers.describeCosts(transfer) });
+    }
+    return { wallet, transfer };
+  }
+
+  async function checkPolicy(userId, transfer) {
+    await policies.assertCanSend(userId);
+    const { allowed, violations } = await policies.evaluate(userId, transfer);
+    if (!allowed) throw new ApiError('POLICY_DENIED', { details: { violations } });
+  }
+
+  router.post('/send/quote', requireAuth, v.validate(quoteSchema), async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const { wallet, transfer } = await prepareFromBody(req, userId);
+
+      // Checked again when the quote is executed
+      await checkPolicy(userId, transfer);
+
+      const quote = await transfers.createQuote(userId, wallet.wallet_id, transfer);
+
+      res.json({
+        quote_id: quote.id,
+        expires_at: quote.expires_at,
+        ...transfers.describeCosts(transfer),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Limited before the idempotency key is claimed, so a 429 isn't stored as
+  // the key's response
+  const sending = [
+    metrics.countOutcome(metrics.sends, sendOutcome),
+    requireAuth,
+    v.validate(sendSchema),
+    rateLimiter.limit('send'),
+    idempotency,
+  ];
+
+  router.post('/send', sending, async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      let wallet;
+      let transfer;
+      let quote = null;
+
+      if (req.body.quote_id) {
+        // Execute exactly what was quoted; the rest of the body is ignored
+        quote = await store.quotes.get(req.body.quote_id);
+        if (!quote || quote.user_id !== userId) throw new ApiError('QUOTE_NOT_FOUND');
+        if (new Date(quote.expires_at) <= new Date()) throw new ApiError('QUOTE_EXPIRED');
+
+        wallet = await wallets.resolveWallet(userId, quote.wallet_id);
+        if (!wallet) throw new ApiError('WALLET_NOT_FOUND');
+        transfer = await transfers.transferFromQuote(quote, wallet.address);
+        if (!transfer.funds.sufficient) {
+          throw new ApiError('INSUFFICIENT_FUNDS', { details: transfers.describeCosts(transfer) });
+        }
+      } else {
+        ({ wallet, transfer } = await prepareFromBody(req, userId));
+      }
+
+      // Policy check and broadcast run under the user's lock, so the ledger the
+      // limits are computed from includes every earlier send. A denied quote
+      // stays unused.
+      await policies.withLock(userId, async () => {
+        await checkPolicy(userId, transfer);
+
+        if (quote && !(await store.quotes.markUsed(quote.id))) {
+          throw new ApiError('QUOTE_USED');
+        }
+
+        // Above the approval threshold nothing is signed until the user
+        // confirms (lib/approvals.js)
+        if (await policies.approvalThreshold(userId, transfer)) {
+          res.status(202).json(await approvals.request(req.user, wallet, transfer));
+          return;
+        }
+
+        res.json(await transfers.executeTransfer(userId, wallet, transfer));
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
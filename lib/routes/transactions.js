@@ -0,0 +1,152 @@
+import express from 'express';
+import { TERMINAL_STATUSES, TRACKED_STATUSES } from '../tracker.js';
+import { ApiError } from '../errors.js';
+import * as v from '../validation.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+export const STATUSES = [...TRACKED_STATUSES, ...TERMINAL_STATUSES];
+export const DIRECTIONS = ['in', 'out'];
+const hashSchema = { params: { hash: v.txHash() } };
+
+const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at);
+const sent = (tx) => ({ ...tx, direction: 'out' });
+const received = (deposit) => ({ ...deposit, direction: 'in' });
+
+// One page of sends ('out'), deposits ('in') or both, newest first, as
+// { transactions, total, limit, offset }. `filters` go to both stores' list().
+export async function listHistory(store, filters, { direction, limit, offset }) {
+  if (direction === 'out') {
+    const { transactions, total } = await store.transactions.list({ ...filters, limit, offset });
+    return { transactions: transactions.map(sent), total, limit, offset };
+  }
+  if (direction === 'in') {
+    const { deposits: found, total } = await store.deposits.list({ ...filters, limit, offset });
+    return { transactions: found.map(received), total, limit, offset };
+  }
+
+  // Both histories: the page can only come from the first offset + limit rows
+  // of each
+  const window = { ...filters, limit: offset + limit, offset: 0 };
+  const [outgoing, incoming] = await Promise.all([
+    store.transactions.list(window),
+    store.deposits.list(window),
+  ]);
+  const transactions = [...outgoing.transactions.map(sent), ...incoming.deposits.map(received)]
+    .sort(newestFirst)
+    .slice(offset, offset + limit);
+
+  return { transactions, total: outgoing.total + incoming.total, limit, offset };
+}
+
+// GET /transactions (sends and deposits), GET /transactions/:hash,
+// POST /transactions/:hash/speedup, POST /transactions/:hash/cancel
+export function createTransactionsRouter({
+  auth,
+  store,
+  chains,
+  tracker,
+  deposits,
+  wallets,
+  transfers,
+  policies,
+}) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  const listSchema = {
+    query: {
+      direction: v.optional(v.oneOf(DIRECTIONS)),
+      status: v.optional(v.list(v.oneOf(STATUSES))),
+      chain: v.optional(v.chain(chains)),
+      since: v.optional(v.date()),
+      until: v.optional(v.date()),
+      limit: v.optional(v.integer({ min: 1, max: MAX_LIMIT }), DEFAULT_LIMIT),
+      offset: v.optional(v.integer(), 0),
+    },
+  };
+
+  router.get('/transactions', requireAuth, v.validate(listSchema), async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      const { direction, status, since, until, limit, offset } = req.query;
+      const chain = req.query.chain ? chains.find(req.query.chain) : null;
+      const filters = { userId, status, chainId: chain?.chainId, since, until };
+
+      res.json(await listHistory(store, filters, { direction, limit, offset }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/transactions/:hash', requireAuth, v.validate(hashSchema), async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      const transaction = await store.transactions.getTransaction(req.params.hash, { userId });
+      const deposit = transaction
+        ? null
+        : await store.deposits.getDeposit(req.params.hash, { userId });
+      if (!transaction && !deposit) throw new ApiError('TRANSACTION_NOT_FOUND');
+
+      // Refresh on read so status stays current where no tracker runs (Vercel)
+      let entry = transaction ? sent(transaction) : received(deposit);
+      try {
+        entry = transaction
+          ? sent(await tracker.checkTransaction(transaction))
+          : received(await deposits.checkDeposit(deposit));
+      } catch (checkErr) {
+        logger.error('Confirmation check error', {
+          hash: req.params.hash,
+          error: checkErr.message,
+        });
+      }
+
+      res.json(entry);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Same-nonce replacement of a pending transaction; mode is 'speedup' or 'cancel'
+  function replaceHandler(mode) {
+    return async (req, res, next) => {
+      try {
+        const userId = req.user.id;
+
+        let original = await store.transactions.getTransaction(req.params.hash, { userId });
+        if (!original) throw new ApiError('TRANSACTION_NOT_FOUND');
+        // A cancel sends nothing, so a frozen account may still call a send back
+        if (mode === 'speedup') await policies.assertCanSend(userId);
+
+        // Make sure it hasn't been mined since the tracker last looked
+        original = await tracker.checkTransaction(original);
+        if (original.status !== 'pending' || original.block_number != null) {
+          throw new ApiError('NOT_REPLACEABLE', {
+            message: `Only pending transactions can be replaced (status: ${original.status})`,
+          });
+        }
+        if (original.replaced_by) {
+          const message = `Already replaced by ${original.replaced_by}; ${mode} that one instead`;
+          throw new ApiError('NOT_REPLACEABLE', { message });
+        }
+
+        const wallet = await wallets.resolveWallet(userId, original.wallet_id);
+        if (!wallet) throw new ApiError('WALLET_NOT_FOUND');
+
+        res.json(await transfers.replaceTransaction(userId, wallet, original, mode));
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  const replace = [requireAuth, v.validate(hashSchema)];
+  router.post('/transactions/:hash/speedup', ...replace, replaceHandler('speedup'));
+  router.post('/transactions/:hash/cancel', ...replace, replaceHandler('cancel'));
+
+  return router;
+}
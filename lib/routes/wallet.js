@@ -0,0 +1,149 @@
+import express from 'express';
+import { describeChain } from '../chains.js';
+import { ApiError, toApiError } from '../errors.js';
+import { describeJob } from '../provisioner.js';
+import * as v from '../validation.js';
+import { logger } from '../logger.js';
+
+// GET /wallet, POST /wallet/provision
+export function createWalletRouter({
+  auth,
+  wallets,
+  chains,
+  nonces,
+  transfers,
+  provisioner,
+  store,
+  policies,
+}) {
+  async function chainBalances(address, chain) {
+    const [balance, tokens] = await Promise.all([
+      wallets.getWalletBalance(address, chain),
+      wallets.getWalletTokenBalances(address, chain),
+    ]);
+    return { ...describeChain(chain), balance_eth: balance, tokens };
+  }
+
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  const walletFields = { chain: v.optional(v.chain(chains)), wallet_id: v.optional(v.string()) };
+  const balanceSchema = {
+    query: { ...walletFields, chain: v.optional(v.chain(chains, { extra: ['all'] })) },
+  };
+  const nonceSchema = { query: walletFields };
+  const repairSchema = { body: walletFields };
+
+  router.get('/wallet', requireAuth, v.validate(balanceSchema), async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      const all = req.query.chain === 'all';
+      const chain = all ? null : chains.find(req.query.chain);
+
+      // Until the first wallet exists, report how its provisioning is going
+      if (!req.query.wallet_id) {
+        const job = await provisioner.check(userId);
+        if (job && job.status !== 'ready') {
+          return res.json({ wallet_id: null, address: null, ...describeJob(job) });
+        }
+      }
+
+      const wallet = await wallets.resolveWallet(userId, req.query.wallet_id);
+      if (!wallet) throw new ApiError('WALLET_NOT_FOUND');
+
+      // The same EVM address is used on every chain
+      if (all) {
+        const balances = await Promise.all(
+          chains.list().map((c) =>
+            chainBalances(wallet.address, c).catch((err) => {
+              logger.error('Balance error', { chain: c.key, error: err.message });
+              const { code, message } = toApiError(err);
+              return { ...describeChain(c), balance_eth: null, tokens: [], error: message, code };
+            })
+          )
+        );
+        return res.json({
+          wallet_id: wallet.wallet_id,
+          address: wallet.address,
+          wallet_status: 'ready',
+          chains: balances,
+        });
+      }
+
+      res.json({
+        wallet_id: wallet.wallet_id,
+        address: wallet.address,
+        wallet_status: 'ready',
+        ...(await chainBalances(wallet.address, chain)),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Retry provisioning the first wallet now (restarting it if it failed).
+  // 200 once the wallet exists, 202 while Para is still working on it.
+  router.post('/wallet/provision', requireAuth, async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      let wallet = await store.wallets.getPrimaryWallet(userId);
+      if (!wallet) {
+        const job = await provisioner.retry(userId, req.user.email);
+        if (job.status !== 'ready') return res.status(202).json(describeJob(job));
+      }
+
+      wallet = await wallets.resolveWallet(userId);
+      res.json({ wallet_status: 'ready', wallet_id: wallet.wallet_id, address: wallet.address });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/wallet/nonces', requireAuth, v.validate(nonceSchema), async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      const chain = chains.find(req.query.chain);
+      const wallet = await wallets.resolveWallet(userId, req.query.wallet_id);
+      if (!wallet) throw new ApiError('WALLET_NOT_FOUND');
+
+      const state = await nonces.inspect(chain, wallet.address);
+
+      res.json({
+        address: wallet.address,
+        chain: chain.key,
+        latest_nonce: state.latest,
+        pending_nonce: state.pending,
+        next_nonce: state.next,
+        gaps: state.gaps,
+        stuck_transaction: state.stuck?.hash ?? null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const repairing = [requireAuth, v.validate(repairSchema)];
+
+  router.post('/wallet/nonces/repair', repairing, async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      // Filling a gap releases the sends queued behind it
+      await policies.assertCanSend(userId);
+
+      const chain = chains.find(req.body.chain);
+      const wallet = await wallets.resolveWallet(userId, req.body.wallet_id);
+      if (!wallet) throw new ApiError('WALLET_NOT_FOUND');
+
+      const filled = await transfers.fillNonceGaps(userId, wallet, chain);
+
+      res.json({ address: wallet.address, chain: chain.key, filled });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import express from 'express';
+import { ApiError } from '../errors.js';
+import { WEBHOOK_EVENTS, createWebhookSecret } from '../webhooks.js';
+import * as v from '../validation.js';
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// The secret is only shown when the endpoint is created
+function describeEndpoint({ id, url, events, description, active, created_at, updated_at }) {
+  return { id, url, events, description, active, created_at, updated_at };
+}
+
+function describeDelivery(delivery) {
+  const { id, event_id, event_type, status, attempts, response_status, last_error } = delivery;
+  return {
+    id,
+    event_id,
+    event_type,
+    status,
+    attempts,
+    response_status,
+    last_error,
+    next_attempt_at: delivery.next_attempt_at,
+    delivered_at: delivery.delivered_at,
+    created_at: delivery.created_at,
+    payload: delivery.payload,
+  };
+}
+
+// GET/POST /webhooks, GET/PATCH/DELETE /webhooks/:id,
+// GET /webhooks/:id/deliveries, POST /webhooks/:id/deliveries/:deliveryId/replay
+export function createWebhooksRouter({ auth, store, webhooks }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  const createFields = {
+    url: v.url(),
+    // Every event unless narrowed down
+    events: v.optional(v.list(v.oneOf(WEBHOOK_EVENTS)), WEBHOOK_EVENTS),
+    description: v.nullable(v.string({ max: MAX_DESCRIPTION_LENGTH })),
+  };
+  const createSchema = { body: createFields };
+  // Only the fields present are updated
+  const updateSchema = {
+    params: { id: v.uuid() },
+    body: {
+      ...createFields,
+      url: v.optional(createFields.url),
+      events: v.optional(createFields.events),
+      active: v.optional(v.oneOf([true, false])),
+    },
+  };
+  const idSchema = { params: { id: v.uuid() } };
+  const deliveriesSchema = {
+    params: idSchema.params,
+    query: {
+      status: v.optional(v.oneOf(DELIVERY_STATUSES)),
+      limit: v.optional(v.integer({ min: 1, max: MAX_LIMIT }), DEFAULT_LIMIT),
+      offset: v.optional(v.integer(), 0),
+    },
+  };
+  const replaySchema = { params: { id: v.uuid(), deliveryId: v.uuid() } };
+
+  // Refuses URLs webhooks may not reach (lib/webhooks.js); checked again on
+  // every delivery, in case the host moves
+  async function checkUrl(req, res, next) {
+    try {
+      const problem = req.body.url ? await webhooks.checkUrl(req.body.url) : null;
+      next(problem ? v.invalidRequest([{ field: 'url', message: `url ${problem}` }]) : undefined);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async function findEndpoint(userId, id) {
+    const endpoint = await store.webhooks.get(userId, id);
+    if (!endpoint) throw new ApiError('WEBHOOK_NOT_FOUND');
+    return endpoint;
+  }
+
+  router.get('/webhooks', requireAuth, async (req, res, next) => {
+    try {
+      const endpoints = await store.webhooks.list(req.user.id);
+      res.json({ webhooks: endpoints.map(describeEndpoint) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const creating = [requireAuth, v.validate(createSchema), checkUrl];
+
+  router.post('/webhooks', creating, async (req, res, next) => {
+    try {
+      const endpoint = await store.webhooks.create({
+        id: crypto.randomUUID(),
+        user_id: req.user.id,
+        secret: createWebhookSecret(),
+        ...req.body,
+      });
+
+      // Shown once: the receiver needs it to check X-Webhook-Signature
+      res.status(201).json({ ...describeEndpoint(endpoint), secret: endpoint.secret });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/webhooks/:id', requireAuth, v.validate(idSchema), async (req, res, next) => {
+    try {
+      res.json(describeEndpoint(await findEndpoint(req.user.id, req.params.id)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const updating = [requireAuth, v.validate(updateSchema), checkUrl];
+
+  router.patch('/webhooks/:id', updating, async (req, res, next) => {
+    try {
+      const endpoint = await store.webhooks.update(req.user.id, req.params.id, req.body);
+      if (!endpoint) throw new ApiError('WEBHOOK_NOT_FOUND');
+
+      res.json(describeEndpoint(endpoint));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/webhooks/:id', requireAuth, v.validate(idSchema), async (req, res, next) => {
+    try {
+      if (!(await store.webhooks.remove(req.user.id, req.params.id))) {
+        throw new ApiError('WEBHOOK_NOT_FOUND');
+      }
+
+      res.json({ id: req.params.id, deleted: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const listingDeliveries = [requireAuth, v.validate(deliveriesSchema)];
+
+  router.get('/webhooks/:id/deliveries', listingDeliveries, async (req, res, next) => {
+    try {
+      const endpoint = await findEndpoint(req.user.id, req.params.id);
+      const { status, limit, offset } = req.query;
+
+      const { deliveries, total } = await store.deliveries.list(endpoint.id, {
+        status,
+        limit,
+        offset,
+      });
+      res.json({ deliveries: deliveries.map(describeDelivery), total, limit, offset });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const replaying = [requireAuth, v.validate(replaySchema)];
+
+  router.post('/webhooks/:id/deliveries/:deliveryId/replay', replaying, async (req, res, next) => {
+    try {
+      const endpoint = await findEndpoint(req.user.id, req.params.id);
+      const delivery = await store.deliveries.get(endpoint.id, req.params.deliveryId);
+      if (!delivery) throw new ApiError('DELIVERY_NOT_FOUND');
+
+      res.json(describeDelivery(await webhooks.replay(delivery)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,172 @@
+import { databaseError } from '../errors.js';
+
+// Sends waiting for a second factor (see lib/approvals.js).
+//
+// Every implementation exposes the same async interface:
+//   create(approval)                   -> row
+//   get(userId, id)                    -> row | null
+//   findByTokenHash(hash)              -> row | null
+//   list(userId, { status, limit, offset })
+//                                      -> { approvals, total } (newest first)
+//   update(id, patch)                  -> row | null
+//   resolve(id, patch)                 -> row | null (only while still
+//                                         pending_approval and unexpired)
+//   expire(userId)                     -> marks the user's lapsed requests 'expired'
+//
+// See supabase/migrations/015_transfer_approvals.sql.
+
+const TABLE = 'transfer_approvals';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============= SUPABASE =============
+
+export function createSupabaseApprovalStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Approval', error);
+  }
+
+  const stamped = (patch) => ({ ...patch, updated_at: new Date().toISOString() });
+
+  return {
+    async create(approval) {
+      const { data, error } = await table().insert(approval).select().single();
+      check(error);
+      return data;
+    },
+
+    async get(userId, id) {
+      if (!UUID.test(id)) return null;
+      const { data, error } = await table()
+        .select()
+        .eq('user_id', userId)
+        .eq('id', id)
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async findByTokenHash(hash) {
+      const { data, error } = await table().select().eq('email_token_hash', hash).maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async list(userId, { status, limit = 20, offset = 0 } = {}) {
+      let query = table().select('*', { count: 'exact' }).eq('user_id', userId);
+      if (status) query = query.in('status', [].concat(status));
+
+      const { data, count, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      check(error);
+      return { approvals: data || [], total: count || 0 };
+    },
+
+    async update(id, patch) {
+      const { data, error } = await table()
+        .update(stamped(patch))
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    // Conditional so a request can only be confirmed (or cancelled) once
+    async resolve(id, patch) {
+      const { data, error } = await table()
+        .update(stamped(patch))
+        .eq('id', id)
+        .eq('status', 'pending_approval')
+        .gt('expires_at', new Date().toISOString())
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async expire(userId) {
+      const { error } = await table()
+        .update(stamped({ status: 'expired' }))
+        .eq('user_id', userId)
+        .eq('status', 'pending_approval')
+        .lte('expires_at', new Date().toISOString());
+      check(error);
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryApprovalStore() {
+  const rows = new Map();
+  let sequence = 0;
+
+  const isPending = (row) =>
+    row.status === 'pending_approval' && new Date(row.expires_at) > new Date();
+  const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.seq - a.seq;
+  const copy = ({ seq, ...row }) => ({ ...row });
+
+  function update(id, patch) {
+    const row = rows.get(id);
+    if (!row) return null;
+    Object.assign(row, patch, { updated_at: new Date().toISOString() });
+    return copy(row);
+  }
+
+  return {
+    async create(approval) {
+      const now = new Date().toISOString();
+      const row = {
+        status: 'pending_approval',
+        email_token_hash: null,
+        attempts: 0,
+        approved_at: null,
+        transaction_hash: null,
+        error: null,
+        created_at: now,
+        updated_at: now,
+        ...approval,
+        seq: sequence++,
+      };
+      rows.set(row.id, row);
+      return copy(row);
+    },
+
+    async get(userId, id) {
+      const row = rows.get(id);
+      return row && row.user_id === userId ? copy(row) : null;
+    },
+
+    async findByTokenHash(hash) {
+      const row = [...rows.values()].find((r) => r.email_token_hash === hash);
+      return row ? copy(row) : null;
+    },
+
+    async list(userId, { status, limit = 20, offset = 0 } = {}) {
+      const found = [...rows.values()]
+        .filter((r) => r.user_id === userId && (!status || [].concat(status).includes(r.status)))
+        .sort(newestFirst);
+      return { approvals: found.slice(offset, offset + limit).map(copy), total: found.length };
+    },
+
+    async update(id, patch) {
+      return update(id, patch);
+    },
+
+    async resolve(id, patch) {
+      const row = rows.get(id);
+      return row && isPending(row) ? update(id, patch) : null;
+    },
+
+    async expire(userId) {
+      for (const row of rows.values()) {
+        if (row.user_id === userId && row.status === 'pending_approval' && !isPending(row)) {
+          update(row.id, { status: 'expired' });
+        }
+      }
+    },
+  };
+}
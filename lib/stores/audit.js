@@ -0,0 +1,143 @@
+import { databaseError } from '../errors.js';
+
+// Append-only, hash-chained audit log (see lib/audit.js).
+//
+// Every implementation exposes the same async interface:
+//   head()                 -> the entry with the highest seq | null
+//   append(entry)          -> row | null (another entry already has its seq)
+//   chain({ afterSeq, limit })
+//                          -> entries with seq > afterSeq, oldest first
+//   list({ actorId, action, targetUserId, outcome, requestId, ip, since, until,
+//          limit, offset })
+//                          -> { entries, total } (newest first)
+//
+// `action` may be a single action or an array of actions. There is no update
+// or delete. See supabase/migrations/016_admin.sql and 017_audit_chain.sql.
+
+const TABLE = 'audit_log';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// ============= SUPABASE =============
+
+export function createSupabaseAuditStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Audit log', error);
+  }
+
+  return {
+    async head() {
+      const { data, error } = await table()
+        .select()
+        .not('seq', 'is', null)
+        .order('seq', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async append(entry) {
+      const { data, error } = await table().insert(entry).select().single();
+      if (error?.code === UNIQUE_VIOLATION) return null;
+      check(error);
+      return data;
+    },
+
+    async chain({ afterSeq = 0, limit = 500 } = {}) {
+      const { data, error } = await table()
+        .select()
+        .gt('seq', afterSeq)
+        .order('seq', { ascending: true })
+        .limit(limit);
+      check(error);
+      return data || [];
+    },
+
+    async list({
+      actorId,
+      action,
+      targetUserId,
+      outcome,
+      requestId,
+      ip,
+      since,
+      until,
+      limit = 50,
+      offset = 0,
+    } = {}) {
+      let query = table().select('*', { count: 'exact' });
+      if (actorId) query = query.eq('actor_id', actorId);
+      if (action) query = query.in('action', [].concat(action));
+      if (targetUserId) query = query.eq('target_user_id', targetUserId);
+      if (outcome) query = query.eq('outcome', outcome);
+      if (requestId) query = query.eq('request_id', requestId);
+      if (ip) query = query.eq('ip', ip);
+      if (since) query = query.gte('created_at', since.toISOString());
+      if (until) query = query.lte('created_at', until.toISOString());
+
+      const { data, count, error } = await query
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1);
+      check(error);
+      return { entries: data || [], total: count || 0 };
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryAuditStore() {
+  const rows = [];
+
+  function matches(row, { actorId, action, targetUserId, outcome, requestId, ip, since, until }) {
+    if (actorId && row.actor_id !== actorId) return false;
+    if (action && ![].concat(action).includes(row.action)) return false;
+    if (targetUserId && row.target_user_id !== targetUserId) return false;
+    if (outcome && row.outcome !== outcome) return false;
+    if (requestId && row.request_id !== requestId) return false;
+    if (ip && row.ip !== ip) return false;
+    if (since && new Date(row.created_at) < since) return false;
+    if (until && new Date(row.created_at) > until) return false;
+    return true;
+  }
+
+  return {
+    async head() {
+      const chained = rows.filter((r) => r.seq != null);
+      return chained.length ? structuredClone(chained.at(-1)) : null;
+    },
+
+    async append(entry) {
+      if (rows.some((r) => r.seq === entry.seq)) return null;
+      const row = {
+        id: rows.length + 1,
+        target_user_id: null,
+        details: {},
+        created_at: new Date().toISOString(),
+        ...structuredClone(entry),
+      };
+      rows.push(row);
+      return structuredClone(row);
+    },
+
+    async chain({ afterSeq = 0, limit = 500 } = {}) {
+      return rows
+        .filter((r) => r.seq > afterSeq)
+        .sort((a, b) => a.seq - b.seq)
+        .slice(0, limit)
+        .map((r) => structuredClone(r));
+    },
+
+    async list({ limit = 50, offset = 0, ...filters } = {}) {
+      const found = rows.filter((r) => matches(r, filters)).reverse();
+      return {
+        entries: found.slice(offset, offset + limit).map((r) => structuredClone(r)),
+        total: found.length,
+      };
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import { databaseError } from '../errors.js';
+
+// Webhook delivery log: one row per event per endpoint (see lib/webhooks.js).
+//
+// Every implementation exposes the same async interface:
+//   create(deliveries)                        -> rows
+//   get(endpointId, id)                       -> row | null
+//   list(endpointId, { status, limit, offset })
+//                                             -> { deliveries, total } (newest first)
+//   claim(id, lockedUntil)                    -> row | null (due, unlocked, now locked)
+//   listDue(limit)                            -> rows due for an attempt, oldest first
+//   update(id, patch)                         -> row | null
+//
+// status is 'pending' (waiting for an attempt at next_attempt_at),
+// 'delivered' or 'failed' (gave up; replay starts over).
+// See supabase/migrations/013_webhooks.sql.
+
+const TABLE = 'webhook_deliveries';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============= SUPABASE =============
+
+export function createSupabaseDeliveryStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Webhook delivery', error);
+  }
+
+  // Due deliveries whose lock (if any) has run out
+  function due(query, now) {
+    return query
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now)
+      .or(`locked_until.is.null,locked_until.lt.${now}`);
+  }
+
+  return {
+    async create(deliveries) {
+      const { data, error } = await table().insert(deliveries).select();
+      check(error);
+      return data;
+    },
+
+    async get(endpointId, id) {
+      if (!UUID.test(id)) return null;
+      const { data, error } = await table()
+        .select()
+        .eq('endpoint_id', endpointId)
+        .eq('id', id)
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async list(endpointId, { status, limit = 20, offset = 0 } = {}) {
+      let query = table().select('*', { count: 'exact' }).eq('endpoint_id', endpointId);
+      if (status) query = query.eq('status', status);
+
+      const { data, count, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      check(error);
+      return { deliveries: data || [], total: count || 0 };
+    },
+
+    async claim(id, lockedUntil) {
+      const now = new Date().toISOString();
+      const { data, error } = await due(
+        table().update({ locked_until: lockedUntil.toISOString() }).eq('id', id),
+        now
+      )
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async listDue(limit) {
+      const now = new Date().toISOString();
+      const { data, error } = await due(table().select(), now)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+      check(error);
+      return data;
+    },
+
+    async update(id, patch) {
+      const { data, error } = await table()
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryDeliveryStore() {
+  const rows = new Map();
+  let sequence = 0;
+
+  function isDue(row, now) {
+    return (
+      row.status === 'pending' &&
+      new Date(row.next_attempt_at) <= now &&
+      (!row.locked_until || new Date(row.locked_until) < now)
+    );
+  }
+
+  // Newest first; rows created in the same millisecond by insertion order
+  const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.seq - a.seq;
+  const copy = ({ seq, ...row }) => ({ ...row });
+
+  return {
+    async create(deliveries) {
+      const now = new Date().toISOString();
+      const created = deliveries.map((delivery) => ({
+        status: 'pending',
+        attempts: 0,
+        response_status: null,
+        last_error: null,
+        next_attempt_at: now,
+        locked_until: null,
+        delivered_at: null,
+        created_at: now,
+        updated_at: now,
+        ...delivery,
+        seq: sequence++,
+      }));
+      created.forEach((row) => rows.set(row.id, row));
+      return created.map(copy);
+    },
+
+    async get(endpointId, id) {
+      const row = rows.get(id);
+      return row && row.endpoint_id === endpointId ? copy(row) : null;
+    },
+
+    async list(endpointId, { status, limit = 20, offset = 0 } = {}) {
+      const found = [...rows.values()]
+        .filter((r) => r.endpoint_id === endpointId && (!status || r.status === status))
+        .sort(newestFirst);
+      return { deliveries: found.slice(offset, offset + limit).map(copy), total: found.length };
+    },
+
+    async claim(id, lockedUntil) {
+      const row = rows.get(id);
+      if (!row || !isDue(row, new Date())) return null;
+      row.locked_until = lockedUntil.toISOString();
+      return copy(row);
+    },
+
+    async listDue(limit) {
+      const now = new Date();
+      return [...rows.values()]
+        .filter((row) => isDue(row, now))
+        .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async update(id, patch) {
+      const row = rows.get(id);
+      if (!row) return null;
+      Object.assign(row, patch, { updated_at: new Date().toISOString() });
+      return copy(row);
+    },
+  };
+}
@@ -0,0 +1,193 @@
+import { databaseError } from '../errors.js';
+
+// Incoming transfers into managed wallets (see lib/deposits.js), plus the
+// block each chain has been scanned through.
+//
+// Every implementation exposes the same async interface:
+//   record(deposits)                   -> rows actually inserted (known ones are skipped)
+//   update(id, patch)                  -> row | null
+//   getDeposit(hash, { userId })       -> row | null (lowest log_index first)
+//   list({ userId, status, chainId, address, hash, since, until, limit, offset })
+//                                      -> { deposits, total } (newest first)
+//   getCursor(chainId)                 -> block number | null
+//   setCursor(chainId, blockNumber)
+//
+// `address` matches either the sender or the receiving wallet. A deposit is
+// identified by (chain_id, hash, log_index); log_index is null for ETH.
+// See supabase/migrations/014_deposits.sql.
+
+const TABLE = 'deposits';
+const CURSORS_TABLE = 'deposit_cursors';
+
+// ============= SUPABASE =============
+
+export function createSupabaseDepositStore(getClient) {
+  const table = () => getClient().from(TABLE);
+  const cursors = () => getClient().from(CURSORS_TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Deposit', error);
+  }
+
+  return {
+    async record(deposits) {
+      if (!deposits.length) return [];
+      const { data, error } = await table()
+        .upsert(deposits, { onConflict: 'chain_id,hash,log_index', ignoreDuplicates: true })
+        .select();
+      check(error);
+      return data || [];
+    },
+
+    async update(id, patch) {
+      const { data, error } = await table()
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async getDeposit(hash, { userId } = {}) {
+      let query = table().select().eq('hash', hash);
+      if (userId) query = query.eq('user_id', userId);
+
+      const { data, error } = await query
+        .order('log_index', { ascending: true, nullsFirst: true })
+        .limit(1)
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async list({
+      userId,
+      status,
+      chainId,
+      address,
+      hash,
+      since,
+      until,
+      limit = 20,
+      offset = 0,
+    } = {}) {
+      let query = table().select('*', { count: 'exact' });
+      if (userId) query = query.eq('user_id', userId);
+      if (address) query = query.or(`from_address.ilike.${address},to_address.ilike.${address}`);
+      if (hash) query = query.eq('hash', hash.toLowerCase());
+      if (status) query = query.in('status', [].concat(status));
+      if (chainId) query = query.eq('chain_id', chainId);
+      if (since) query = query.gte('created_at', since.toISOString());
+      if (until) query = query.lte('created_at', until.toISOString());
+
+      const { data, count, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      check(error);
+      return { deposits: data || [], total: count || 0 };
+    },
+
+    async getCursor(chainId) {
+      const { data, error } = await cursors()
+        .select('block_number')
+        .eq('chain_id', chainId)
+        .maybeSingle();
+      check(error);
+      return data ? Number(data.block_number) : null;
+    },
+
+    async setCursor(chainId, blockNumber) {
+      const { error } = await cursors().upsert({
+        chain_id: chainId,
+        block_number: blockNumber,
+        updated_at: new Date().toISOString(),
+      });
+      check(error);
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryDepositStore() {
+  const rows = [];
+  const cursors = new Map();
+  let nextId = 1;
+
+  const identity = (d) => `${Number(d.chain_id)}:${d.hash}:${d.log_index ?? ''}`;
+
+  const same = (a, b) => a?.toLowerCase() === b.toLowerCase();
+
+  function matches(row, { userId, status, chainId, address, hash, since, until }) {
+    if (userId && row.user_id !== userId) return false;
+    if (address && !same(row.from_address, address) && !same(row.to_address, address)) {
+      return false;
+    }
+    if (hash && !same(row.hash, hash)) return false;
+    if (status && ![].concat(status).includes(row.status)) return false;
+    if (chainId && Number(row.chain_id) !== Number(chainId)) return false;
+    if (since && new Date(row.created_at) < since) return false;
+    if (until && new Date(row.created_at) > until) return false;
+    return true;
+  }
+
+  return {
+    async record(deposits) {
+      const known = new Set(rows.map(identity));
+      const now = new Date().toISOString();
+      const inserted = [];
+
+      for (const deposit of deposits) {
+        if (known.has(identity(deposit))) continue;
+        known.add(identity(deposit));
+
+        const row = {
+          id: nextId++,
+          log_index: null,
+          block_number: null,
+          confirmations: 0,
+          status: 'pending',
+          created_at: now,
+          updated_at: now,
+          ...deposit,
+        };
+        rows.push(row);
+        inserted.push({ ...row });
+      }
+      return inserted;
+    },
+
+    async update(id, patch) {
+      const row = rows.find((r) => r.id === id);
+      if (!row) return null;
+      Object.assign(row, patch, { updated_at: new Date().toISOString() });
+      return { ...row };
+    },
+
+    async getDeposit(hash, { userId } = {}) {
+      const [row] = rows
+        .filter((r) => r.hash === hash && (!userId || r.user_id === userId))
+        .sort((a, b) => (a.log_index ?? -1) - (b.log_index ?? -1));
+      return row ? { ...row } : null;
+    },
+
+    async list({ limit = 20, offset = 0, ...filters } = {}) {
+      const found = rows
+        .filter((r) => matches(r, filters))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+      return {
+        deposits: found.slice(offset, offset + limit).map((r) => ({ ...r })),
+        total: found.length,
+      };
+    },
+
+    async getCursor(chainId) {
+      return cursors.get(Number(chainId)) ?? null;
+    },
+
+    async setCursor(chainId, blockNumber) {
+      cursors.set(Number(chainId), blockNumber);
+    },
+  };
+}
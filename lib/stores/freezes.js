@@ -0,0 +1,78 @@
+import { databaseError } from '../errors.js';
+
+// Accounts an admin has stopped from sending (see lib/routes/admin.js).
+//
+// Every implementation exposes the same async interface:
+//   get(userId)                           -> row | null
+//   freeze(userId, { reason, frozenBy })  -> row (replaces an existing freeze)
+//   unfreeze(userId)                      -> true | false
+//
+// See supabase/migrations/016_admin.sql.
+
+const TABLE = 'account_freezes';
+
+// ============= SUPABASE =============
+
+export function createSupabaseFreezeStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Freeze', error);
+  }
+
+  return {
+    async get(userId) {
+      const { data, error } = await table().select().eq('user_id', userId).maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async freeze(userId, { reason = null, frozenBy }) {
+      const { data, error } = await table()
+        .upsert({
+          user_id: userId,
+          reason,
+          frozen_by: frozenBy,
+          created_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+      check(error);
+      return data;
+    },
+
+    async unfreeze(userId) {
+      const { data, error } = await table().delete().eq('user_id', userId).select();
+      check(error);
+      return data.length > 0;
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryFreezeStore() {
+  const rows = new Map();
+
+  return {
+    async get(userId) {
+      const row = rows.get(userId);
+      return row ? { ...row } : null;
+    },
+
+    async freeze(userId, { reason = null, frozenBy }) {
+      const row = {
+        user_id: userId,
+        reason,
+        frozen_by: frozenBy,
+        created_at: new Date().toISOString(),
+      };
+      rows.set(userId, row);
+      return { ...row };
+    },
+
+    async unfreeze(userId) {
+      return rows.delete(userId);
+    },
+  };
+}
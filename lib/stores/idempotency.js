@@ -0,0 +1,119 @@
+import { databaseError } from '../errors.js';
+
+// Idempotency keys: the first request with a key claims it, and its final
+// response is stored so retries can be answered without re-running it.
+//
+// Every implementation exposes the same async interface:
+//   claim({ key, fingerprint, expiresAt })
+//       -> { claimed: true } | { claimed: false, record }
+//   complete(key, { status, body })  -> row | null
+//   release(key)                     -> void (drops an in-progress claim)
+//
+// Expired keys are treated as free. See supabase/migrations/009_idempotency_keys.sql.
+
+const TABLE = 'idempotency_keys';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// ============= SUPABASE =============
+
+export function createSupabaseIdempotencyStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Idempotency', error);
+  }
+
+  async function insert(key, fingerprint, expiresAt) {
+    const { error } = await table().insert({
+      key,
+      fingerprint,
+      status: 'in_progress',
+      expires_at: expiresAt.toISOString(),
+    });
+    if (error?.code === UNIQUE_VIOLATION) return false;
+    check(error);
+    return true;
+  }
+
+  return {
+    async claim({ key, fingerprint, expiresAt }) {
+      if (await insert(key, fingerprint, expiresAt)) return { claimed: true };
+
+      const { data: record, error } = await table().select().eq('key', key).maybeSingle();
+      check(error);
+
+      if (record && new Date(record.expires_at) > new Date()) {
+        return { claimed: false, record };
+      }
+
+      // Expired (or deleted in between): take it over
+      const { error: deleteError } = await table()
+        .delete()
+        .eq('key', key)
+        .lte('expires_at', new Date().toISOString());
+      check(deleteError);
+
+      if (await insert(key, fingerprint, expiresAt)) return { claimed: true };
+      const { data: winner, error: winnerError } = await table()
+        .select()
+        .eq('key', key)
+        .maybeSingle();
+      check(winnerError);
+      return { claimed: false, record: winner };
+    },
+
+    async complete(key, { status, body }) {
+      const { data, error } = await table()
+        .update({ status: 'completed', response_status: status, response_body: body })
+        .eq('key', key)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async release(key) {
+      const { error } = await table().delete().eq('key', key).eq('status', 'in_progress');
+      check(error);
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryIdempotencyStore() {
+  const rows = new Map();
+
+  return {
+    async claim({ key, fingerprint, expiresAt }) {
+      const existing = rows.get(key);
+      if (existing && new Date(existing.expires_at) > new Date()) {
+        return { claimed: false, record: { ...existing } };
+      }
+
+      rows.set(key, {
+        key,
+        fingerprint,
+        status: 'in_progress',
+        response_status: null,
+        response_body: null,
+        created_at: new Date().toISOString(),
+        expires_at: expiresAt.toISOString(),
+      });
+      return { claimed: true };
+    },
+
+    async complete(key, { status, body }) {
+      const row = rows.get(key);
+      if (!row) return null;
+      Object.assign(row, { status: 'completed', response_status: status, response_body: body });
+      return { ...row };
+    },
+
+    async release(key) {
+      if (rows.get(key)?.status === 'in_progress') rows.delete(key);
+    },
+  };
+}
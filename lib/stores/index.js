@@ -0,0 +1,63 @@
+import { createMemoryApprovalStore, createSupabaseApprovalStore } from './approvals.js';
+import { createMemoryAuditStore, createSupabaseAuditStore } from './audit.js';
+import { createMemoryDeliveryStore, createSupabaseDeliveryStore } from './deliveries.js';
+import { createMemoryDepositStore, createSupabaseDepositStore } from './deposits.js';
+import {
+  createMemoryIdempotencyStore,
+  createSupabaseIdempotencyStore,
+} from './idempotency.js';
+import { createMemoryFreezeStore, createSupabaseFreezeStore } from './freezes.js';
+import { createMemoryMfaStore, createSupabaseMfaStore } from './mfa.js';
+import { createMemoryPolicyStore, createSupabasePolicyStore } from './policies.js';
+import {
+  createMemoryProvisioningStore,
+  createSupabaseProvisioningStore,
+} from './provisioning.js';
+import { createMemoryQuoteStore, createSupabaseQuoteStore } from './quotes.js';
+import { createMemoryRateLimitStore, createSupabaseRateLimitStore } from './rate-limits.js';
+import { createMemoryRecipientStore, createSupabaseRecipientStore } from './recipients.js';
+import { createMemoryTransactionStore, createSupabaseTransactionStore } from './transactions.js';
+import { createMemoryWalletStore, createSupabaseWalletStore } from './wallets.js';
+import { createMemoryWebhookStore, createSupabaseWebhookStore } from './webhooks.js';
+
+// The `store` dependency of createApp: one repository per table.
+
+export function createSupabaseStore(getClient) {
+  return {
+    wallets: createSupabaseWalletStore(getClient),
+    transactions: createSupabaseTransactionStore(getClient),
+    quotes: createSupabaseQuoteStore(getClient),
+    idempotency: createSupabaseIdempotencyStore(getClient),
+    policies: createSupabasePolicyStore(getClient),
+    recipients: createSupabaseRecipientStore(getClient),
+    provisioning: createSupabaseProvisioningStore(getClient),
+    webhooks: createSupabaseWebhookStore(getClient),
+    deliveries: createSupabaseDeliveryStore(getClient),
+    deposits: createSupabaseDepositStore(getClient),
+    mfa: createSupabaseMfaStore(getClient),
+    approvals: createSupabaseApprovalStore(getClient),
+    freezes: createSupabaseFreezeStore(getClient),
+    audit: createSupabaseAuditStore(getClient),
+    rateLimits: createSupabaseRateLimitStore(getClient),
+  };
+}
+
+export function createMemoryStore() {
+  return {
+    wallets: createMemoryWalletStore(),
+    transactions: createMemoryTransactionStore(),
+    quotes: createMemoryQuoteStore(),
+    idempotency: createMemoryIdempotencyStore(),
+    policies: createMemoryPolicyStore(),
+    recipients: createMemoryRecipientStore(),
+    provisioning: createMemoryProvisioningStore(),
+    webhooks: createMemoryWebhookStore(),
+    deliveries: createMemoryDeliveryStore(),
+    deposits: createMemoryDepositStore(),
+    mfa: createMemoryMfaStore(),
+    approvals: createMemoryApprovalStore(),
+    freezes: createMemoryFreezeStore(),
+    audit: createMemoryAuditStore(),
+    rateLimits: createMemoryRateLimitStore(),
+  };
+}
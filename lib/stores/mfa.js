@@ -0,0 +1,123 @@
+import { databaseError } from '../errors.js';
+
+// Second-factor enrollments: one TOTP secret per user (see lib/totp.js).
+//
+// Every implementation exposes the same async interface:
+//   get(userId)                 -> row | null
+//   save(userId, totpSecret)    -> row (replaces any unconfirmed enrollment)
+//   update(userId, patch)       -> row | null
+//   useStep(userId, step)       -> row | null (null if that step or a later
+//                                  one was already used)
+//   remove(userId)              -> true | false
+//
+// See supabase/migrations/015_transfer_approvals.sql.
+
+const TABLE = 'user_mfa';
+
+// ============= SUPABASE =============
+
+export function createSupabaseMfaStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('MFA', error);
+  }
+
+  async function update(userId, patch) {
+    const { data, error } = await table()
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+    check(error);
+    return data;
+  }
+
+  return {
+    async get(userId) {
+      const { data, error } = await table().select().eq('user_id', userId).maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async save(userId, totpSecret) {
+      const { data, error } = await table()
+        .upsert({
+          user_id: userId,
+          totp_secret: totpSecret,
+          confirmed_at: null,
+          last_used_step: null,
+          updated_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+      check(error);
+      return data;
+    },
+
+    update,
+
+    // Conditional so two requests can't both spend the same code
+    async useStep(userId, step) {
+      const { data, error } = await table()
+        .update({ last_used_step: step, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async remove(userId) {
+      const { data, error } = await table().delete().eq('user_id', userId).select();
+      check(error);
+      return data.length > 0;
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryMfaStore() {
+  const rows = new Map();
+
+  return {
+    async get(userId) {
+      const row = rows.get(userId);
+      return row ? { ...row } : null;
+    },
+
+    async save(userId, totpSecret) {
+      const now = new Date().toISOString();
+      const row = {
+        user_id: userId,
+        totp_secret: totpSecret,
+        confirmed_at: null,
+        last_used_step: null,
+        created_at: rows.get(userId)?.created_at ?? now,
+        updated_at: now,
+      };
+      rows.set(userId, row);
+      return { ...row };
+    },
+
+    async update(userId, patch) {
+      const row = rows.get(userId);
+      if (!row) return null;
+      Object.assign(row, patch, { updated_at: new Date().toISOString() });
+      return { ...row };
+    },
+
+    async useStep(userId, step) {
+      const row = rows.get(userId);
+      if (!row || (row.last_used_step !== null && row.last_used_step >= step)) return null;
+      row.last_used_step = step;
+      return { ...row };
+    },
+
+    async remove(userId) {
+      return rows.delete(userId);
+    },
+  };
+}
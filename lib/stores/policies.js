@@ -0,0 +1,56 @@
+import { databaseError } from '../errors.js';
+
+// Per-user transfer policies (see lib/policy.js for the policy shape).
+//
+// Every implementation exposes the same async interface:
+//   get(userId)           -> policy | null
+//   save(userId, policy)  -> policy
+//
+// See supabase/migrations/010_user_policies.sql.
+
+const TABLE = 'user_policies';
+
+// ============= SUPABASE =============
+
+export function createSupabasePolicyStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Policy', error);
+  }
+
+  return {
+    async get(userId) {
+      const { data, error } = await table().select('policy').eq('user_id', userId).maybeSingle();
+      check(error);
+      return data?.policy ?? null;
+    },
+
+    async save(userId, policy) {
+      const { data, error } = await table()
+        .upsert({ user_id: userId, policy, updated_at: new Date().toISOString() })
+        .select('policy')
+        .single();
+      check(error);
+      return data.policy;
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryPolicyStore() {
+  const rows = new Map();
+
+  return {
+    async get(userId) {
+      const policy = rows.get(userId);
+      return policy ? structuredClone(policy) : null;
+    },
+
+    async save(userId, policy) {
+      rows.set(userId, structuredClone(policy));
+      return structuredClone(policy);
+    },
+  };
+}
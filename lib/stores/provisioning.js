@@ -0,0 +1,149 @@
+import { databaseError } from '../errors.js';
+
+// Wallet provisioning jobs, one per user (see lib/provisioner.js).
+//
+// Every implementation exposes the same async interface:
+//   create({ userId, email })       -> row (the existing one if there is one)
+//   get(userId)                     -> row | null
+//   claim(userId, lockedUntil)      -> row | null (due, unlocked job, now locked)
+//   listDue(limit)                  -> rows due for an attempt, oldest first
+//   update(userId, patch)           -> row | null
+//
+// status is 'provisioning' (waiting for an attempt at next_attempt_at),
+// 'ready' or 'failed' (gave up; POST /wallet/provision starts over).
+// See supabase/migrations/012_wallet_provisioning.sql.
+
+const TABLE = 'wallet_provisioning';
+const UNIQUE_VIOLATION = '23505';
+
+// ============= SUPABASE =============
+
+export function createSupabaseProvisioningStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Provisioning', error);
+  }
+
+  async function get(userId) {
+    const { data, error } = await table().select().eq('user_id', userId).maybeSingle();
+    check(error);
+    return data;
+  }
+
+  // Due jobs whose lock (if any) has run out
+  function due(query, now) {
+    return query
+      .eq('status', 'provisioning')
+      .lte('next_attempt_at', now)
+      .or(`locked_until.is.null,locked_until.lt.${now}`);
+  }
+
+  return {
+    async create({ userId, email }) {
+      const { data, error } = await table()
+        .insert({ user_id: userId, email, status: 'provisioning' })
+        .select()
+        .single();
+      if (error?.code === UNIQUE_VIOLATION) return get(userId);
+      check(error);
+      return data;
+    },
+
+    get,
+
+    async claim(userId, lockedUntil) {
+      const now = new Date().toISOString();
+      const { data, error } = await due(
+        table().update({ locked_until: lockedUntil.toISOString() }).eq('user_id', userId),
+        now
+      )
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async listDue(limit) {
+      const now = new Date().toISOString();
+      const { data, error } = await due(table().select(), now)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+      check(error);
+      return data;
+    },
+
+    async update(userId, patch) {
+      const { data, error } = await table()
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryProvisioningStore() {
+  const rows = new Map();
+
+  function isDue(row, now) {
+    return (
+      row.status === 'provisioning' &&
+      new Date(row.next_attempt_at) <= now &&
+      (!row.locked_until || new Date(row.locked_until) < now)
+    );
+  }
+
+  return {
+    async create({ userId, email }) {
+      if (!rows.has(userId)) {
+        const now = new Date().toISOString();
+        rows.set(userId, {
+          user_id: userId,
+          email,
+          status: 'provisioning',
+          para_wallet_id: null,
+          attempts: 0,
+          last_error: null,
+          next_attempt_at: now,
+          locked_until: null,
+          created_at: now,
+          updated_at: now,
+        });
+      }
+      return { ...rows.get(userId) };
+    },
+
+    async get(userId) {
+      const row = rows.get(userId);
+      return row ? { ...row } : null;
+    },
+
+    async claim(userId, lockedUntil) {
+      const row = rows.get(userId);
+      if (!row || !isDue(row, new Date())) return null;
+      row.locked_until = lockedUntil.toISOString();
+      return { ...row };
+    },
+
+    async listDue(limit) {
+      const now = new Date();
+      return [...rows.values()]
+        .filter((row) => isDue(row, now))
+        .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at))
+        .slice(0, limit)
+        .map((row) => ({ ...row }));
+    },
+
+    async update(userId, patch) {
+      const row = rows.get(userId);
+      if (!row) return null;
+      Object.assign(row, patch, { updated_at: new Date().toISOString() });
+      return { ...row };
+    },
+  };
+}
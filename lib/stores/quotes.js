@@ -0,0 +1,75 @@
+import { databaseError } from '../errors.js';
+
+// Send quotes: priced, short-lived transfers that POST /send can execute as-is.
+//
+// Every implementation exposes the same async interface:
+//   save(quote)       -> row
+//   get(id)           -> row | null
+//   markUsed(id)      -> row | null (null if missing or already used)
+//
+// `tx` holds the quoted transaction fields with bigints as decimal strings.
+// See supabase/migrations/006_send_quotes.sql.
+
+const TABLE = 'send_quotes';
+
+// ============= SUPABASE =============
+
+export function createSupabaseQuoteStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Quote', error);
+  }
+
+  return {
+    async save(quote) {
+      const { data, error } = await table().insert(quote).select().single();
+      check(error);
+      return data;
+    },
+
+    async get(id) {
+      const { data, error } = await table().select().eq('id', id).maybeSingle();
+      check(error);
+      return data;
+    },
+
+    // Conditional update so two concurrent sends can't both claim a quote
+    async markUsed(id) {
+      const { data, error } = await table()
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('used_at', null)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryQuoteStore() {
+  const rows = new Map();
+
+  return {
+    async save(quote) {
+      const row = { used_at: null, created_at: new Date().toISOString(), ...quote };
+      rows.set(row.id, row);
+      return { ...row };
+    },
+
+    async get(id) {
+      const row = rows.get(id);
+      return row ? { ...row } : null;
+    },
+
+    async markUsed(id) {
+      const row = rows.get(id);
+      if (!row || row.used_at) return null;
+      row.used_at = new Date().toISOString();
+      return { ...row };
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import { databaseError } from '../errors.js';
+
+// Fixed-window counters for rate limiting and login lockout (lib/rate-limit.js).
+// A counter starts at the first hit and is forgotten once its window ends.
+//
+// Every implementation exposes the same async interface:
+//   hit(key, windowMs) -> { count, resetAt } (counts this hit; resetAt is a Date)
+//   get(key)           -> { count, resetAt } | null (null once the window ended)
+//   reset(key)         -> void
+//
+// The in-memory store only sees its own process; instances that share the
+// limits (Vercel) use the Supabase one. See supabase/migrations/018_rate_limits.sql.
+
+const TABLE = 'rate_limits';
+
+// ============= SUPABASE =============
+
+export function createSupabaseRateLimitStore(getClient) {
+  function check(error) {
+    if (error) throw databaseError('Rate limit', error);
+  }
+
+  const describe = (row) => ({ count: row.count, resetAt: new Date(row.reset_at) });
+
+  return {
+    // The counter is bumped (or restarted) in one statement, so concurrent
+    // hits from different instances all count
+    async hit(key, windowMs) {
+      const { data, error } = await getClient()
+        .rpc('rate_limit_hit', { p_key: key, p_window_ms: windowMs })
+        .single();
+      check(error);
+      return describe(data);
+    },
+
+    async get(key) {
+      const { data, error } = await getClient()
+        .from(TABLE)
+        .select()
+        .eq('key', key)
+        .gt('reset_at', new Date().toISOString())
+        .maybeSingle();
+      check(error);
+      return data ? describe(data) : null;
+    },
+
+    async reset(key) {
+      const { error } = await getClient().from(TABLE).delete().eq('key', key);
+      check(error);
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryRateLimitStore() {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  function current(key) {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter ?? null;
+  }
+
+  // Ended windows would otherwise pile up, one per IP and address seen
+  function prune() {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }
+  const timer = setInterval(prune, 60 * 1000);
+  timer.unref?.();
+
+  return {
+    async hit(key, windowMs) {
+      const counter = current(key) ?? { count: 0, resetAt: Date.now() + windowMs };
+      counter.count++;
+      counters.set(key, counter);
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async get(key) {
+      const counter = current(key);
+      return counter ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
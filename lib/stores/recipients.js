@@ -0,0 +1,139 @@
+import { ApiError, databaseError } from '../errors.js';
+
+// Address book: saved recipients, per user.
+//
+// Every implementation exposes the same async interface:
+//   create(recipient)               -> row
+//   list(userId)                    -> rows (by label)
+//   get(userId, id)                 -> row | null
+//   update(userId, id, patch)       -> row | null
+//   remove(userId, id)              -> boolean
+//
+// A label is unique per user; create/update throw RECIPIENT_LABEL_TAKEN when
+// it's taken. See supabase/migrations/011_recipients.sql.
+
+const TABLE = 'recipients';
+const UNIQUE_VIOLATION = '23505';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function duplicateLabel(label) {
+  return new ApiError('RECIPIENT_LABEL_TAKEN', {
+    message: `A recipient named "${label}" already exists`,
+  });
+}
+
+// ============= SUPABASE =============
+
+export function createSupabaseRecipientStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error, label) {
+    if (error?.code === UNIQUE_VIOLATION) throw duplicateLabel(label);
+    if (error) throw databaseError('Recipient', error);
+  }
+
+  return {
+    async create(recipient) {
+      const { data, error } = await table().insert(recipient).select().single();
+      check(error, recipient.label);
+      return data;
+    },
+
+    async list(userId) {
+      const { data, error } = await table()
+        .select()
+        .eq('user_id', userId)
+        .order('label', { ascending: true });
+      check(error);
+      return data || [];
+    },
+
+    // Ids that can't exist are "not found" rather than a Postgres cast error
+    async get(userId, id) {
+      if (!UUID.test(id)) return null;
+      const { data, error } = await table()
+        .select()
+        .eq('user_id', userId)
+        .eq('id', id)
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async update(userId, id, patch) {
+      if (!UUID.test(id)) return null;
+      const { data, error } = await table()
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+      check(error, patch.label);
+      return data;
+    },
+
+    async remove(userId, id) {
+      if (!UUID.test(id)) return false;
+      const { data, error } = await table()
+        .delete()
+        .eq('user_id', userId)
+        .eq('id', id)
+        .select('id');
+      check(error);
+      return data.length > 0;
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryRecipientStore() {
+  const rows = new Map();
+
+  function labelTaken(userId, label, exceptId) {
+    return [...rows.values()].some(
+      (r) => r.user_id === userId && r.label === label && r.id !== exceptId
+    );
+  }
+
+  function find(userId, id) {
+    const row = rows.get(id);
+    return row && row.user_id === userId ? row : null;
+  }
+
+  return {
+    async create(recipient) {
+      if (labelTaken(recipient.user_id, recipient.label)) throw duplicateLabel(recipient.label);
+
+      const now = new Date().toISOString();
+      const row = { chain: null, notes: null, created_at: now, updated_at: now, ...recipient };
+      rows.set(row.id, row);
+      return { ...row };
+    },
+
+    async list(userId) {
+      return [...rows.values()]
+        .filter((r) => r.user_id === userId)
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .map((r) => ({ ...r }));
+    },
+
+    async get(userId, id) {
+      const row = find(userId, id);
+      return row ? { ...row } : null;
+    },
+
+    async update(userId, id, patch) {
+      const row = find(userId, id);
+      if (!row) return null;
+      if (patch.label && labelTaken(userId, patch.label, id)) throw duplicateLabel(patch.label);
+
+      Object.assign(row, patch, { updated_at: new Date().toISOString() });
+      return { ...row };
+    },
+
+    async remove(userId, id) {
+      return find(userId, id) ? rows.delete(id) : false;
+    },
+  };
+}
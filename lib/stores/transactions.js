@@ -0,0 +1,136 @@
+import { databaseError } from '../errors.js';
+
+// Transaction ledger: one row per transaction signed for a user.
+//
+// Every implementation exposes the same async interface:
+//   record(tx)                         -> row (tx uses the row's column names)
+//   update(hash, patch)                -> row | null
+//   getTransaction(hash, { userId })   -> row | null
+//   list({ userId, status, chainId, fromAddress, address, hash, since, until,
+//          limit, offset })            -> { transactions, total } (newest first)
+//
+// `address` matches either end of a transaction, `fromAddress` only the sender.
+// `status` may be a single status or an array of statuses. Wei amounts are
+// kept as decimal strings. See supabase/migrations/002_transactions.sql.
+
+const TABLE = 'transactions';
+
+// ============= SUPABASE =============
+
+export function createSupabaseTransactionStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Transaction', error);
+  }
+
+  return {
+    async record(tx) {
+      const { data, error } = await table().insert(tx).select().single();
+      check(error);
+      return data;
+    },
+
+    async update(hash, patch) {
+      const { data, error } = await table()
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('hash', hash)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async getTransaction(hash, { userId } = {}) {
+      let query = table().select().eq('hash', hash);
+      if (userId) query = query.eq('user_id', userId);
+
+      const { data, error } = await query.maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async list({
+      userId,
+      status,
+      chainId,
+      fromAddress,
+      address,
+      hash,
+      since,
+      until,
+      limit = 20,
+      offset = 0,
+    } = {}) {
+      let query = table().select('*', { count: 'exact' });
+      if (userId) query = query.eq('user_id', userId);
+      if (status) query = query.in('status', [].concat(status));
+      if (chainId) query = query.eq('chain_id', chainId);
+      if (fromAddress) query = query.ilike('from_address', fromAddress);
+      if (address) query = query.or(`from_address.ilike.${address},to_address.ilike.${address}`);
+      if (hash) query = query.eq('hash', hash.toLowerCase());
+      if (since) query = query.gte('created_at', since.toISOString());
+      if (until) query = query.lte('created_at', until.toISOString());
+
+      const { data, count, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      check(error);
+      return { transactions: data || [], total: count || 0 };
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryTransactionStore() {
+  const rows = [];
+  let nextId = 1;
+
+  const same = (a, b) => a?.toLowerCase() === b.toLowerCase();
+
+  function matches(row, { userId, status, chainId, fromAddress, address, hash, since, until }) {
+    if (userId && row.user_id !== userId) return false;
+    if (status && ![].concat(status).includes(row.status)) return false;
+    if (chainId && Number(row.chain_id) !== Number(chainId)) return false;
+    if (fromAddress && !same(row.from_address, fromAddress)) return false;
+    if (address && !same(row.from_address, address) && !same(row.to_address, address)) {
+      return false;
+    }
+    if (hash && !same(row.hash, hash)) return false;
+    if (since && new Date(row.created_at) < since) return false;
+    if (until && new Date(row.created_at) > until) return false;
+    return true;
+  }
+
+  return {
+    async record(tx) {
+      const now = new Date().toISOString();
+      const row = { id: nextId++, created_at: now, updated_at: now, ...tx };
+      rows.push(row);
+      return { ...row };
+    },
+
+    async update(hash, patch) {
+      const row = rows.find((r) => r.hash === hash);
+      if (!row) return null;
+      Object.assign(row, patch, { updated_at: new Date().toISOString() });
+      return { ...row };
+    },
+
+    async getTransaction(hash, { userId } = {}) {
+      const row = rows.find((r) => r.hash === hash && (!userId || r.user_id === userId));
+      return row ? { ...row } : null;
+    },
+
+    async list({ limit = 20, offset = 0, ...filters } = {}) {
+      const found = rows
+        .filter((r) => matches(r, filters))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+      return {
+        transactions: found.slice(offset, offset + limit).map((r) => ({ ...r })),
+        total: found.length,
+      };
+    },
+  };
+}
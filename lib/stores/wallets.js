@@ -0,0 +1,170 @@
+import { ethers } from 'ethers';
+import { databaseError } from '../errors.js';
+
+// Wallet repository: maps Supabase users to their Para wallets.
+//
+// Every implementation exposes the same async interface:
+//   addWallet({ userId, walletId, address, type })  -> wallet row
+//   listWallets(userId)                             -> wallet rows (primary first)
+//   getWallet(userId, walletId)                     -> wallet row | null
+//   getPrimaryWallet(userId)                        -> wallet row | null
+//   setAddress(walletId, address)                   -> wallet row | null
+//   findByAddresses(addresses)                      -> wallet rows holding any of them
+//
+// Rows use the same snake_case shape as the `user_wallets` table
+// (see supabase/migrations/001_user_wallets.sql).
+
+const TABLE = 'user_wallets';
+const UNIQUE_VIOLATION = '23505';
+// At most one primary wallet per user
+const PRIMARY_INDEX = 'user_wallets_one_primary_idx';
+
+function byPrimaryThenAge(a, b) {
+  if (a.is_primary !== b.is_primary) return a.is_primary ? -1 : 1;
+  return a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0;
+}
+
+// ============= SUPABASE =============
+
+export function createSupabaseWalletStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Wallet', error);
+  }
+
+  return {
+    async addWallet({ userId, walletId, address = null, type = 'EVM' }) {
+      const { count, error: countError } = await table()
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId);
+      check(countError);
+
+      const insert = (isPrimary) =>
+        table()
+          .insert({
+            user_id: userId,
+            wallet_id: walletId,
+            address,
+            type,
+            is_primary: isPrimary,
+          })
+          .select()
+          .single();
+
+      let { data, error } = await insert(!count);
+      // A concurrent addWallet took the primary slot after we counted
+      if (error?.code === UNIQUE_VIOLATION && error.message?.includes(PRIMARY_INDEX)) {
+        ({ data, error } = await insert(false));
+      }
+      check(error);
+      return data;
+    },
+
+    async listWallets(userId) {
+      const { data, error } = await table()
+        .select()
+        .eq('user_id', userId)
+        .order('is_primary', { ascending: false })
+        .order('created_at', { ascending: true });
+      check(error);
+      return data || [];
+    },
+
+    async getWallet(userId, walletId) {
+      const { data, error } = await table()
+        .select()
+        .eq('user_id', userId)
+        .eq('wallet_id', walletId)
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async getPrimaryWallet(userId) {
+      const { data, error } = await table()
+        .select()
+        .eq('user_id', userId)
+        .order('is_primary', { ascending: false })
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async setAddress(walletId, address) {
+      const { data, error } = await table()
+        .update({ address })
+        .eq('wallet_id', walletId)
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    // Para may hand out lowercase or checksummed addresses; match either
+    async findByAddresses(addresses) {
+      if (!addresses.length) return [];
+      const variants = addresses.flatMap((a) => [a.toLowerCase(), ethers.getAddress(a)]);
+      const { data, error } = await table().select().in('address', [...new Set(variants)]);
+      check(error);
+      return data || [];
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+// Process-local stand-in for offline tests and local runs without Supabase.
+export function createMemoryWalletStore() {
+  const rows = [];
+  let nextId = 1;
+
+  return {
+    async addWallet({ userId, walletId, address = null, type = 'EVM' }) {
+      const row = {
+        id: nextId++,
+        user_id: userId,
+        wallet_id: walletId,
+        address,
+        type,
+        is_primary: !rows.some((r) => r.user_id === userId),
+        created_at: new Date().toISOString(),
+      };
+      rows.push(row);
+      return { ...row };
+    },
+
+    async listWallets(userId) {
+      return rows
+        .filter((r) => r.user_id === userId)
+        .sort(byPrimaryThenAge)
+        .map((r) => ({ ...r }));
+    },
+
+    async getWallet(userId, walletId) {
+      const row = rows.find((r) => r.user_id === userId && r.wallet_id === walletId);
+      return row ? { ...row } : null;
+    },
+
+    async getPrimaryWallet(userId) {
+      const [row] = rows.filter((r) => r.user_id === userId).sort(byPrimaryThenAge);
+      return row ? { ...row } : null;
+    },
+
+    async setAddress(walletId, address) {
+      const row = rows.find((r) => r.wallet_id === walletId);
+      if (!row) return null;
+      row.address = address;
+      return { ...row };
+    },
+
+    async findByAddresses(addresses) {
+      const wanted = new Set(addresses.map((a) => a.toLowerCase()));
+      return rows
+        .filter((r) => r.address && wanted.has(r.address.toLowerCase()))
+        .map((r) => ({ ...r }));
+    },
+  };
+}
@@ -0,0 +1,157 @@
+import { databaseError } from '../errors.js';
+
+// Webhook endpoints, per user. A null userId means the operator's endpoints,
+// which receive every user's events.
+//
+// Every implementation exposes the same async interface:
+//   create(endpoint)                  -> row
+//   list(userId)                      -> rows (newest first)
+//   get(userId, id)                   -> row | null
+//   find(id)                          -> row | null (whoever owns it)
+//   update(userId, id, patch)         -> row | null
+//   remove(userId, id)                -> boolean
+//   listSubscribers(userId, type)     -> active rows of the user and the
+//                                        operator subscribed to event `type`
+//
+// See supabase/migrations/013_webhooks.sql.
+
+const TABLE = 'webhook_endpoints';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============= SUPABASE =============
+
+export function createSupabaseWebhookStore(getClient) {
+  const table = () => getClient().from(TABLE);
+
+  function check(error) {
+    if (error) throw databaseError('Webhook', error);
+  }
+
+  function owned(query, userId) {
+    return userId ? query.eq('user_id', userId) : query.is('user_id', null);
+  }
+
+  return {
+    async create(endpoint) {
+      const { data, error } = await table().insert(endpoint).select().single();
+      check(error);
+      return data;
+    },
+
+    async list(userId) {
+      const { data, error } = await owned(table().select(), userId).order('created_at', {
+        ascending: false,
+      });
+      check(error);
+      return data || [];
+    },
+
+    async get(userId, id) {
+      if (!UUID.test(id)) return null;
+      const { data, error } = await owned(table().select().eq('id', id), userId).maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async find(id) {
+      if (!UUID.test(id)) return null;
+      const { data, error } = await table().select().eq('id', id).maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async update(userId, id, patch) {
+      if (!UUID.test(id)) return null;
+      const { data, error } = await owned(
+        table()
+          .update({ ...patch, updated_at: new Date().toISOString() })
+          .eq('id', id),
+        userId
+      )
+        .select()
+        .maybeSingle();
+      check(error);
+      return data;
+    },
+
+    async remove(userId, id) {
+      if (!UUID.test(id)) return false;
+      const { data, error } = await owned(table().delete().eq('id', id), userId).select('id');
+      check(error);
+      return data.length > 0;
+    },
+
+    async listSubscribers(userId, type) {
+      const owners = userId ? `user_id.eq.${userId},user_id.is.null` : 'user_id.is.null';
+      const { data, error } = await table()
+        .select()
+        .eq('active', true)
+        .contains('events', [type])
+        .or(owners);
+      check(error);
+      return data || [];
+    },
+  };
+}
+
+// ============= IN-MEMORY =============
+
+export function createMemoryWebhookStore() {
+  const rows = new Map();
+
+  function find(userId, id) {
+    const row = rows.get(id);
+    return row && row.user_id === (userId ?? null) ? row : null;
+  }
+
+  return {
+    async create(endpoint) {
+      const now = new Date().toISOString();
+      const row = {
+        user_id: null,
+        description: null,
+        active: true,
+        created_at: now,
+        updated_at: now,
+        ...endpoint,
+      };
+      rows.set(row.id, row);
+      return { ...row };
+    },
+
+    async list(userId) {
+      return [...rows.values()]
+        .filter((r) => r.user_id === (userId ?? null))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map((r) => ({ ...r }));
+    },
+
+    async get(userId, id) {
+      const row = find(userId, id);
+      return row ? { ...row } : null;
+    },
+
+    async find(id) {
+      const row = rows.get(id);
+      return row ? { ...row } : null;
+    },
+
+    async update(userId, id, patch) {
+      const row = find(userId, id);
+      if (!row) return null;
+      Object.assign(row, patch, { updated_at: new Date().toISOString() });
+      return { ...row };
+    },
+
+    async remove(userId, id) {
+      return find(userId, id) ? rows.delete(id) : false;
+    },
+
+    async listSubscribers(userId, type) {
+      return [...rows.values()]
+        .filter((r) => r.active && r.events.includes(type))
+        .filter((r) => r.user_id === null || r.user_id === userId)
+        .map((r) => ({ ...r }));
+    },
+  };
+}
@@ -0,0 +1,36 @@
+import { createClient } from '@supabase/supabase-js';
+
+// The server never keeps a session of its own; tokens travel with each request
+const CLIENT_OPTIONS = { auth: { persistSession: false, autoRefreshToken: false } };
+
+function checkCredentials({ supabaseUrl, supabaseServiceKey }) {
+  if (!supabaseUrl || !supabaseServiceKey) {
+    throw new Error(
+      `Missing Supabase credentials. Set SUPABASE_URL and SUPABASE_SERVICE_KEY in environment variables.`
+    );
+  }
+}
+
+// Lazy-load the Supabase client so a missing env var only fails the
+// requests that need it, not the whole process at import time.
+export function createSupabaseGetter(config) {
+  let supabase = null;
+
+  return function getSupabaseClient() {
+    if (!supabase) {
+      checkCredentials(config);
+      supabase = createClient(config.supabaseUrl, config.supabaseServiceKey, CLIENT_OPTIONS);
+    }
+    return supabase;
+  };
+}
+
+// A throwaway client for sign-in and refresh. Signing in stores the user's
+// session on the client, which would make the shared service-role client
+// run later queries as that user.
+export function createSessionClientFactory(config) {
+  return function getSessionClient() {
+    checkCredentials(config);
+    return createClient(config.supabaseUrl, config.supabaseServiceKey, CLIENT_OPTIONS);
+  };
+}
@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+import { logger } from './logger.js';
+
+export const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+];
+
+const erc20 = new ethers.Interface(ERC20_ABI);
+
+// Circle's test USDC on Sepolia
+export const DEFAULT_TOKENS = [
+  {
+    chain: 'sepolia',
+    symbol: 'USDC',
+    address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
+    decimals: 6,
+  },
+];
+
+// Parse the TOKENS env var: a JSON array of { chain, symbol, address, decimals }.
+// Entries without `chain` belong to defaultChain.
+export function parseTokens(json, defaultChain = 'sepolia') {
+  if (!json) return DEFAULT_TOKENS;
+
+  const tokens = JSON.parse(json);
+  if (!Array.isArray(tokens)) {
+    throw new Error('TOKENS must be a JSON array of { chain, symbol, address, decimals }');
+  }
+  return tokens.map(({ chain = defaultChain, symbol, address, decimals }) => {
+    if (!symbol || !ethers.isAddress(address) || !Number.isInteger(decimals)) {
+      throw new Error(
+        `Invalid token entry in TOKENS: ${JSON.stringify({ symbol, address, decimals })}`
+      );
+    }
+    return { chain, symbol, address: ethers.getAddress(address), decimals };
+  });
+}
+
+// Lookup by symbol (case-insensitive) or contract address
+export function createTokenRegistry(tokens = DEFAULT_TOKENS) {
+  const bySymbol = new Map(tokens.map((t) => [t.symbol.toUpperCase(), t]));
+  const byAddress = new Map(tokens.map((t) => [t.address.toLowerCase(), t]));
+
+  return {
+    list() {
+      return [...tokens];
+    },
+
+    find(symbolOrAddress) {
+      const key = String(symbolOrAddress);
+      return bySymbol.get(key.toUpperCase()) || byAddress.get(key.toLowerCase()) || null;
+    },
+  };
+}
+
+// Calldata for transfer(to, units)
+export function encodeTransfer(to, units) {
+  return erc20.encodeFunctionData('transfer', [to, units]);
+}
+
+function describeToken({ symbol, address, decimals }) {
+  return { symbol, address, decimals };
+}
+
+// Balances of every token in the registry; a token whose call fails reports
+// balance: null instead of failing the whole lookup
+export async function getTokenBalances(provider, tokens, owner) {
+  return Promise.all(
+    tokens.list().map(async (token) => {
+      try {
+        const contract = new ethers.Contract(token.address, ERC20_ABI, provider);
+        const units = await contract.balanceOf(owner);
+        return { ...describeToken(token), balance: ethers.formatUnits(units, token.decimals) };
+      } catch (err) {
+        logger.error('Token balance error', { token: token.symbol, error: err.message });
+        return { ...describeToken(token), balance: null };
+      }
+    })
+  );
+}
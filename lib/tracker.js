@@ -0,0 +1,156 @@
+import { logger } from './logger.js';
+
+// Confirmation tracker: moves ledger entries through
+//   pending -> confirmed (confirmationBlocks deep) -> final (finalityBlocks deep)
+// or to one of the terminal failure states:
+//   failed   - mined but reverted
+//   replaced - another transaction with the same nonce was mined
+//   dropped  - left the mempool without being mined
+
+export const TRACKED_STATUSES = ['pending', 'confirmed'];
+export const TERMINAL_STATUSES = ['final', 'failed', 'replaced', 'dropped'];
+
+const CONFIRMED_STATUSES = ['confirmed', 'final'];
+const FAILED_STATUSES = ['failed', 'replaced', 'dropped'];
+
+const PAGE_SIZE = 100;
+
+export function createConfirmationTracker({ chains, store, webhooks, config }) {
+  const { confirmationBlocks, finalityBlocks, dropTimeoutMs } = config;
+  let timer = null;
+  let running = false;
+
+  function statusFor(receipt, confirmations) {
+    if (receipt.status === 0) return 'failed';
+    if (confirmations >= finalityBlocks) return 'final';
+    if (confirmations >= confirmationBlocks) return 'confirmed';
+    return 'pending';
+  }
+
+  async function save(tx, patch) {
+    const changed = Object.keys(patch).some(
+      (key) => String(patch[key] ?? null) !== String(tx[key] ?? null)
+    );
+    if (!changed) return tx;
+
+    const updated = await store.transactions.update(tx.hash, patch);
+    notify(tx, updated);
+    return updated;
+  }
+
+  // transaction.confirmed once it first reaches confirmationBlocks (or skips
+  // straight to final), transaction.failed when it ends any other way
+  function notify(before, after) {
+    if (after.status === before.status) return;
+    if (CONFIRMED_STATUSES.includes(after.status) && before.status === 'pending') {
+      webhooks.emit(after.user_id, 'transaction.confirmed', after);
+    } else if (FAILED_STATUSES.includes(after.status)) {
+      webhooks.emit(after.user_id, 'transaction.failed', after);
+    }
+  }
+
+  // Re-check one ledger entry against its chain and persist any change
+  async function checkTransaction(tx, head) {
+    if (TERMINAL_STATUSES.includes(tx.status)) return tx;
+    const provider = chains.provider(tx.chain_id);
+    if (head === undefined) head = await provider.getBlockNumber();
+
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (receipt) {
+      const confirmations = Math.max(head - receipt.blockNumber + 1, 0);
+      const status = statusFor(receipt, confirmations);
+      return save(tx, {
+        status,
+        block_number: receipt.blockNumber,
+        confirmations,
+        gas_used: receipt.gasUsed.toString(),
+        effective_gas_price: receipt.gasPrice?.toString() ?? null,
+        error: status === 'failed' ? 'Transaction reverted' : null,
+      });
+    }
+
+    // Was mined before, but the block is gone: a reorg put it back in the mempool
+    if (tx.block_number != null) {
+      return save(tx, { status: 'pending', block_number: null, confirmations: 0 });
+    }
+
+    const minedNonce = await provider.getTransactionCount(tx.from_address, 'latest');
+    if (minedNonce > Number(tx.nonce)) {
+      // The nonce is used up; make sure it wasn't ours that just got mined
+      if (await provider.getTransactionReceipt(tx.hash)) return tx;
+      return save(tx, {
+        status: 'replaced',
+        error: `Nonce ${tx.nonce} was used by another transaction`,
+      });
+    }
+
+    const age = Date.now() - new Date(tx.created_at).getTime();
+    if (age > dropTimeoutMs && !(await provider.getTransaction(tx.hash))) {
+      return save(tx, { status: 'dropped', error: 'Transaction dropped from mempool' });
+    }
+
+    return tx;
+  }
+
+  // One pass over every non-terminal ledger entry
+  async function poll() {
+    if (running) return { checked: 0, updated: 0 };
+    running = true;
+
+    let checked = 0;
+    let updated = 0;
+    try {
+      const heads = new Map();
+      const pending = [];
+
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { transactions, total } = await store.transactions.list({
+          status: TRACKED_STATUSES,
+          limit: PAGE_SIZE,
+          offset,
+        });
+        pending.push(...transactions);
+        if (offset + PAGE_SIZE >= total) break;
+      }
+
+      for (const tx of pending) {
+        try {
+          // One block-number lookup per chain per pass
+          if (!heads.has(tx.chain_id)) {
+            heads.set(tx.chain_id, await chains.provider(tx.chain_id).getBlockNumber());
+          }
+          const result = await checkTransaction(tx, heads.get(tx.chain_id));
+          checked++;
+          if (result.status !== tx.status) {
+            updated++;
+            logger.info('Transaction status changed', {
+              hash: tx.hash,
+              from: tx.status,
+              to: result.status,
+            });
+          }
+        } catch (err) {
+          logger.error('Confirmation check error', { hash: tx.hash, error: err.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return { checked, updated };
+  }
+
+  function start(intervalMs = config.trackerIntervalMs) {
+    if (timer || !intervalMs) return;
+    timer = setInterval(() => {
+      poll().catch((err) => logger.error('Confirmation tracker error', { error: err.message }));
+    }, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { checkTransaction, poll, start, stop };
+}
@@ -0,0 +1,463 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { encodeTransfer, ERC20_ABI } from './tokens.js';
+import { ApiError } from './errors.js';
+
+// Plain ETH transfers to an EOA always cost exactly this much gas
+const TRANSFER_GAS = 21000n;
+
+// Headroom on top of estimateGas for contract calls (token transfers)
+const GAS_BUFFER_PERCENT = 20n;
+
+// Nodes only accept a same-nonce replacement that raises fees by at least
+// 10%; bump a little more so it also beats fee drift since the original
+const REPLACEMENT_BUMP_PERCENT = 20n;
+
+// Fee tiers, in percent of the node's suggested priority fee (or gas price on
+// legacy chains) and of the latest block's base fee
+export const FEE_TIERS = {
+  slow: { priorityPercent: 80n, baseFeePercent: 125n },
+  normal: { priorityPercent: 100n, baseFeePercent: 200n },
+  fast: { priorityPercent: 150n, baseFeePercent: 300n },
+};
+
+// Builds, prices, signs and broadcasts transfers. A "transfer" is the plain
+// object returned by prepareTransfer(); createQuote() stores one for later.
+// Every signing request and broadcast is audited (transaction.sign,
+// transaction.broadcast), including failed ones.
+export function createTransferService({ chains, para, store, nonces, webhooks, audit, config }) {
+  async function suggestFees(provider, chain, tier) {
+    const { priorityPercent, baseFeePercent } = FEE_TIERS[tier];
+    const feeData = await provider.getFeeData();
+
+    if (!chain.eip1559) {
+      const gasPrice = (feeData.gasPrice * priorityPercent) / 100n;
+      return { fees: { type: 0, gasPrice }, expectedGasPrice: gasPrice };
+    }
+
+    const block = await provider.getBlock('latest');
+    const baseFee = block?.baseFeePerGas ?? feeData.gasPrice;
+    const priorityFee = (feeData.maxPriorityFeePerGas * priorityPercent) / 100n;
+
+    return {
+      fees: {
+        type: 2,
+        maxFeePerGas: (baseFee * baseFeePercent) / 100n + priorityFee,
+        maxPriorityFeePerGas: priorityFee,
+      },
+      expectedGasPrice: baseFee + priorityFee,
+    };
+  }
+
+  // Build the unsigned transaction (minus nonce), estimate gas and fees, and
+  // check the wallet can cover value + worst-case fee
+  async function prepareTransfer({ chain, asset, from, to, amount, tier = 'normal' }) {
+    const provider = chains.provider(chain);
+
+    // Native ETH moves in `value`; tokens call transfer(to, units) on the contract
+    const tokenUnits = asset ? ethers.parseUnits(amount, asset.decimals) : null;
+    const call = asset
+      ? { to: asset.address, value: 0n, data: encodeTransfer(to, tokenUnits) }
+      : { to, value: ethers.parseEther(amount), data: '0x' };
+
+    const balance = await provider.getBalance(from);
+    const tokenBalance = asset
+      ? await new ethers.Contract(asset.address, ERC20_ABI, provider).balanceOf(from)
+      : null;
+
+    const transfer = { chain, asset, from, to, amount, tier, tokenUnits };
+
+    // Nodes refuse to estimate a call the sender can't pay for
+    if (balance < call.value || (asset && tokenBalance < tokenUnits)) {
+      return {
+        ...transfer,
+        funds: { sufficient: false, balance, tokenBalance, required: call.value },
+      };
+    }
+
+    const estimate = await provider.estimateGas({ from, ...call });
+    const gasLimit =
+      estimate > TRANSFER_GAS ? (estimate * (100n + GAS_BUFFER_PERCENT)) / 100n : estimate;
+
+    const { fees, expectedGasPrice } = await suggestFees(provider, chain, tier);
+    const maxGasPrice = fees.maxFeePerGas ?? fees.gasPrice;
+    const maxFee = gasLimit * maxGasPrice;
+    const required = call.value + maxFee;
+
+    return {
+      ...transfer,
+      tx: { chainId: chain.chainId, ...call, gasLimit, ...fees },
+      maxFee,
+      expectedFee: gasLimit * expectedGasPrice,
+      funds: { sufficient: balance >= required, balance, tokenBalance, required },
+    };
+  }
+
+  // Fee and funds breakdown shared by quote and insufficient-funds responses
+  function describeCosts(transfer) {
+    const { chain, asset, funds } = transfer;
+    const costs = {
+      chain: chain.key,
+      from: transfer.from,
+      to: transfer.to,
+      amount: transfer.amount,
+      token: asset?.symbol ?? chain.nativeSymbol,
+      fee_tier: transfer.tier,
+      balance_eth: ethers.formatEther(funds.balance),
+      required_eth: ethers.formatEther(funds.required),
+      sufficient_funds: funds.sufficient,
+    };
+    if (asset) {
+      costs.token_balance = ethers.formatUnits(funds.tokenBalance, asset.decimals);
+    }
+    if (transfer.tx) {
+      const { tx } = transfer;
+      Object.assign(costs, {
+        gas_limit: tx.gasLimit.toString(),
+        max_fee_per_gas: tx.maxFeePerGas?.toString() ?? null,
+        max_priority_fee_per_gas: tx.maxPriorityFeePerGas?.toString() ?? null,
+        gas_price: tx.gasPrice?.toString() ?? null,
+        expected_fee_eth: ethers.formatEther(transfer.expectedFee),
+        max_fee_eth: ethers.formatEther(transfer.maxFee),
+      });
+    }
+    return costs;
+  }
+
+  // Store a prepared transfer as a short-lived quote
+  async function createQuote(userId, walletId, transfer) {
+    const tx = Object.fromEntries(
+      Object.entries(transfer.tx).map(([key, value]) => [
+        key,
+        typeof value === 'bigint' ? value.toString() : value,
+      ])
+    );
+
+    return store.quotes.save({
+      id: crypto.randomUUID(),
+      user_id: userId,
+      wallet_id: walletId,
+      chain_id: transfer.chain.chainId,
+      to_address: transfer.to,
+      amount: transfer.amount,
+      token_symbol: transfer.asset?.symbol ?? null,
+      fee_tier: transfer.tier,
+      tx,
+      expires_at: new Date(Date.now() + config.quoteTtlMs).toISOString(),
+    });
+  }
+
+  // Turn a stored quote back into a transfer with exactly the quoted
+  // parameters, and check the wallet can still cover them
+  async function transferFromQuote(quote, from) {
+    const chain = chains.find(quote.chain_id);
+    if (!chain) {
+      throw new ApiError('CHAIN_NOT_CONFIGURED', {
+        message: `Quoted chain ${quote.chain_id} is no longer configured`,
+      });
+    }
+
+    const provider = chains.provider(chain);
+    const asset = quote.token_symbol ? chain.tokens.find(quote.token_symbol) : null;
+    const tokenUnits = asset ? ethers.parseUnits(quote.amount, asset.decimals) : null;
+    const tx = ethers.Transaction.from(quote.tx);
+
+    const balance = await provider.getBalance(from);
+    const tokenBalance = asset
+      ? await new ethers.Contract(asset.address, ERC20_ABI, provider).balanceOf(from)
+      : null;
+
+    let expectedGasPrice = tx.gasPrice;
+    if (tx.type === 2) {
+      const block = await provider.getBlock('latest');
+      const current = (block?.baseFeePerGas ?? 0n) + tx.maxPriorityFeePerGas;
+      expectedGasPrice = current < tx.maxFeePerGas ? current : tx.maxFeePerGas;
+    }
+    const maxFee = tx.gasLimit * (tx.maxFeePerGas ?? tx.gasPrice);
+    const required = tx.value + maxFee;
+    const sufficient = balance >= required && (!asset || tokenBalance >= tokenUnits);
+
+    return {
+      chain,
+      asset,
+      from,
+      to: quote.to_address,
+      amount: quote.amount,
+      tier: quote.fee_tier,
+      tokenUnits,
+      tx: {
+        chainId: tx.chainId,
+        to: tx.to,
+        value: tx.value,
+        data: tx.data,
+        gasLimit: tx.gasLimit,
+        type: tx.type,
+        ...(tx.type === 2
+          ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+          : { gasPrice: tx.gasPrice }),
+      },
+      maxFee,
+      expectedFee: tx.gasLimit * expectedGasPrice,
+      funds: { sufficient, balance, tokenBalance, required },
+    };
+  }
+
+  // Sign with the given nonce through Para, record in the ledger and broadcast.
+  // Callers hold the wallet's nonce lock.
+  async function signAndBroadcast(
+    userId,
+    wallet,
+    transfer,
+    { nonce, kind = 'transfer', replaces = null }
+  ) {
+    const { chain, asset, tx: fields } = transfer;
+    const provider = chains.provider(chain);
+
+    const unsignedTx = ethers.Transaction.from({ ...fields, nonce });
+    const unsignedSerialized = unsignedTx.unsignedSerialized;
+    const digest = ethers.keccak256(unsignedSerialized);
+
+    const described = {
+      wallet_id: wallet.wallet_id,
+      chain: chain.key,
+      from: wallet.address,
+      to: transfer.to,
+      amount: transfer.amount,
+      token: asset?.symbol ?? chain.nativeSymbol,
+      nonce,
+      kind,
+      replaces,
+    };
+    const audited = (action, outcome, details) =>
+      audit.record(action, {
+        targetUserId: userId,
+        outcome,
+        details: { ...described, ...details },
+      });
+
+    let signRes;
+    try {
+      signRes = await para.signRaw(wallet.wallet_id, digest);
+    } catch (signErr) {
+      await audited('transaction.sign', 'failure', { digest, error: signErr.message });
+      throw signErr;
+    }
+    await audited('transaction.sign', 'success', { digest });
+
+    const signedTx = unsignedTx.clone();
+    signedTx.signature = ethers.Signature.from(signRes.signature);
+
+    // Record before broadcasting so a crash mid-send still leaves a trace
+    const recorded = await store.transactions.record({
+      user_id: userId,
+      wallet_id: wallet.wallet_id,
+      chain_id: chain.chainId,
+      from_address: wallet.address,
+      to_address: transfer.to,
+      amount: transfer.amount,
+      value_wei: fields.value.toString(),
+      nonce,
+      gas_limit: fields.gasLimit.toString(),
+      max_fee_per_gas: fields.maxFeePerGas?.toString() ?? null,
+      max_priority_fee_per_gas: fields.maxPriorityFeePerGas?.toString() ?? null,
+      gas_price: fields.gasPrice?.toString() ?? null,
+      token_symbol: asset?.symbol ?? null,
+      token_address: asset?.address ?? null,
+      token_units: transfer.tokenUnits?.toString() ?? null,
+      kind,
+      replaces_hash: replaces,
+      hash: signedTx.hash,
+      status: 'pending',
+    });
+
+    let txRes;
+    try {
+      txRes = await provider.broadcastTransaction(signedTx.serialized);
+    } catch (broadcastErr) {
+      // Marking it failed takes it out of the in-flight set, freeing the nonce
+      const failed = await store.transactions.update(signedTx.hash, {
+        status: 'failed',
+        error: broadcastErr.message,
+      });
+      await audited('transaction.broadcast', 'failure', {
+        hash: signedTx.hash,
+        error: broadcastErr.message,
+      });
+      webhooks.emit(userId, 'transaction.failed', failed);
+      throw broadcastErr;
+    }
+    await audited('transaction.broadcast', 'success', { hash: txRes.hash });
+    // Not awaited: webhooks are delivered in the background anyway
+    webhooks.emit(userId, 'transaction.broadcast', recorded);
+
+    return {
+      transaction_hash: txRes.hash,
+      from: wallet.address,
+      to: transfer.to,
+      amount: transfer.amount,
+      token: asset?.symbol ?? chain.nativeSymbol,
+      chain: chain.key,
+      nonce,
+      status: 'pending',
+      explorer_url: chain.explorerUrl ? `${chain.explorerUrl}/tx/${txRes.hash}` : null,
+    };
+  }
+
+  // Send a prepared transfer with the wallet's next nonce
+  function executeTransfer(userId, wallet, transfer) {
+    return nonces.withLock(transfer.chain, wallet.address, async () => {
+      const nonce = await nonces.reserve(transfer.chain, wallet.address);
+      return signAndBroadcast(userId, wallet, transfer, { nonce });
+    });
+  }
+
+  // Fill every nonce gap with a 0-value self-transfer so queued transactions
+  // behind it can be mined
+  function fillNonceGaps(userId, wallet, chain) {
+    return nonces.withLock(chain, wallet.address, async () => {
+      const { gaps } = await nonces.inspect(chain, wallet.address);
+      const filled = [];
+
+      for (const nonce of gaps) {
+        const transfer = await prepareTransfer({
+          chain,
+          from: wallet.address,
+          to: wallet.address,
+          amount: '0',
+          tier: 'fast',
+        });
+        if (!transfer.funds.sufficient) {
+          throw new ApiError('INSUFFICIENT_FUNDS', {
+            message: `Insufficient funds to fill nonce gap ${nonce}`,
+          });
+        }
+        filled.push(
+          await signAndBroadcast(userId, wallet, transfer, { nonce, kind: 'nonce_fill' })
+        );
+      }
+      return filled;
+    });
+  }
+
+  // A fee the original didn't set (a legacy row on an EIP-1559 chain, or the
+  // other way round after a config change) leaves the current network fee
+  function bump(value) {
+    if (value === null || value === undefined) return 0n;
+    return (BigInt(value) * (100n + REPLACEMENT_BUMP_PERCENT)) / 100n;
+  }
+
+  function max(...values) {
+    return values.reduce((a, b) => (a > b ? a : b));
+  }
+
+  // Re-send a pending ledger entry with the same nonce and higher fees.
+  //   mode 'speedup' - same transaction, bumped fees
+  //   mode 'cancel'  - 0-value self-transfer that takes the nonce instead
+  function replaceTransaction(userId, wallet, original, mode) {
+    const chain = chains.find(original.chain_id);
+    if (!chain) {
+      throw new ApiError('CHAIN_NOT_CONFIGURED', {
+        message: `Chain ${original.chain_id} is no longer configured`,
+      });
+    }
+
+    return nonces.withLock(chain, wallet.address, async () => {
+      // A concurrent speedup or cancel may have replaced it while we waited
+      const latest = await store.transactions.getTransaction(original.hash);
+      if (latest?.status !== 'pending' || latest.replaced_by) {
+        const message = latest?.replaced_by
+          ? `Already replaced by ${latest.replaced_by}; ${mode} that one instead`
+          : `Only pending transactions can be replaced (status: ${latest?.status})`;
+        throw new ApiError('NOT_REPLACEABLE', { message });
+      }
+
+      const provider = chains.provider(chain);
+      const { fees: current } = await suggestFees(provider, chain, 'fast');
+      const asset = original.token_address ? chain.tokens.find(original.token_address) : null;
+
+      let call;
+      if (mode === 'cancel') {
+        call = { to: wallet.address, value: 0n, data: '0x', gasLimit: TRANSFER_GAS };
+      } else if (original.token_address) {
+        call = {
+          to: original.token_address,
+          value: 0n,
+          data: encodeTransfer(original.to_address, BigInt(original.token_units)),
+          gasLimit: BigInt(original.gas_limit),
+        };
+      } else {
+        call = {
+          to: original.to_address,
+          value: BigInt(original.value_wei),
+          data: '0x',
+          gasLimit: BigInt(original.gas_limit),
+        };
+      }
+
+      const fees = chain.eip1559
+        ? {
+            type: 2,
+            maxPriorityFeePerGas: max(
+              bump(original.max_priority_fee_per_gas),
+              current.maxPriorityFeePerGas
+            ),
+            maxFeePerGas: max(bump(original.max_fee_per_gas), current.maxFeePerGas),
+          }
+        : { type: 0, gasPrice: max(bump(original.gas_price), current.gasPrice) };
+
+      const transfer =
+        mode === 'cancel'
+          ? { chain, asset: null, from: wallet.address, to: wallet.address, amount: '0' }
+          : {
+              chain,
+              asset,
+              from: wallet.address,
+              to: original.to_address,
+              amount: original.amount,
+              tokenUnits: original.token_units ? BigInt(original.token_units) : null,
+            };
+      transfer.tx = { chainId: chain.chainId, ...call, ...fees };
+
+      // The original hasn't been mined, so the balance still covers its value;
+      // the higher fee may not fit
+      const balance = await provider.getBalance(wallet.address);
+      const required = call.value + call.gasLimit * (fees.maxFeePerGas ?? fees.gasPrice);
+      if (balance < required) {
+        throw new ApiError('INSUFFICIENT_FUNDS', {
+          message: `Insufficient funds to ${mode} with higher fees`,
+          details: {
+            balance_eth: ethers.formatEther(balance),
+            required_eth: ethers.formatEther(required),
+            sufficient_funds: false,
+          },
+        });
+      }
+
+      const result = await signAndBroadcast(userId, wallet, transfer, {
+        nonce: Number(original.nonce),
+        kind: mode,
+        replaces: original.hash,
+      });
+
+      await store.transactions.update(original.hash, { replaced_by: result.transaction_hash });
+
+      return {
+        ...result,
+        replaces: original.hash,
+        max_fee_per_gas: fees.maxFeePerGas?.toString() ?? null,
+        max_priority_fee_per_gas: fees.maxPriorityFeePerGas?.toString() ?? null,
+        gas_price: fees.gasPrice?.toString() ?? null,
+      };
+    });
+  }
+
+  return {
+    prepareTransfer,
+    describeCosts,
+    createQuote,
+    transferFromQuote,
+    executeTransfer,
+    fillNonceGaps,
+    replaceTransaction,
+  };
+}
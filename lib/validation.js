@@ -0,0 +1,241 @@
+import { ethers } from 'ethers';
+import { ApiError } from './errors.js';
+
+// Request validation.
+//
+// A schema lists the accepted fields of req.body, req.query and req.params,
+// each with a validator. validate(schema) checks every field and fails with
+// INVALID_REQUEST (400), listing each bad field as
+//   fields: [{ field, message }, ...]
+// or replaces body/query/params with the cleaned values (trimmed,
+// checksummed, parsed) and calls next(). Fields the schema doesn't list are
+// dropped.
+//
+// A validator takes the raw value and returns the cleaned one, or throws
+// invalid(message). Missing values ('' counts as missing) reach the validator
+// as undefined unless wrapped in optional().
+
+const MAX_DECIMALS = 18;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TX_HASH = /^0x[0-9a-f]{64}$/i;
+
+class InvalidField extends Error {}
+
+export function invalid(message) {
+  return new InvalidField(message);
+}
+
+// The error validate() fails with; for checks routes make themselves
+export function invalidRequest(fields) {
+  return new ApiError('INVALID_REQUEST', { details: { fields } });
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function required(value) {
+  if (!present(value)) throw invalid('is required');
+  return value;
+}
+
+// ============= VALIDATORS =============
+
+// Missing -> fallback (undefined leaves the field out)
+export function optional(validator, fallback) {
+  return (value) => (present(value) ? validator(value) : fallback);
+}
+
+// Like optional(), but an explicit null or '' comes through as null (clears
+// the field on update)
+export function nullable(validator) {
+  return (value) => (value === null || value === '' ? null : optional(validator)(value));
+}
+
+export function string({ max = 255, trim = true } = {}) {
+  return (value) => {
+    if (typeof required(value) !== 'string') throw invalid('must be a string');
+    const trimmed = trim ? value.trim() : value;
+    if (!trimmed) throw invalid('is required');
+    if (trimmed.length > max) throw invalid(`must be at most ${max} characters`);
+    return trimmed;
+  };
+}
+
+// EIP-55: all-lowercase is accepted, mixed case must carry a valid checksum
+// (a mismatch is almost always a typo). Returns the checksummed address.
+export function address() {
+  return (value) => {
+    if (typeof required(value) !== 'string' || !ethers.isAddress(value)) {
+      throw invalid('must be a valid 0x address (check for typos)');
+    }
+    const checksummed = ethers.getAddress(value);
+    if (checksummed === ethers.ZeroAddress) throw invalid('must not be the zero address');
+    return checksummed;
+  };
+}
+
+// Positive decimal amount in whole units, e.g. "0.25"; returned as a string
+export function amount({ decimals = MAX_DECIMALS } = {}) {
+  return (value) => {
+    const text = typeof required(value) === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || !/^\d+(\.\d+)?$/.test(text.trim())) {
+      throw invalid('must be a positive decimal number, e.g. "0.1"');
+    }
+    const trimmed = text.trim();
+    if ((trimmed.split('.')[1] || '').length > decimals) {
+      throw invalid(`must have at most ${decimals} decimal places`);
+    }
+    if (!/[1-9]/.test(trimmed)) throw invalid('must be greater than 0');
+    return trimmed;
+  };
+}
+
+export function email() {
+  return (value) => {
+    const trimmed = string({ max: 254 })(value).toLowerCase();
+    if (!EMAIL.test(trimmed)) throw invalid('must be a valid email address');
+    return trimmed;
+  };
+}
+
+// 8-72 characters (bcrypt ignores the rest) with a letter and a digit
+export function password() {
+  return (value) => {
+    if (typeof required(value) !== 'string') throw invalid('must be a string');
+    if (value.length < 8 || value.length > 72) throw invalid('must be 8-72 characters');
+    if (!/[a-z]/i.test(value) || !/\d/.test(value)) {
+      throw invalid('must contain at least one letter and one number');
+    }
+    return value;
+  };
+}
+
+export function oneOf(values) {
+  return (value) => {
+    if (!values.includes(required(value))) throw invalid(`must be one of: ${values.join(', ')}`);
+    return value;
+  };
+}
+
+export function integer({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  return (value) => {
+    const number = Number(required(value));
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw invalid(`must be an integer between ${min} and ${max}`);
+    }
+    return number;
+  };
+}
+
+// ISO 8601 date -> Date
+export function date() {
+  return (value) => {
+    const parsed = new Date(required(value));
+    if (typeof value !== 'string' || Number.isNaN(parsed.getTime())) {
+      throw invalid('must be an ISO 8601 date');
+    }
+    return parsed;
+  };
+}
+
+export function uuid() {
+  return (value) => {
+    if (typeof required(value) !== 'string' || !UUID.test(value)) throw invalid('must be a UUID');
+    return value.toLowerCase();
+  };
+}
+
+export function txHash() {
+  return (value) => {
+    if (typeof required(value) !== 'string' || !TX_HASH.test(value)) {
+      throw invalid('must be a 0x-prefixed 32-byte transaction hash');
+    }
+    return value.toLowerCase();
+  };
+}
+
+// 6-digit one-time code from an authenticator app
+export function otp() {
+  return (value) => {
+    const text = String(required(value)).replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(text)) throw invalid('must be a 6-digit code');
+    return text;
+  };
+}
+
+// Comma-separated list ("a,b") or JSON array -> array, each item checked by `item`
+export function list(item) {
+  return (value) => {
+    const items = Array.isArray(required(value)) ? value : String(value).split(',');
+    if (!items.length) throw invalid('must not be empty');
+    return items.map((v) => item(typeof v === 'string' ? v.trim() : v));
+  };
+}
+
+// Absolute http(s) URL -> normalized string
+export function url({ max = 2048 } = {}) {
+  return (value) => {
+    const text = string({ max })(value);
+    let parsed;
+    try {
+      parsed = new URL(text);
+    } catch {
+      throw invalid('must be an absolute URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw invalid('must be an http(s) URL');
+    return parsed.toString();
+  };
+}
+
+// A configured chain, by key or chain id -> its key. `extra` lists other
+// accepted values (e.g. 'all').
+export function chain(chains, { extra = [] } = {}) {
+  return (value) => {
+    const ref = String(required(value));
+    if (extra.includes(ref)) return ref;
+    const found = chains.find(ref);
+    if (!found) {
+      throw invalid(`must be a configured chain: ${chains.list().map((c) => c.key).join(', ')}`);
+    }
+    return found.key;
+  };
+}
+
+// ============= MIDDLEWARE =============
+
+const SOURCES = ['params', 'query', 'body'];
+
+// `schema.check(cleaned)` can add cross-field errors: it gets { body, query,
+// params } and returns [{ field, message }]
+export function validate(schema) {
+  return (req, res, next) => {
+    const cleaned = {};
+    const fields = [];
+
+    for (const source of SOURCES) {
+      if (!schema[source]) continue;
+      const input = req[source] && typeof req[source] === 'object' ? req[source] : {};
+      cleaned[source] = {};
+
+      for (const [name, validator] of Object.entries(schema[source])) {
+        try {
+          const value = validator(input[name]);
+          if (value !== undefined) cleaned[source][name] = value;
+        } catch (err) {
+          if (!(err instanceof InvalidField)) throw err;
+          fields.push({ field: name, message: `${name} ${err.message}` });
+        }
+      }
+    }
+
+    if (!fields.length && schema.check) fields.push(...schema.check(cleaned));
+    if (fields.length) return next(invalidRequest(fields));
+
+    for (const source of SOURCES) {
+      if (cleaned[source]) req[source] = cleaned[source];
+    }
+    next();
+  };
+}
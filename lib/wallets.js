@@ -0,0 +1,85 @@
+import { ethers } from 'ethers';
+import { getTokenBalances } from './tokens.js';
+import { ApiError } from './errors.js';
+
+// Polling intervals grow by half each time, up to this
+const MAX_POLL_INTERVAL_MS = 5 * 1000;
+
+// Wallet operations shared by the routes: Para wallet polling, lookup and
+// balance. Creating a user's first wallet is lib/provisioner.js's job.
+export function createWalletService({ para, chains, store, config }) {
+  // Poll a Para wallet until it's ready, backing off from
+  // walletPollIntervalMs; resolves to the ready wallet
+  async function waitUntilReady(walletId) {
+    let wallet = await para.getWallet(walletId);
+    const deadline = Date.now() + config.walletPollTimeoutMs;
+    let interval = config.walletPollIntervalMs;
+
+    while (wallet.status !== 'ready' && Date.now() + interval <= deadline) {
+      await new Promise((r) => setTimeout(r, interval));
+      wallet = await para.getWallet(walletId);
+      interval = Math.min(interval * 1.5, MAX_POLL_INTERVAL_MS);
+    }
+
+    if (wallet.status !== 'ready') {
+      throw new ApiError('WALLET_NOT_READY', {
+        cause: new Error(`Wallet creation timeout (status: ${wallet.status})`),
+      });
+    }
+    return wallet;
+  }
+
+  async function getWalletAddress(walletId) {
+    const wallet = await para.getWallet(walletId);
+    if (!wallet.address) {
+      throw new ApiError('WALLET_NOT_READY', {
+        cause: new Error(`Wallet ${walletId} has no address yet (status: ${wallet.status})`),
+      });
+    }
+    return wallet.address;
+  }
+
+  async function getWalletBalance(address, chain = chains.default) {
+    const balance = await chains.provider(chain).getBalance(address);
+    return ethers.formatEther(balance);
+  }
+
+  function getWalletTokenBalances(address, chain = chains.default) {
+    return getTokenBalances(chains.provider(chain), chain.tokens, address);
+  }
+
+  // Look up one of the user's wallets (primary unless walletId is given),
+  // caching the Para address on the row the first time it is needed. A user
+  // whose first wallet is still being provisioned gets WALLET_NOT_READY.
+  async function resolveWallet(userId, walletId) {
+    const wallet = walletId
+      ? await store.wallets.getWallet(userId, walletId)
+      : await store.wallets.getPrimaryWallet(userId);
+
+    if (!wallet && !walletId) {
+      const job = await store.provisioning.get(userId);
+      if (job && job.status !== 'ready') {
+        const message =
+          job.status === 'failed'
+            ? 'Wallet creation failed; retry with POST /wallet/provision'
+            : undefined;
+        throw new ApiError('WALLET_NOT_READY', { message, details: { wallet_status: job.status } });
+      }
+    }
+    if (!wallet) return null;
+
+    if (!wallet.address) {
+      wallet.address = await getWalletAddress(wallet.wallet_id);
+      await store.wallets.setAddress(wallet.wallet_id, wallet.address);
+    }
+    return wallet;
+  }
+
+  return {
+    waitUntilReady,
+    getWalletAddress,
+    getWalletBalance,
+    getWalletTokenBalances,
+    resolveWallet,
+  };
+}
@@ -0,0 +1,308 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { logger } from './logger.js';
+
+// Outbound webhooks.
+//
+// emit(userId, type, data) records a delivery (store.deliveries) for every
+// active endpoint subscribed to the event, the user's own and the operator's,
+// and sends them without waiting. Each is a POST of the event as JSON:
+//   { id, type, created_at, user_id, data }
+// signed with the endpoint's secret:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// A 2xx answer within webhookTimeoutMs counts as delivered. Anything else is
+// retried with backoff from webhookRetryBaseMs; after webhookMaxAttempts the
+// delivery is 'failed' until replayed. Due retries are picked up by the
+// background worker (start()), or by `node scripts/webhooks.js deliver` where
+// none runs. Delivery is at least once: receivers should dedupe on the event id.
+//
+// Endpoints must be https (plain http only with webhookAllowHttp) on public
+// addresses: hosts resolving to loopback, private, link-local or other
+// special ranges are refused when registered, and again on every delivery,
+// against the address actually connected to, so a host can't be pointed at
+// the internal network afterwards. webhookAllowPrivateUrls lifts that (tests).
+
+export const WEBHOOK_EVENTS = [
+  'wallet.created',
+  'transaction.broadcast',
+  'transaction.confirmed',
+  'transaction.failed',
+  'deposit.received',
+];
+
+const LOCK_MS = 2 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const USER_AGENT = 'fintech-backend-para-webhooks/1.0';
+
+// Addresses webhooks may not reach: this host, private networks, the cloud
+// metadata service (169.254.169.254) and other non-public ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // NAT64 can wrap any of the above (BlockList already applies the IPv4
+  // rules to IPv4-mapped addresses, ::ffff:a.b.c.d)
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// URL hostname without the brackets around an IPv6 address
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>"; receivers recompute it to verify
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function createWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+export function createWebhookService({ store, config }) {
+  let timer = null;
+  let running = false;
+
+  // Doubling, with jitter so deliveries that failed together don't retry together
+  function retryDelay(attempts) {
+    const delay = Math.min(config.webhookRetryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  // Why `url` can't be an endpoint (without resolving it), or null
+  function urlProblem(url) {
+    if (url.protocol !== 'https:' && !config.webhookAllowHttp) return 'must be an https URL';
+    const host = hostOf(url);
+    if (!config.webhookAllowPrivateUrls && net.isIP(host) && !isPublicAddress(host)) {
+      return 'must not point to a private or local address';
+    }
+    return null;
+  }
+
+  // Same, for a URL being registered: also resolves its host
+  async function checkUrl(text) {
+    const url = new URL(text);
+    const problem = urlProblem(url);
+    if (problem || config.webhookAllowPrivateUrls || net.isIP(hostOf(url))) return problem;
+
+    try {
+      const addresses = await dns.promises.lookup(hostOf(url), { all: true });
+      if (!addresses.every(({ address }) => isPublicAddress(address))) {
+        return 'must not point to a private or local address';
+      }
+    } catch {
+      return 'host could not be resolved';
+    }
+    return null;
+  }
+
+  // dns.lookup for deliveries, failing on non-public addresses: the address
+  // checked is the one connected to
+  function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const addresses = Array.isArray(address) ? address.map((a) => a.address) : [address];
+      if (!addresses.every(isPublicAddress)) {
+        return callback(new Error(`${hostname} resolves to a private or local address`));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  // POST the delivery; resolves to the response status. Redirects aren't
+  // followed: a redirect is an answer, not an invitation to post elsewhere.
+  async function send(endpoint, delivery) {
+    const url = new URL(endpoint.url);
+    const problem = urlProblem(url);
+    if (problem) throw new Error(`Endpoint URL ${problem}`);
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(endpoint.secret, timestamp, body);
+    const signal = AbortSignal.timeout(config.webhookTimeoutMs);
+
+    return new Promise((resolve, reject) => {
+      const options = {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': USER_AGENT,
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Signature': `t=${timestamp},v1=${signature}`,
+        },
+        lookup: config.webhookAllowPrivateUrls ? undefined : publicLookup,
+        signal,
+      };
+      const req = (url.protocol === 'https:' ? https : http).request(url, options, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', (err) => reject(signal.aborted ? signal.reason : err));
+      req.end(body);
+    });
+  }
+
+  // Send one delivery if it's due and not locked; resolves to the delivery as
+  // it stands afterwards, or null if it wasn't attempted
+  async function attempt(deliveryId) {
+    const delivery = await store.deliveries.claim(deliveryId, new Date(Date.now() + LOCK_MS));
+    if (!delivery) return null;
+
+    const endpoint = await store.webhooks.find(delivery.endpoint_id);
+    const attempts = delivery.attempts + 1;
+    let status = null;
+    let error = null;
+
+    if (!endpoint?.active) {
+      error = 'Endpoint is disabled';
+    } else {
+      try {
+        status = await send(endpoint, delivery);
+        if (status < 200 || status >= 300) error = `Endpoint answered ${status}`;
+      } catch (err) {
+        const timedOut = err.name === 'TimeoutError';
+        error = timedOut ? `Timed out after ${config.webhookTimeoutMs}ms` : err.message;
+      }
+    }
+
+    if (!error) {
+      return store.deliveries.update(deliveryId, {
+        status: 'delivered',
+        attempts,
+        response_status: status,
+        last_error: null,
+        delivered_at: new Date().toISOString(),
+        next_attempt_at: null,
+        locked_until: null,
+      });
+    }
+
+    const failed = !endpoint?.active || attempts >= config.webhookMaxAttempts;
+    logger.warn('Webhook delivery error', { delivery_id: deliveryId, attempt: attempts, error });
+
+    return store.deliveries.update(deliveryId, {
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      response_status: status,
+      last_error: error,
+      next_attempt_at: failed ? null : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+      locked_until: null,
+    });
+  }
+
+  function attemptInBackground(deliveryId) {
+    attempt(deliveryId).catch((err) =>
+      logger.error('Webhook delivery error', { delivery_id: deliveryId, error: err.message })
+    );
+  }
+
+  // Record and start sending an event. Never throws: a webhook problem must
+  // not fail the signup or send that raised the event.
+  async function emit(userId, type, data) {
+    try {
+      const endpoints = await store.webhooks.listSubscribers(userId, type);
+      if (!endpoints.length) return [];
+
+      const event = {
+        id: crypto.randomUUID(),
+        type,
+        created_at: new Date().toISOString(),
+        user_id: userId,
+        data,
+      };
+      const deliveries = await store.deliveries.create(
+        endpoints.map((endpoint) => ({
+          id: crypto.randomUUID(),
+          endpoint_id: endpoint.id,
+          user_id: userId,
+          event_id: event.id,
+          event_type: type,
+          payload: event,
+        }))
+      );
+
+      deliveries.forEach((delivery) => attemptInBackground(delivery.id));
+      return deliveries;
+    } catch (err) {
+      logger.error('Webhook event error', { type, error: err.message });
+      return [];
+    }
+  }
+
+  // Send a delivery again now, whatever its status, with a fresh set of attempts
+  async function replay(delivery) {
+    await store.deliveries.update(delivery.id, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+    });
+    return (await attempt(delivery.id)) ?? store.deliveries.get(delivery.endpoint_id, delivery.id);
+  }
+
+  // One pass over the due deliveries
+  async function poll() {
+    if (running) return { attempted: 0, delivered: 0 };
+    running = true;
+
+    let attempted = 0;
+    let delivered = 0;
+    try {
+      for (const delivery of await store.deliveries.listDue(BATCH_SIZE)) {
+        try {
+          const result = await attempt(delivery.id);
+          if (!result) continue;
+          attempted++;
+          if (result.status === 'delivered') delivered++;
+        } catch (err) {
+          logger.error('Webhook delivery error', { delivery_id: delivery.id, error: err.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return { attempted, delivered };
+  }
+
+  function start(intervalMs = config.webhookIntervalMs) {
+    if (timer || !intervalMs) return;
+    timer = setInterval(() => {
+      poll().catch((err) => logger.error('Webhook worker error', { error: err.message }));
+    }, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { emit, attempt, replay, poll, start, stop, checkUrl };
+}
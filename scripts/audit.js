@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+import { loadConfig } from '../lib/config.js';
+import { createSupabaseGetter } from '../lib/supabase.js';
+import { createSupabaseStore } from '../lib/stores/index.js';
+import { createAuditLog } from '../lib/audit.js';
+
+// Audit log checks.
+//
+//   node scripts/audit.js verify          # walk the hash chain; exits 1 if broken
+//   node scripts/audit.js tail [count]    # latest entries, newest first
+//
+// `verify` prints the head (seq and hash). Keep a copy somewhere the database
+// can't reach: entries cut off the end of the chain only show against it.
+
+dotenv.config();
+
+const config = loadConfig();
+const store = createSupabaseStore(createSupabaseGetter(config));
+const audit = createAuditLog({ store });
+const [command, ...args] = process.argv.slice(2);
+
+function usage() {
+  console.error('Usage: node scripts/audit.js verify|tail [count]');
+  process.exit(1);
+}
+
+if (command === 'verify') {
+  const { valid, checked, head, broken_at: broken } = await audit.verify();
+  console.log(`Checked ${checked} entry(ies)`);
+  if (head) console.log(`Head: seq ${head.seq} ${head.hash}`);
+  if (!valid) {
+    console.error(`Chain broken at seq ${broken.seq} (id ${broken.id}): ${broken.reason}`);
+    process.exit(1);
+  }
+  console.log('Chain intact');
+} else if (command === 'tail') {
+  const limit = Number(args[0] ?? 20);
+  if (!Number.isInteger(limit) || limit < 1) usage();
+  const { entries } = await audit.list({ limit });
+  for (const e of entries) {
+    const actor = e.actor_id ? `${e.actor_type}:${e.actor_id}` : e.actor_type;
+    const target = e.target_user_id ?? '-';
+    console.log(`${e.seq ?? '-'}  ${e.created_at}  ${e.action}  ${e.outcome}  ${actor}  ${target}`);
+  }
+} else {
+  usage();
+}
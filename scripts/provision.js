@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+import { loadConfig } from '../lib/config.js';
+import { createSupabaseGetter } from '../lib/supabase.js';
+import { createSupabaseStore } from '../lib/stores/index.js';
+import { createParaClient } from '../lib/para.js';
+import { createChainRegistry } from '../lib/chains.js';
+import { createWalletService } from '../lib/wallets.js';
+import { createWebhookService } from '../lib/webhooks.js';
+import { createAuditLog } from '../lib/audit.js';
+import { createWalletProvisioner } from '../lib/provisioner.js';
+
+// One pass over due wallet provisioning jobs, for hosts without the
+// in-process worker (Vercel): run it from cron.
+//
+//   node scripts/provision.js
+
+dotenv.config();
+
+const config = loadConfig();
+const store = createSupabaseStore(createSupabaseGetter(config));
+const para = createParaClient(config);
+const chains = createChainRegistry(config.chains, config.defaultChain);
+const wallets = createWalletService({ para, chains, store, config });
+const webhooks = createWebhookService({ store, config });
+const audit = createAuditLog({ store });
+const provisioner = createWalletProvisioner({ para, store, wallets, webhooks, audit, config });
+
+const { attempted, ready } = await provisioner.poll();
+console.log(`Attempted ${attempted} job(s), ${ready} wallet(s) ready`);
@@ -0,0 +1,45 @@
+import dotenv from 'dotenv';
+import { loadConfig } from '../lib/config.js';
+import { createSupabaseGetter } from '../lib/supabase.js';
+import { createSupabaseStore } from '../lib/stores/index.js';
+import { createConfirmationTracker } from '../lib/tracker.js';
+import { createDepositWatcher } from '../lib/deposits.js';
+import { createChainRegistry } from '../lib/chains.js';
+import { createWebhookService } from '../lib/webhooks.js';
+import { logger } from '../lib/logger.js';
+
+// Standalone confirmation tracker and deposit watcher.
+//
+//   node scripts/track-confirmations.js          # poll forever
+//   node scripts/track-confirmations.js --once   # single pass (e.g. from cron)
+//
+// Covers every chain in CHAINS. To run it against a local Anvil/Hardhat node,
+// set CHAINS=local (RPC_URL_LOCAL defaults to http://127.0.0.1:8545).
+
+dotenv.config();
+
+const config = loadConfig();
+const chains = createChainRegistry(config.chains, config.defaultChain);
+const store = createSupabaseStore(createSupabaseGetter(config));
+const webhooks = createWebhookService({ store, config });
+const tracker = createConfirmationTracker({ chains, store, webhooks, config });
+const deposits = createDepositWatcher({ chains, store, webhooks, config });
+
+async function pass() {
+  return [await tracker.poll(), await deposits.poll()];
+}
+
+if (process.argv.includes('--once')) {
+  const [{ checked, updated }, { found, updated: depositsUpdated }] = await pass();
+  console.log(`Checked ${checked} transaction(s), updated ${updated}`);
+  console.log(`Found ${found} deposit(s), updated ${depositsUpdated}`);
+  chains.list().forEach((chain) => chains.provider(chain).destroy());
+} else {
+  const intervalMs = config.trackerIntervalMs || 15000;
+  const keys = config.chains.map((c) => c.key).join(', ');
+  logger.info('Tracking confirmations and deposits', { interval_ms: intervalMs, chains: keys });
+  await pass();
+  setInterval(() => {
+    pass().catch((err) => logger.error('Confirmation tracker error', { error: err.message }));
+  }, intervalMs);
+}
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { loadConfig } from '../lib/config.js';
+import { createSupabaseGetter } from '../lib/supabase.js';
+import { createSupabaseStore } from '../lib/stores/index.js';
+import { WEBHOOK_EVENTS, createWebhookService, createWebhookSecret } from '../lib/webhooks.js';
+
+// Operator webhooks: endpoints that receive every user's events.
+//
+//   node scripts/webhooks.js list
+//   node scripts/webhooks.js add <url> [event,event,...]   # prints the secret
+//   node scripts/webhooks.js remove <id>
+//   node scripts/webhooks.js deliver                       # one pass over due retries
+//
+// `deliver` is for hosts without the in-process worker (Vercel): run it from
+// cron to retry failed deliveries for every endpoint.
+
+dotenv.config();
+
+const config = loadConfig();
+const store = createSupabaseStore(createSupabaseGetter(config));
+const [command, ...args] = process.argv.slice(2);
+
+function usage() {
+  console.error('Usage: node scripts/webhooks.js list|add <url> [events]|remove <id>|deliver');
+  process.exit(1);
+}
+
+if (command === 'list') {
+  for (const endpoint of await store.webhooks.list(null)) {
+    const state = endpoint.active ? 'active' : 'inactive';
+    console.log(`${endpoint.id}  ${endpoint.url}  [${endpoint.events.join(', ')}]  ${state}`);
+  }
+} else if (command === 'add') {
+  const [url, events] = args;
+  if (!url) usage();
+
+  const selected = events ? events.split(',').map((e) => e.trim()) : WEBHOOK_EVENTS;
+  const unknown = selected.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) {
+    console.error(`Unknown events: ${unknown.join(', ')}. Known: ${WEBHOOK_EVENTS.join(', ')}`);
+    process.exit(1);
+  }
+
+  // Deliveries would be refused anyway (see lib/webhooks.js)
+  const problem = await createWebhookService({ store, config }).checkUrl(url);
+  if (problem) {
+    console.error(`URL ${problem}`);
+    process.exit(1);
+  }
+
+  const endpoint = await store.webhooks.create({
+    id: crypto.randomUUID(),
+    user_id: null,
+    url: new URL(url).toString(),
+    secret: createWebhookSecret(),
+    events: selected,
+  });
+  console.log(`Added ${endpoint.id}`);
+  console.log(`Secret (shown once): ${endpoint.secret}`);
+} else if (command === 'remove') {
+  if (!args[0]) usage();
+  const removed = await store.webhooks.remove(null, args[0]);
+  console.log(removed ? `Removed ${args[0]}` : `No operator webhook ${args[0]}`);
+} else if (command === 'deliver') {
+  const { attempted, delivered } = await createWebhookService({ store, config }).poll();
+  console.log(`Attempted ${attempted} delivery(ies), delivered ${delivered}`);
+} else {
+  usage();
+}
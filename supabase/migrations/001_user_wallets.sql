@@ -0,0 +1,22 @@
+-- Durable user -> Para wallet mapping.
+-- A user may own several wallets; the first one created is their primary.
+
+create table if not exists public.user_wallets (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  wallet_id text not null unique,
+  address text,
+  type text not null default 'EVM',
+  is_primary boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_wallets_user_id_idx on public.user_wallets (user_id);
+
+-- At most one primary wallet per user
+create unique index if not exists user_wallets_one_primary_idx
+  on public.user_wallets (user_id)
+  where is_primary;
+
+-- Only the backend (service role) touches this table
+alter table public.user_wallets enable row level security;
@@ -0,0 +1,29 @@
+-- Ledger of every transaction signed through POST /send.
+-- Wei values are stored as text to keep full uint256 precision.
+
+create table if not exists public.transactions (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  wallet_id text not null,
+  chain_id bigint not null,
+  from_address text not null,
+  to_address text not null,
+  amount text not null,
+  value_wei text not null,
+  nonce bigint not null,
+  gas_limit text not null,
+  max_fee_per_gas text,
+  max_priority_fee_per_gas text,
+  hash text not null unique,
+  status text not null default 'pending',
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists transactions_user_created_idx
+  on public.transactions (user_id, created_at desc);
+
+create index if not exists transactions_status_idx on public.transactions (status);
+
+alter table public.transactions enable row level security;
@@ -0,0 +1,8 @@
+-- Columns filled in by the confirmation tracker (lib/tracker.js).
+-- status: pending | confirmed | final | failed | replaced | dropped
+
+alter table public.transactions
+  add column if not exists block_number bigint,
+  add column if not exists confirmations integer not null default 0,
+  add column if not exists gas_used text,
+  add column if not exists effective_gas_price text;
@@ -0,0 +1,7 @@
+-- ERC-20 sends: to_address stays the recipient, the token contract goes here.
+-- token_units is the raw integer amount (amount * 10^decimals).
+
+alter table public.transactions
+  add column if not exists token_symbol text,
+  add column if not exists token_address text,
+  add column if not exists token_units text;
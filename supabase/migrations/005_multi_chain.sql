@@ -0,0 +1,6 @@
+-- Legacy (non-EIP-1559) chains price gas with a single gas_price.
+
+alter table public.transactions
+  add column if not exists gas_price text;
+
+create index if not exists transactions_chain_id_idx on public.transactions (chain_id);
@@ -0,0 +1,20 @@
+-- Short-lived fee quotes from POST /send/quote, executed by POST /send.
+
+create table if not exists public.send_quotes (
+  id uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  wallet_id text not null,
+  chain_id bigint not null,
+  to_address text not null,
+  amount text not null,
+  token_symbol text,
+  fee_tier text not null,
+  tx jsonb not null,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists send_quotes_expires_at_idx on public.send_quotes (expires_at);
+
+alter table public.send_quotes enable row level security;
@@ -0,0 +1,8 @@
+-- What a ledger entry is for: 'transfer' (POST /send) or 'nonce_fill'
+-- (0-value self-transfer sent by POST /wallet/nonces/repair).
+
+alter table public.transactions
+  add column if not exists kind text not null default 'transfer';
+
+create index if not exists transactions_wallet_nonce_idx
+  on public.transactions (chain_id, from_address, nonce);
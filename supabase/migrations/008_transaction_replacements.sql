@@ -0,0 +1,7 @@
+-- Same-nonce replacements from POST /transactions/:hash/speedup and /cancel.
+-- kind gains 'speedup' and 'cancel'; each replacement points at the entry it
+-- replaces, and the original points forward at its latest replacement.
+
+alter table public.transactions
+  add column if not exists replaces_hash text references public.transactions (hash),
+  add column if not exists replaced_by text;
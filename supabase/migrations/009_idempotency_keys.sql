@@ -0,0 +1,16 @@
+-- Idempotency-Key support for POST /send and POST /signup.
+-- key is scoped as "<path>:<caller>:<client key>".
+
+create table if not exists public.idempotency_keys (
+  key text primary key,
+  fingerprint text not null,
+  status text not null default 'in_progress',
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists idempotency_keys_expires_at_idx on public.idempotency_keys (expires_at);
+
+alter table public.idempotency_keys enable row level security;
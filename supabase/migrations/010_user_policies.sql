@@ -0,0 +1,11 @@
+-- Per-user transfer policy, merged over DEFAULT_POLICY (see lib/policy.js).
+-- Operators set limits here; users manage their own allow/deny lists through
+-- /policy/allowlist and /policy/denylist.
+
+create table if not exists public.user_policies (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  policy jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_policies enable row level security;
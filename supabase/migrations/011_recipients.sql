@@ -0,0 +1,17 @@
+-- Address book: recipients a user has saved for POST /send { recipient_id }.
+-- Addresses are stored EIP-55 checksummed; chain is a chain key (CHAINS) or
+-- null for "any chain".
+
+create table if not exists public.recipients (
+  id uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  label text not null,
+  address text not null,
+  chain text,
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, label)
+);
+
+alter table public.recipients enable row level security;
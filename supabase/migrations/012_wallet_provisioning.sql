@@ -0,0 +1,23 @@
+-- Wallet provisioning jobs. /signup records one per user; the provisioner
+-- (background worker, GET /wallet or POST /wallet/provision) creates the Para
+-- wallet and retries with backoff. para_wallet_id is kept as soon as Para
+-- returns it so a retry polls that wallet instead of creating another.
+
+create table if not exists public.wallet_provisioning (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  email text not null,
+  status text not null default 'provisioning', -- provisioning | ready | failed
+  para_wallet_id text,
+  attempts integer not null default 0,
+  last_error text,
+  next_attempt_at timestamptz default now(),
+  locked_until timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists wallet_provisioning_due_idx
+  on public.wallet_provisioning (next_attempt_at)
+  where status = 'provisioning';
+
+alter table public.wallet_provisioning enable row level security;
@@ -0,0 +1,47 @@
+-- Outbound webhooks (lib/webhooks.js). An endpoint with a null user_id is an
+-- operator endpoint (scripts/webhooks.js) and receives every user's events.
+-- events lists the event types it subscribes to.
+
+create table if not exists public.webhook_endpoints (
+  id uuid primary key,
+  user_id uuid references auth.users (id) on delete cascade,
+  url text not null,
+  secret text not null,
+  events text[] not null,
+  description text,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_endpoints_user_idx on public.webhook_endpoints (user_id);
+
+-- One row per event per endpoint. payload is the exact JSON body sent (and
+-- re-sent on retry or replay).
+create table if not exists public.webhook_deliveries (
+  id uuid primary key,
+  endpoint_id uuid not null references public.webhook_endpoints (id) on delete cascade,
+  user_id uuid,
+  event_id uuid not null,
+  event_type text not null,
+  payload jsonb not null,
+  status text not null default 'pending', -- pending | delivered | failed
+  attempts integer not null default 0,
+  response_status integer,
+  last_error text,
+  next_attempt_at timestamptz default now(),
+  locked_until timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_endpoint_idx
+  on public.webhook_deliveries (endpoint_id, created_at desc);
+
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+
+alter table public.webhook_endpoints enable row level security;
+alter table public.webhook_deliveries enable row level security;
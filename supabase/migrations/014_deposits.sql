@@ -0,0 +1,42 @@
+-- Incoming transfers into managed wallets, found by the deposit watcher
+-- (lib/deposits.js). Same amount columns as public.transactions; log_index is
+-- the Transfer log of an ERC-20 deposit and null for ETH.
+
+create table if not exists public.deposits (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  wallet_id text not null,
+  chain_id bigint not null,
+  hash text not null,
+  log_index integer,
+  from_address text not null,
+  to_address text not null,
+  amount text not null,
+  value_wei text not null,
+  token_symbol text,
+  token_address text,
+  token_units text,
+  block_number bigint,
+  confirmations integer not null default 0,
+  status text not null default 'pending', -- pending | confirmed | final | failed | dropped
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique nulls not distinct (chain_id, hash, log_index)
+);
+
+create index if not exists deposits_user_created_idx
+  on public.deposits (user_id, created_at desc);
+
+create index if not exists deposits_status_idx on public.deposits (status);
+
+alter table public.deposits enable row level security;
+
+-- Last block each chain has been scanned through and is at least
+-- CONFIRMATION_BLOCKS deep; later blocks are scanned again on the next pass.
+create table if not exists public.deposit_cursors (
+  chain_id bigint primary key,
+  block_number bigint not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.deposit_cursors enable row level security;
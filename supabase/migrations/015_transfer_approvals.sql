@@ -0,0 +1,46 @@
+-- Second factor for large sends (lib/approvals.js).
+--
+-- user_mfa holds a user's TOTP secret. confirmed_at is set once a code from
+-- the authenticator app has been checked (POST /mfa/totp/verify);
+-- last_used_step stops a code from being used twice.
+
+create table if not exists public.user_mfa (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  totp_secret text not null,
+  confirmed_at timestamptz,
+  last_used_step bigint,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_mfa enable row level security;
+
+-- Sends above the policy's approval_threshold wait here until confirmed with
+-- a TOTP code or the emailed link, then are priced, signed and broadcast.
+-- Only the sha256 of the link's token is kept.
+create table if not exists public.transfer_approvals (
+  id uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  wallet_id text not null,
+  chain_id bigint not null,
+  to_address text not null,
+  amount text not null,
+  token_symbol text,
+  fee_tier text not null,
+  method text not null, -- totp | email
+  status text not null default 'pending_approval',
+    -- pending_approval | approved | executed | failed | expired | cancelled
+  email_token_hash text unique,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  approved_at timestamptz,
+  transaction_hash text,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists transfer_approvals_user_created_idx
+  on public.transfer_approvals (user_id, created_at desc);
+
+alter table public.transfer_approvals enable row level security;
@@ -0,0 +1,53 @@
+-- Operator surface (lib/routes/admin.js).
+--
+-- A row in account_freezes stops the user from sending (POST /send, quotes
+-- and approvals) until an admin lifts it.
+
+create table if not exists public.account_freezes (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  reason text,
+  frozen_by text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.account_freezes enable row level security;
+
+-- Every admin request, allowed or not. Rows are never changed or removed.
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  actor_type text not null, -- admin_key | user | anonymous
+  actor_id text,
+  action text not null,
+  target_user_id uuid,
+  outcome text not null, -- success | failure
+  status integer,
+  ip text,
+  user_agent text,
+  request_id text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_target_idx
+  on public.audit_log (target_user_id, created_at desc);
+create index if not exists audit_log_action_idx on public.audit_log (action, created_at desc);
+
+alter table public.audit_log enable row level security;
+
+create or replace function public.audit_log_append_only() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on public.audit_log;
+create trigger audit_log_append_only
+  before update or delete on public.audit_log
+  for each row execute function public.audit_log_append_only();
+
+drop trigger if exists audit_log_no_truncate on public.audit_log;
+create trigger audit_log_no_truncate
+  before truncate on public.audit_log
+  for each statement execute function public.audit_log_append_only();
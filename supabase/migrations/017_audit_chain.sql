@@ -0,0 +1,16 @@
+-- Hash-chain the audit log (see lib/audit.js) and widen it beyond admin
+-- requests: signups, logins, wallet creation, signing and broadcasts.
+--
+-- Each entry carries the hash of the one before it. `seq` is unique, so two
+-- writers can't both extend the chain from the same entry. Entries written
+-- before this migration have no seq and sit outside the chain.
+--
+-- actor_type gains 'system' for entries written outside a request
+-- (background wallet provisioning).
+
+alter table public.audit_log add column if not exists seq bigint;
+alter table public.audit_log add column if not exists prev_hash text;
+alter table public.audit_log add column if not exists hash text;
+
+create unique index if not exists audit_log_seq_idx on public.audit_log (seq);
+create index if not exists audit_log_request_idx on public.audit_log (request_id);
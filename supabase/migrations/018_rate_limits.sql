@@ -0,0 +1,34 @@
+-- Rate limit and login lockout counters (lib/rate-limit.js), shared by every
+-- instance when RATE_LIMIT_STORE=supabase. Keys are
+-- "<route>:<dimension>:<hash of the IP, email or user id>".
+--
+-- rate_limit_hit() counts a hit in one statement: it starts a new window when
+-- the key has none or its window has ended, and bumps the count otherwise.
+-- The window is a bigint: RATE_LIMITS budgets like "100/30d" run past the
+-- ~24 days of milliseconds an integer holds.
+
+create table if not exists public.rate_limits (
+  key text primary key,
+  count integer not null,
+  reset_at timestamptz not null
+);
+
+create index if not exists rate_limits_reset_at_idx on public.rate_limits (reset_at);
+
+alter table public.rate_limits enable row level security;
+
+create or replace function public.rate_limit_hit(p_key text, p_window_ms bigint)
+returns table (count integer, reset_at timestamptz)
+language sql as $$
+  insert into public.rate_limits as r (key, count, reset_at)
+  values (p_key, 1, now() + p_window_ms * interval '1 millisecond')
+  on conflict (key) do update set
+    count = case when r.reset_at <= now() then 1 else r.count + 1 end,
+    reset_at = case when r.reset_at <= now() then excluded.reset_at else r.reset_at end
+  returning r.count, r.reset_at;
+$$;
+
+revoke execute on function public.rate_limit_hit(text, bigint) from public, anon, authenticated;
+
+-- Ended windows are dead weight; clear them out now and then, e.g. with pg_cron:
+--   delete from public.rate_limits where reset_at < now();
@@ -9,6 +9,7 @@ const testUser = {
 };
 
 let accessToken = null;
+let refreshToken = null;
 let walletAddress = null;
 
 // Color output
@@ -62,20 +63,19 @@ async function runTests() {
   console.log(`Test Email: ${testUser.email}\n`);
 
   // Test 1: Signup
-  await test('POST /signup - Create user & wallet', async () => {
+  await test('POST /signup - Create user & start wallet provisioning', async () => {
     const { status, data } = await request('POST', '/signup', testUser);
 
     if (status !== 200) {
       throw new Error(`Expected 200, got ${status}: ${data.error || data.message}`);
     }
 
-    if (!data.user_id || !data.wallet_address) {
-      throw new Error('Missing user_id or wallet_address in response');
+    if (!data.user_id || !data.wallet_status) {
+      throw new Error('Missing user_id or wallet_status in response');
     }
 
-    walletAddress = data.wallet_address;
     log('✓', 'User created successfully');
-    log('✓', `Wallet address: ${walletAddress}`);
+    log('✓', `Wallet status: ${data.wallet_status}`);
     log('✓', `User ID: ${data.user_id}`);
   });
 
@@ -92,6 +92,7 @@ async function runTests() {
     }
 
     accessToken = data.access_token;
+    refreshToken = data.refresh_token;
     log('✓', 'Login successful');
     log('✓', `Token: ${accessToken.substring(0, 20)}...`);
   });
@@ -102,26 +103,33 @@ async function runTests() {
       throw new Error('No access token from login test');
     }
 
-    const { status, data } = await request('GET', '/wallet', null, {
-      Authorization: `Bearer ${accessToken}`,
-    });
+    // The wallet is created in the background after signup
+    let status;
+    let data;
+    for (let i = 0; i < 30; i++) {
+      ({ status, data } = await request('GET', '/wallet', null, {
+        Authorization: `Bearer ${accessToken}`,
+      }));
+      if (status !== 200 || data.wallet_status !== 'provisioning') break;
+      await new Promise((r) => setTimeout(r, 1000));
+    }
 
     if (status !== 200) {
       throw new Error(`Expected 200, got ${status}: ${data.error || data.message}`);
     }
 
+    if (data.wallet_status !== 'ready') {
+      throw new Error(`Wallet not ready: ${data.wallet_status} (${data.last_error})`);
+    }
+
     if (!data.address || data.balance_eth === undefined) {
       throw new Error('Missing address or balance_eth in response');
     }
 
+    walletAddress = data.address;
     log('✓', 'Wallet fetched successfully');
-    log('✓', `Address: ${data.address}`);
+    log('✓', `Address: ${walletAddress}`);
     log('✓', `Balance: ${data.balance_eth} ETH`);
-
-    // Verify address matches
-    if (data.address.toLowerCase() !== walletAddress.toLowerCase()) {
-      throw new Error('Wallet address mismatch');
-    }
   });
 
   // Test 4: Send Transaction (optional - requires funded wallet)
@@ -145,7 +153,7 @@ async function runTests() {
     }
 
     const sendData = {
-      to: '0x742d35Cc6634C0532925a3b844Bc9e7595f42e2e',
+      to: '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e',
       amount: '0.001',
     };
 
@@ -175,11 +183,75 @@ async function runTests() {
       Authorization: 'Bearer invalid_token',
     });
 
-    if (status === 401) {
-      log('✓', 'Auth protection working correctly');
-    } else {
+    if (status !== 401) {
       throw new Error(`Expected 401 for invalid token, got ${status}`);
     }
+
+    if (data.code !== 'AUTH_INVALID' || !data.request_id) {
+      throw new Error(`Expected code AUTH_INVALID and a request_id, got ${JSON.stringify(data)}`);
+    }
+
+    log('✓', 'Auth protection working correctly');
+  });
+
+  // Test 6: Request validation
+  await test('POST /send - Reject bad checksum and amount', async () => {
+    const { status, data } = await request(
+      'POST',
+      '/send',
+      { to: '0x742d35Cc6634C0532925a3b844Bc9e7595f42e2e', amount: 'abc' },
+      { Authorization: `Bearer ${accessToken}` }
+    );
+
+    if (status !== 400) {
+      throw new Error(`Expected 400, got ${status}`);
+    }
+
+    const fields = (data.fields || []).map((f) => f.field).sort();
+    if (fields.join(',') !== 'amount,to') {
+      throw new Error(`Expected errors for amount and to, got ${JSON.stringify(data)}`);
+    }
+
+    log('✓', 'Invalid input rejected per field');
+  });
+
+  // Test 7: Refresh session
+  await test('POST /auth/refresh - Exchange refresh token', async () => {
+    if (!refreshToken) {
+      throw new Error('No refresh token from login test');
+    }
+
+    const { status, data } = await request('POST', '/auth/refresh', {
+      refresh_token: refreshToken,
+    });
+
+    if (status !== 200) {
+      throw new Error(`Expected 200, got ${status}: ${data.error || data.message}`);
+    }
+
+    if (!data.access_token || !data.refresh_token || !data.expires_at) {
+      throw new Error('Missing access_token, refresh_token or expires_at in response');
+    }
+
+    accessToken = data.access_token;
+    log('✓', 'Session refreshed');
+  });
+
+  // Test 8: Logout
+  await test('POST /auth/logout - Token rejected afterwards', async () => {
+    const auth = { Authorization: `Bearer ${accessToken}` };
+    const { status, data } = await request('POST', '/auth/logout', {}, auth);
+
+    if (status !== 200) {
+      throw new Error(`Expected 200, got ${status}: ${data.error || data.message}`);
+    }
+
+    const { status: after } = await request('GET', '/wallet', null, auth);
+    if (after !== 401) {
+      throw new Error(`Expected 401 after logout, got ${after}`);
+    }
+
+    log('✓', 'Logged out');
   });
 
   console.log(`\n${colors.blue}════════════════════════════════════════${colors.reset}`);
@@ -0,0 +1,198 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+const ADMIN_KEY = 'test-admin-key';
+
+async function login(t, email) {
+  const res = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  return res.body.access_token;
+}
+
+describe('admin API', () => {
+  let t;
+  let admin; // request helper sending the admin key
+  let user; // { id, token, address }
+  let hash;
+
+  before(async () => {
+    t = await startTestApp({ ADMIN_API_KEY: ADMIN_KEY, PROVISION_MAX_ATTEMPTS: '1' });
+    admin = (method, path, options = {}) =>
+      t.api(method, path, { ...options, headers: { 'X-Admin-Key': ADMIN_KEY } });
+
+    const signup = await t.api('POST', '/api/signup', {
+      body: { email: 'grace@example.com', password: PASSWORD },
+    });
+    const token = await login(t, 'grace@example.com');
+    let wallet;
+    for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+      wallet = (await t.api('GET', '/api/wallet', { token })).body;
+    }
+    user = { id: signup.body.user_id, token, address: wallet.address };
+
+    t.chain.fund(user.address, ethers.parseEther('2'));
+    const sent = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    hash = sent.body.transaction_hash;
+  });
+
+  after(() => t.close());
+
+  it('refuses callers without the key or an admin role', async () => {
+    const anonymous = await t.api('GET', '/api/admin/users');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'AUTH_MISSING');
+
+    const wrongKey = await t.api('GET', '/api/admin/users', {
+      headers: { 'X-Admin-Key': 'guess' },
+    });
+    assert.equal(wrongKey.status, 401);
+
+    const regular = await t.api('GET', '/api/admin/users', { token: user.token });
+    assert.equal(regular.status, 403);
+    assert.equal(regular.body.code, 'ADMIN_FORBIDDEN');
+  });
+
+  it('lets users with an admin role in', async () => {
+    await t.api('POST', '/api/signup', { body: { email: 'ops@example.com', password: PASSWORD } });
+    t.supabase.users.get('ops@example.com').app_metadata = { role: 'admin' };
+    const token = await login(t, 'ops@example.com');
+
+    const { status } = await t.api('GET', '/api/admin/users', { token });
+    assert.equal(status, 200);
+  });
+
+  it('lists users with their wallets and balances', async () => {
+    const { status, body } = await admin('GET', '/api/admin/users');
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+
+    const listed = body.users.find((u) => u.id === user.id);
+    assert.equal(listed.email, 'grace@example.com');
+    assert.equal(listed.wallet_status, 'ready');
+    assert.equal(listed.frozen, null);
+    assert.equal(listed.wallets[0].address, user.address);
+    assert.equal(listed.wallets[0].balances[0].chain, 'local');
+    assert.equal(listed.wallets[0].balances[0].balance_eth, '2.0');
+
+    const detail = await admin('GET', `/api/admin/users/${user.id}`);
+    assert.equal(detail.body.wallets[0].balances[0].tokens.length, 1);
+
+    const missing = await admin('GET', `/api/admin/users/${crypto.randomUUID()}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'USER_NOT_FOUND');
+  });
+
+  it('searches transactions by address, hash and user', async () => {
+    const byAddress = await admin('GET', `/api/admin/transactions?address=${RECIPIENT}`);
+    assert.deepEqual(byAddress.body.transactions.map((tx) => tx.hash), [hash]);
+    assert.equal(byAddress.body.transactions[0].user_id, user.id);
+
+    const byHash = await admin('GET', `/api/admin/transactions?hash=${hash}`);
+    assert.equal(byHash.body.total, 1);
+
+    const byUser = await admin('GET', `/api/admin/transactions?user_id=${user.id}&direction=out`);
+    assert.equal(byUser.body.total, 1);
+
+    const other = ethers.Wallet.createRandom().address;
+    const none = await admin('GET', `/api/admin/transactions?address=${other}`);
+    assert.equal(none.body.total, 0);
+  });
+
+  it('freezes and unfreezes sending', async () => {
+    const frozen = await admin('POST', `/api/admin/users/${user.id}/freeze`, {
+      body: { reason: 'Chargeback under review' },
+    });
+    assert.equal(frozen.status, 200);
+    assert.equal(frozen.body.frozen.reason, 'Chargeback under review');
+    assert.equal(frozen.body.frozen.frozen_by, 'admin_key');
+
+    const send = () =>
+      t.api('POST', '/api/send', { token: user.token, body: { to: RECIPIENT, amount: '0.1' } });
+    const refused = await send();
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'ACCOUNT_FROZEN');
+
+    const speedup = await t.api('POST', `/api/transactions/${hash}/speedup`, {
+      token: user.token,
+    });
+    assert.equal(speedup.status, 403);
+    assert.equal(speedup.body.code, 'ACCOUNT_FROZEN');
+    const repair = await t.api('POST', '/api/wallet/nonces/repair', { token: user.token });
+    assert.equal(repair.status, 403);
+    assert.equal(repair.body.code, 'ACCOUNT_FROZEN');
+    assert.equal(t.chain.pending().filter((tx) => tx.from === user.address).length, 1);
+
+    const unfrozen = await admin('DELETE', `/api/admin/users/${user.id}/freeze`);
+    assert.equal(unfrozen.body.unfrozen, true);
+    assert.equal((await send()).status, 200);
+  });
+
+  it('retries wallet provisioning for a user', async () => {
+    // The first try and PARA_MAX_RETRIES (3) retries
+    t.para.failNext(4, 503);
+    const signup = await t.api('POST', '/api/signup', {
+      body: { email: 'heidi@example.com', password: PASSWORD },
+    });
+    const userId = signup.body.user_id;
+
+    let detail;
+    for (let i = 0; i < 50 && detail?.wallet_status !== 'failed'; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      detail = (await admin('GET', `/api/admin/users/${userId}`)).body;
+    }
+    assert.equal(detail.wallet_status, 'failed');
+
+    const { status, body } = await admin('POST', `/api/admin/users/${userId}/provision`);
+    assert.equal(status, 200);
+    assert.equal(body.wallet_status, 'ready');
+    assert.ok(ethers.isAddress(body.address));
+  });
+
+  it('exports data as JSON or CSV', async () => {
+    const users = await admin('GET', '/api/admin/export/users');
+    assert.equal(users.status, 200);
+    assert.equal(users.body.truncated, false);
+    assert.equal(users.body.rows.length, 3);
+    assert.equal(users.body.rows.find((u) => u.id === user.id).addresses, user.address);
+
+    const res = await fetch(`${t.baseUrl}/api/admin/export/transactions?format=csv`, {
+      headers: { 'X-Admin-Key': ADMIN_KEY },
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /transactions-.*\.csv/);
+    const [header, ...lines] = (await res.text()).trim().split('\r\n');
+    assert.ok(header.split(',').includes('hash'));
+    assert.equal(lines.length, 2);
+    assert.ok(lines.some((line) => line.includes(hash)));
+  });
+
+  it('keeps an audit log of every admin request', async () => {
+    const actions = 'admin.users.get,admin.users.freeze,admin.users.unfreeze';
+    const { body } = await admin('GET', `/api/admin/audit?user_id=${user.id}&action=${actions}`);
+    assert.deepEqual(
+      body.entries.map((e) => e.action),
+      ['admin.users.unfreeze', 'admin.users.freeze', 'admin.users.get']
+    );
+    const freeze = body.entries[1];
+    assert.equal(freeze.actor_type, 'admin_key');
+    assert.equal(freeze.outcome, 'success');
+    assert.equal(freeze.details.reason, 'Chargeback under review');
+
+    const refused = await admin('GET', '/api/admin/audit?outcome=failure&action=admin.users.list');
+    assert.deepEqual(
+      refused.body.entries.map((e) => [e.actor_type, e.status]),
+      [
+        ['user', 403],
+        ['anonymous', 401],
+        ['anonymous', 401],
+      ]
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+// One request per router: [method, path, body, expected status]
+const ROUTES = [
+  ['POST', '/login', { email: 'lena@example.com', password: PASSWORD }, 200],
+  ['GET', '/wallet/nonces', null, 200],
+  ['POST', '/send/quote', { to: RECIPIENT, amount: '0.1' }, 400],
+  ['GET', '/transactions', null, 200],
+  ['GET', '/policy', null, 200],
+  ['GET', '/recipients', null, 200],
+  ['GET', '/webhooks', null, 200],
+  ['GET', '/approvals', null, 200],
+  ['GET', '/mfa', null, 200],
+  ['GET', '/admin/users', null, 403],
+  ['GET', '/metrics', null, 401],
+];
+
+describe('routing', () => {
+  let t;
+  let token;
+
+  before(async () => {
+    t = await startTestApp({ METRICS_TOKEN: 'test-metrics-token' });
+    await t.api('POST', '/api/signup', { body: { email: 'lena@example.com', password: PASSWORD } });
+    const login = await t.api('POST', '/api/login', {
+      body: { email: 'lena@example.com', password: PASSWORD },
+    });
+    token = login.body.access_token;
+  });
+
+  after(() => t.close());
+
+  it('serves every router under /api and without the prefix', async () => {
+    for (const [method, path, body, status] of ROUTES) {
+      const canonical = await t.api(method, `/api${path}`, { token, body });
+      const alias = await t.api(method, path, { token, body });
+
+      assert.equal(canonical.status, status, `${method} /api${path}`);
+      assert.equal(alias.status, status, `${method} ${path}`);
+      assert.equal(alias.body.code, canonical.body.code, `${method} ${path}`);
+    }
+  });
+
+  it('answers the same through the alias', async () => {
+    const canonical = await t.api('GET', '/api/policy', { token });
+    const alias = await t.api('GET', '/policy', { token });
+    assert.deepEqual(alias.body, canonical.body);
+  });
+
+  it('answers unknown paths with NOT_FOUND', async () => {
+    for (const path of ['/api/nope', '/nope', '/api/api/wallet', '/api/wallet/nope']) {
+      const { status, body } = await t.api('GET', path, { token });
+      assert.equal(status, 404, path);
+      assert.equal(body.code, 'NOT_FOUND');
+      assert.equal(body.path, path);
+      assert.equal(body.method, 'GET');
+      assert.ok(body.request_id);
+    }
+
+    // A known path with the wrong method doesn't reach the alias mount either
+    const { status, body } = await t.api('DELETE', '/api/send', { token });
+    assert.equal(status, 404);
+    assert.deepEqual([body.path, body.method], ['/api/send', 'DELETE']);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+import { currentStep, totpCode } from '../lib/totp.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function fundedUser(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  t.chain.fund(wallet.address, ethers.parseEther('5'));
+  return token;
+}
+
+describe('transfer approvals', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({
+      DEFAULT_POLICY: JSON.stringify({ approval_threshold: { ETH: '0.5' } }),
+    });
+  });
+
+  after(() => t.close());
+
+  describe('by emailed link', () => {
+    let token;
+    let approval;
+    let link;
+
+    before(async () => {
+      token = await fundedUser(t, 'erin@example.com');
+    });
+
+    it('sends at or below the threshold right away', async () => {
+      const { status, body } = await t.api('POST', '/api/send', {
+        token,
+        body: { to: RECIPIENT, amount: '0.5' },
+      });
+      assert.equal(status, 200);
+      assert.equal(body.status, 'pending');
+    });
+
+    it('holds a larger send and emails a one-time link', async () => {
+      const broadcasts = t.chain.pending().length;
+      const { status, body } = await t.api('POST', '/api/send', {
+        token,
+        body: { to: RECIPIENT, amount: '1' },
+      });
+
+      assert.equal(status, 202);
+      assert.equal(body.status, 'pending_approval');
+      assert.equal(body.method, 'email');
+      assert.equal(body.email_sent, true);
+      assert.equal(body.amount, '1');
+      assert.equal(body.token, 'ETH');
+      assert.equal(t.chain.pending().length, broadcasts);
+      approval = body;
+
+      const mail = t.smtp.messages.at(-1);
+      assert.equal(mail.to, 'erin@example.com');
+      assert.match(mail.subject, /1 ETH/);
+      link = mail.text.match(/\?approval=([\w-]+)/)[1];
+
+      const listed = await t.api('GET', '/api/approvals?status=pending_approval', { token });
+      assert.deepEqual(listed.body.approvals.map((a) => a.id), [approval.id]);
+    });
+
+    it('takes no codes for an emailed approval', async () => {
+      const { status, body } = await t.api('POST', `/api/approvals/${approval.id}/confirm`, {
+        token,
+        body: { code: '123456' },
+      });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'INVALID_REQUEST');
+    });
+
+    it('sends once the link is opened, without a bearer token', async () => {
+      const { status, body } = await t.api('POST', '/api/approvals/confirm-link', {
+        body: { token: link },
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.approval_id, approval.id);
+      assert.equal(body.status, 'pending');
+      const broadcast = t.chain.pending().find((tx) => tx.hash === body.transaction_hash);
+      assert.equal(broadcast.value, ethers.parseEther('1'));
+
+      const fetched = await t.api('GET', `/api/approvals/${approval.id}`, { token });
+      assert.equal(fetched.body.status, 'executed');
+      assert.equal(fetched.body.transaction_hash, body.transaction_hash);
+    });
+
+    it('accepts a link only once', async () => {
+      const { status, body } = await t.api('POST', '/api/approvals/confirm-link', {
+        body: { token: link },
+      });
+      assert.equal(status, 409);
+      assert.equal(body.code, 'APPROVAL_NOT_PENDING');
+    });
+
+    it('expires requests nobody confirmed in time', async () => {
+      const { body } = await t.api('POST', '/api/send', {
+        token,
+        body: { to: RECIPIENT, amount: '2' },
+      });
+      const expired = t.smtp.messages.at(-1).text.match(/\?approval=([\w-]+)/)[1];
+      const past = new Date(Date.now() - 1).toISOString();
+      await t.store.approvals.update(body.id, { expires_at: past });
+
+      const confirm = await t.api('POST', '/api/approvals/confirm-link', {
+        body: { token: expired },
+      });
+      assert.equal(confirm.status, 410);
+      assert.equal(confirm.body.code, 'APPROVAL_EXPIRED');
+
+      const fetched = await t.api('GET', `/api/approvals/${body.id}`, { token });
+      assert.equal(fetched.body.status, 'expired');
+    });
+  });
+
+  describe('by authenticator code', () => {
+    let token;
+    let secret;
+    let step; // the last code spent
+    let approval;
+
+    before(async () => {
+      token = await fundedUser(t, 'frank@example.com');
+    });
+
+    it('needs the password to enroll an app', async () => {
+      const { status, body } = await t.api('POST', '/api/mfa/totp', {
+        token,
+        body: { password: 'wrong-password1' },
+      });
+      assert.equal(status, 401);
+      assert.equal(body.code, 'INVALID_CREDENTIALS');
+    });
+
+    it('enrolls the app once a code from it checks out', async () => {
+      const started = await t.api('POST', '/api/mfa/totp', { token, body: { password: PASSWORD } });
+      assert.equal(started.status, 201);
+      assert.match(started.body.otpauth_url, /^otpauth:\/\/totp\//);
+      assert.equal(started.body.totp.pending, true);
+      secret = started.body.secret;
+
+      const wrong = await t.api('POST', '/api/mfa/totp/verify', {
+        token,
+        body: { code: totpCode(secret, currentStep() - 5) },
+      });
+      assert.equal(wrong.status, 403);
+
+      step = currentStep();
+      const { status, body } = await t.api('POST', '/api/mfa/totp/verify', {
+        token,
+        body: { code: totpCode(secret, step) },
+      });
+      assert.equal(status, 200);
+      assert.equal(body.totp.enrolled, true);
+    });
+
+    it('asks large sends for a code instead of emailing', async () => {
+      const mails = t.smtp.messages.length;
+      const { status, body } = await t.api('POST', '/api/send', {
+        token,
+        body: { to: RECIPIENT, amount: '1' },
+      });
+
+      assert.equal(status, 202);
+      assert.equal(body.method, 'totp');
+      assert.equal(body.email_sent, undefined);
+      assert.equal(t.smtp.messages.length, mails);
+      approval = body;
+    });
+
+    it('counts wrong codes and refuses a code already used', async () => {
+      const reused = await t.api('POST', `/api/approvals/${approval.id}/confirm`, {
+        token,
+        body: { code: totpCode(secret, step) },
+      });
+      assert.equal(reused.status, 403);
+      assert.equal(reused.body.code, 'MFA_CODE_INVALID');
+      assert.equal(reused.body.attempts_left, t.config.approvalMaxAttempts - 1);
+    });
+
+    it('sends with a fresh code', async () => {
+      const { status, body } = await t.api('POST', `/api/approvals/${approval.id}/confirm`, {
+        token,
+        body: { code: totpCode(secret, step + 1) },
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.approval_id, approval.id);
+      assert.ok(t.chain.pending().some((tx) => tx.hash === body.transaction_hash));
+    });
+
+    it('cancels a request after too many wrong codes', async () => {
+      const { body } = await t.api('POST', '/api/send', {
+        token,
+        body: { to: RECIPIENT, amount: '1' },
+      });
+
+      let res;
+      for (let i = 0; i < t.config.approvalMaxAttempts; i++) {
+        res = await t.api('POST', `/api/approvals/${body.id}/confirm`, {
+          token,
+          body: { code: '000000' },
+        });
+      }
+      assert.equal(res.body.attempts_left, 0);
+
+      const fetched = await t.api('GET', `/api/approvals/${body.id}`, { token });
+      assert.equal(fetched.body.status, 'cancelled');
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+import { createAuditLog, hashEntry } from '../lib/audit.js';
+import { createMemoryStore } from '../lib/stores/index.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+const ADMIN_KEY = 'test-admin-key';
+
+describe('audit log', () => {
+  let t;
+  let admin; // request helper sending the admin key
+  let user; // { id, token }
+
+  // Entries about the user, oldest first
+  async function trail(userId, query = '') {
+    const { body } = await admin('GET', `/api/admin/audit?user_id=${userId}&limit=100${query}`);
+    return body.entries.reverse();
+  }
+
+  before(async () => {
+    t = await startTestApp({ ADMIN_API_KEY: ADMIN_KEY });
+    admin = (method, path, options = {}) =>
+      t.api(method, path, { ...options, headers: { 'X-Admin-Key': ADMIN_KEY } });
+  });
+
+  after(() => t.close());
+
+  it('records signups, logins and wallet creation with who and where', async () => {
+    const headers = { 'User-Agent': 'audit-test/1.0', 'X-Request-Id': 'req-signup-1' };
+    const signup = await t.api('POST', '/api/signup', {
+      body: { email: 'ivan@example.com', password: PASSWORD },
+      headers,
+    });
+    const login = await t.api('POST', '/api/login', {
+      body: { email: 'ivan@example.com', password: PASSWORD },
+    });
+    user = { id: signup.body.user_id, token: login.body.access_token };
+
+    let wallet;
+    for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+      wallet = (await t.api('GET', '/api/wallet', { token: user.token })).body;
+    }
+    t.chain.fund(wallet.address, ethers.parseEther('1'));
+
+    const entries = await trail(user.id);
+    assert.deepEqual(entries.map((e) => e.action).sort(), [
+      'auth.login',
+      'auth.signup',
+      'wallet.create',
+    ]);
+
+    const signedUp = entries.find((e) => e.action === 'auth.signup');
+    const created = entries.find((e) => e.action === 'wallet.create');
+    assert.equal(signedUp.outcome, 'success');
+    assert.equal(signedUp.status, 200);
+    assert.equal(signedUp.actor_type, 'anonymous');
+    assert.equal(signedUp.request_id, 'req-signup-1');
+    assert.equal(signedUp.user_agent, 'audit-test/1.0');
+    assert.ok(signedUp.ip);
+    assert.equal(signedUp.details.email, 'ivan@example.com');
+
+    // Created in the background, but still traced to the signup
+    assert.equal(created.request_id, 'req-signup-1');
+    assert.equal(created.details.address, wallet.address);
+  });
+
+  it('records failed logins with the address tried', async () => {
+    const { status } = await t.api('POST', '/api/login', {
+      body: { email: 'ivan@example.com', password: 'not-the-password' },
+    });
+    assert.equal(status, 401);
+
+    const { body } = await admin('GET', '/api/admin/audit?action=auth.login&outcome=failure');
+    assert.equal(body.total, 1);
+    assert.equal(body.entries[0].status, 401);
+    assert.equal(body.entries[0].target_user_id, null);
+    assert.equal(body.entries[0].details.email, 'ivan@example.com');
+  });
+
+  it('records signing and broadcasting under the sender', async () => {
+    const sent = await t.api('POST', '/api/send', {
+      token: user.token,
+      body: { to: RECIPIENT, amount: '0.1' },
+      headers: { 'X-Request-Id': 'req-send-1' },
+    });
+    assert.equal(sent.status, 200);
+
+    const { body } = await admin('GET', '/api/admin/audit?request_id=req-send-1');
+    const [broadcast, signed] = body.entries;
+    assert.equal(signed.action, 'transaction.sign');
+    assert.equal(signed.actor_type, 'user');
+    assert.equal(signed.actor_id, user.id);
+    assert.equal(signed.target_user_id, user.id);
+    assert.equal(signed.details.to, RECIPIENT);
+    assert.equal(signed.details.amount, '0.1');
+    assert.match(signed.details.digest, /^0x[0-9a-f]{64}$/);
+
+    assert.equal(broadcast.action, 'transaction.broadcast');
+    assert.equal(broadcast.outcome, 'success');
+    assert.equal(broadcast.details.hash, sent.body.transaction_hash);
+  });
+
+  it('records failed signing requests', async () => {
+    t.para.failNext(1, 400);
+    const sent = await t.api('POST', '/api/send', {
+      token: user.token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    assert.notEqual(sent.status, 200);
+
+    const entries = await trail(user.id, '&action=transaction.sign&outcome=failure');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].request_id, sent.headers.get('x-request-id'));
+  });
+
+  it('chains every entry to the one before', async () => {
+    const { body } = await admin('GET', '/api/admin/audit?limit=100');
+    const entries = body.entries.reverse();
+    assert.ok(entries.length > 5);
+
+    entries.forEach((entry, i) => {
+      assert.equal(entry.seq, i + 1);
+      assert.equal(entry.hash, hashEntry(entry));
+      if (i > 0) assert.equal(entry.prev_hash, entries[i - 1].hash);
+    });
+  });
+});
+
+describe('audit chain verification', () => {
+  async function seededLog(count) {
+    const store = createMemoryStore();
+    const audit = createAuditLog({ store });
+    for (let i = 0; i < count; i++) {
+      await audit.record('test.event', { details: { i, nested: { b: 1, a: 2 } } });
+    }
+    return { store, audit };
+  }
+
+  // The same log, read through a store that hands back altered entries
+  function tampered(store, change) {
+    const audit = {
+      ...store.audit,
+      async chain(options) {
+        return (await store.audit.chain(options)).map(change).filter(Boolean);
+      },
+    };
+    return createAuditLog({ store: { ...store, audit } });
+  }
+
+  it('accepts an untouched chain, across pages', async () => {
+    const { audit } = await seededLog(7);
+    const result = await audit.verify({ pageSize: 3 });
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 7);
+    assert.equal(result.head.seq, 7);
+  });
+
+  it('keeps the chain when writes race', async () => {
+    const store = createMemoryStore();
+    const audit = createAuditLog({ store });
+    await Promise.all(Array.from({ length: 10 }, (_, i) => audit.record(`race.${i}`)));
+    assert.equal((await audit.verify()).checked, 10);
+  });
+
+  it('finds an edited entry', async () => {
+    const { store } = await seededLog(5);
+    const audit = tampered(store, (row) => (row.seq === 3 ? { ...row, outcome: 'failure' } : row));
+    const result = await audit.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.checked, 2);
+    assert.deepEqual(
+      { seq: result.broken_at.seq, reason: result.broken_at.reason },
+      { seq: 3, reason: 'hash does not match contents' }
+    );
+  });
+
+  it('finds an entry removed from the middle', async () => {
+    const { store } = await seededLog(5);
+    const audit = tampered(store, (row) => (row.seq === 2 ? null : row));
+    const result = await audit.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.broken_at.seq, 3);
+    assert.equal(result.broken_at.reason, 'expected seq 2');
+  });
+
+  it('finds an entry rewritten with a fresh hash', async () => {
+    const { store } = await seededLog(5);
+    const audit = tampered(store, (row) => {
+      if (row.seq !== 2) return row;
+      const forged = { ...row, details: { i: 99 } };
+      return { ...forged, hash: hashEntry(forged) };
+    });
+    const result = await audit.verify();
+    assert.equal(result.broken_at.seq, 3);
+    assert.equal(result.broken_at.reason, 'prev_hash does not match');
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+import { loadConfig } from '../lib/config.js';
+import { parseChains } from '../lib/chains.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function userWithWallet(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  return { token, address: wallet.address };
+}
+
+describe('multiple chains', () => {
+  let t;
+  let user;
+  let base; // the base-sepolia fake chain
+
+  before(async () => {
+    t = await startTestApp({ CHAINS: 'local,base-sepolia' });
+    base = t.chains['base-sepolia'];
+    user = await userWithWallet(t, 'ada@example.com');
+    t.chain.fund(user.address, ethers.parseEther('1'));
+    base.fund(user.address, ethers.parseEther('0.5'));
+  });
+
+  after(() => t.close());
+
+  it('lists the wallet\'s balance on every chain with ?chain=all', async () => {
+    const { status, body } = await t.api('GET', '/api/wallet?chain=all', { token: user.token });
+    assert.equal(status, 200);
+    assert.equal(body.address, user.address);
+    assert.deepEqual(
+      body.chains.map((c) => [c.chain, c.chain_id, c.balance_eth, c.tokens.length]),
+      [
+        ['local', 31337, '1.0', 1],
+        ['base-sepolia', 84532, '0.5', 0],
+      ]
+    );
+  });
+
+  it('still lists the other chains when one is down', async () => {
+    const { getBalance } = base;
+    base.getBalance = async () => {
+      throw ethers.makeError('connection refused', 'SERVER_ERROR');
+    };
+    try {
+      const { status, body } = await t.api('GET', '/api/wallet?chain=all', { token: user.token });
+      assert.equal(status, 200);
+      assert.equal(body.chains[0].balance_eth, '1.0');
+      assert.equal(body.chains[1].balance_eth, null);
+      assert.equal(body.chains[1].code, 'RPC_UNAVAILABLE');
+    } finally {
+      base.getBalance = getBalance;
+    }
+  });
+
+  it('picks a chain per request by key or chain id', async () => {
+    const byKey = await t.api('GET', '/api/wallet?chain=base-sepolia', { token: user.token });
+    assert.equal(byKey.body.chain, 'base-sepolia');
+    assert.equal(byKey.body.balance_eth, '0.5');
+
+    const byId = await t.api('GET', '/api/wallet?chain=84532', { token: user.token });
+    assert.deepEqual(byId.body, byKey.body);
+
+    const fallback = await t.api('GET', '/api/wallet', { token: user.token });
+    assert.equal(fallback.body.chain, 'local');
+    assert.equal(fallback.body.balance_eth, '1.0');
+  });
+
+  it('sends on the chain asked for', async () => {
+    const { status, body } = await t.api('POST', '/api/send', {
+      token: user.token,
+      body: { to: RECIPIENT, amount: '0.1', chain: '84532' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.chain, 'base-sepolia');
+    assert.equal(body.nonce, 0);
+
+    assert.deepEqual(
+      base.pending().map((tx) => tx.hash),
+      [body.transaction_hash]
+    );
+    assert.equal(t.chain.pending().length, 0);
+
+    const listed = await t.api('GET', '/api/transactions?chain=base-sepolia', {
+      token: user.token,
+    });
+    assert.deepEqual(
+      listed.body.transactions.map((tx) => tx.hash),
+      [body.transaction_hash]
+    );
+  });
+
+  it('refuses a chain that isn\'t configured', async () => {
+    const message = 'chain must be a configured chain: local, base-sepolia';
+
+    const balance = await t.api('GET', '/api/wallet?chain=sepolia', { token: user.token });
+    assert.equal(balance.status, 400);
+    assert.equal(balance.body.code, 'INVALID_REQUEST');
+    assert.deepEqual(balance.body.fields, [{ field: 'chain', message }]);
+
+    const send = await t.api('POST', '/api/send', {
+      token: user.token,
+      body: { to: RECIPIENT, amount: '0.1', chain: '421614' },
+    });
+    assert.equal(send.status, 400);
+    assert.deepEqual(send.body.fields, [{ field: 'chain', message }]);
+    assert.equal(base.pending().length, 1);
+  });
+});
+
+describe('CHAINS', () => {
+  it('takes RPC_URL_<KEY> over a chain\'s default endpoint', () => {
+    const chains = parseChains({
+      CHAINS: 'local, base-sepolia',
+      RPC_URL_BASE_SEPOLIA: 'http://base.internal:8545',
+    });
+    assert.deepEqual(
+      chains.map((chain) => [chain.key, chain.chainId, chain.rpcUrl]),
+      [
+        ['local', 31337, 'http://127.0.0.1:8545'],
+        ['base-sepolia', 84532, 'http://base.internal:8545'],
+      ]
+    );
+  });
+
+  it('defaults to the first chain listed, unless DEFAULT_CHAIN says otherwise', () => {
+    assert.equal(loadConfig({ CHAINS: 'base-sepolia,local' }).defaultChain, 'base-sepolia');
+    const config = loadConfig({ CHAINS: 'base-sepolia,local', DEFAULT_CHAIN: 'local' });
+    assert.equal(config.defaultChain, 'local');
+  });
+
+  it('rejects chains it doesn\'t know', () => {
+    assert.throws(() => parseChains({ CHAINS: 'local,mainnet' }), /Unknown chain "mainnet"/);
+  });
+});
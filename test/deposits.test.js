@@ -0,0 +1,138 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp, TEST_TOKEN } from './harness.js';
+import { encodeTransfer } from '../lib/tokens.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+// An account outside the app, signing its own transactions
+async function externalSender(chain) {
+  const sender = ethers.Wallet.createRandom();
+  chain.fund(sender.address, ethers.parseEther('10'));
+  let nonce = 0;
+
+  sender.transfer = async (tx) => {
+    const fees = await chain.getFeeData();
+    const signed = await sender.signTransaction({
+      chainId: chain.chainId,
+      type: 2,
+      nonce: nonce++,
+      gasLimit: 100000,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      ...tx,
+    });
+    return (await chain.broadcastTransaction(signed)).hash;
+  };
+  return sender;
+}
+
+describe('deposits', () => {
+  let t;
+  let token;
+  let address;
+  let sender;
+  let ethHash;
+
+  before(async () => {
+    t = await startTestApp();
+    sender = await externalSender(t.chain);
+  });
+
+  after(() => t.close());
+
+  it('starts watching at the current head', async () => {
+    const email = 'dave@example.com';
+    await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+    const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+    token = login.body.access_token;
+
+    let wallet;
+    for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+      wallet = (await t.api('GET', '/api/wallet', { token })).body;
+    }
+    address = wallet.address;
+
+    // A webhook that never answers; deposit.received shows up in its delivery log
+    await t.api('POST', '/api/webhooks', {
+      token,
+      body: { url: 'http://127.0.0.1:1/hooks', events: ['deposit.received'] },
+    });
+
+    t.chain.mine(5);
+    assert.deepEqual(await t.app.locals.deposits.poll(), { found: 0, updated: 0 });
+    assert.equal(await t.store.deposits.getCursor(t.chain.chainId), 5);
+  });
+
+  it('records an incoming ETH transfer and counts its confirmations', async () => {
+    ethHash = await sender.transfer({ to: address, value: ethers.parseEther('0.25') });
+    t.chain.mine();
+    assert.equal((await t.app.locals.deposits.poll()).found, 1);
+
+    const pending = await t.api('GET', `/api/transactions/${ethHash}`, { token });
+    assert.equal(pending.status, 200);
+    assert.equal(pending.body.direction, 'in');
+    assert.equal(pending.body.status, 'pending');
+    assert.equal(pending.body.confirmations, 1);
+    assert.equal(pending.body.amount, '0.25');
+    assert.equal(pending.body.from_address, sender.address);
+
+    t.chain.mine(t.config.confirmationBlocks - 1);
+    await t.app.locals.deposits.poll();
+
+    const confirmed = await t.api('GET', `/api/transactions/${ethHash}`, { token });
+    assert.equal(confirmed.body.status, 'confirmed');
+    assert.equal(confirmed.body.confirmations, t.config.confirmationBlocks);
+
+    // Scanning the unsettled blocks again doesn't record it twice
+    assert.equal((await t.app.locals.deposits.poll()).found, 0);
+  });
+
+  it('records an incoming token transfer', async () => {
+    t.chain.addToken(TEST_TOKEN.address, { [sender.address]: 10_000_000n });
+    const hash = await sender.transfer({
+      to: TEST_TOKEN.address,
+      data: encodeTransfer(address, 2_500_000n),
+    });
+    t.chain.mine(t.config.confirmationBlocks);
+    await t.app.locals.deposits.poll();
+
+    const { body } = await t.api('GET', `/api/transactions/${hash}`, { token });
+    assert.equal(body.status, 'confirmed');
+    assert.equal(body.token_symbol, 'TUSD');
+    assert.equal(body.token_units, '2500000');
+    assert.equal(body.amount, '2.5');
+    assert.equal(body.log_index, 0);
+  });
+
+  it('emits deposit.received once a deposit is confirmed', async () => {
+    const { body } = await t.api('GET', '/api/webhooks', { token });
+    const log = await t.api('GET', `/api/webhooks/${body.webhooks[0].id}/deliveries`, { token });
+
+    const events = log.body.deliveries.map((d) => d.payload);
+    assert.deepEqual(events.map((e) => e.type), ['deposit.received', 'deposit.received']);
+    assert.equal(events.at(-1).data.hash, ethHash);
+  });
+
+  it('merges sends and deposits in the transaction list', async () => {
+    const send = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    assert.equal(send.status, 200);
+
+    const all = await t.api('GET', '/api/transactions', { token });
+    assert.equal(all.body.total, 3);
+    assert.deepEqual(all.body.transactions.map((tx) => tx.direction), ['out', 'in', 'in']);
+
+    const paged = await t.api('GET', '/api/transactions?limit=1&offset=2', { token });
+    assert.equal(paged.body.transactions[0].hash, ethHash);
+
+    const incoming = await t.api('GET', '/api/transactions?direction=in', { token });
+    assert.equal(incoming.body.total, 2);
+    const outgoing = await t.api('GET', '/api/transactions?direction=out', { token });
+    assert.deepEqual(outgoing.body.transactions.map((tx) => tx.hash), [send.body.transaction_hash]);
+  });
+});
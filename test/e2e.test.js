@@ -0,0 +1,294 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { startTestApp, TEST_TOKEN } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+// GET /wallet until provisioning has settled
+async function waitForWallet(api, token) {
+  for (let i = 0; i < 50; i++) {
+    const res = await api('GET', '/api/wallet', { token });
+    if (res.body.wallet_status !== 'provisioning') return res;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Wallet still provisioning');
+}
+
+async function signupAndLogin(api, email) {
+  const signup = await api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  assert.equal(signup.status, 200);
+
+  const login = await api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  assert.equal(login.status, 200);
+  return { signup: signup.body, token: login.body.access_token };
+}
+
+describe('signup -> wallet -> send -> confirmation', () => {
+  let t;
+  let token;
+  let address;
+  let hash;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t.close());
+
+  it('signs up and starts provisioning a wallet', async () => {
+    const session = await signupAndLogin(t.api, 'alice@example.com');
+    token = session.token;
+
+    assert.equal(session.signup.email, 'alice@example.com');
+    assert.equal(session.signup.wallet_address, null);
+    assert.equal(session.signup.wallet_status, 'provisioning');
+  });
+
+  it('returns the Para wallet once it is ready', async () => {
+    const { status, body } = await waitForWallet(t.api, token);
+
+    assert.equal(status, 200);
+    assert.equal(body.wallet_status, 'ready');
+    assert.equal(body.chain, 'local');
+    assert.equal(body.balance_eth, '0.0');
+
+    const [paraWallet] = t.para.wallets.values();
+    assert.equal(body.wallet_id, paraWallet.id);
+    assert.equal(body.address, paraWallet.key.address);
+    address = body.address;
+  });
+
+  it('refuses a send the wallet cannot pay for', async () => {
+    const { status, body } = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INSUFFICIENT_FUNDS');
+    assert.equal(body.sufficient_funds, false);
+    assert.equal(t.chain.pending().length, 0);
+  });
+
+  it('signs through Para and broadcasts', async () => {
+    t.chain.fund(address, ethers.parseEther('1'));
+
+    const { status, body } = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'pending');
+    assert.equal(body.from, address);
+    assert.equal(body.nonce, 0);
+    hash = body.transaction_hash;
+
+    const [broadcast] = t.chain.pending();
+    assert.equal(broadcast.hash, hash);
+    assert.equal(broadcast.from, address);
+    assert.equal(broadcast.value, ethers.parseEther('0.1'));
+  });
+
+  it('tracks the transaction through confirmation to finality', async () => {
+    const check = async () => (await t.api('GET', `/api/transactions/${hash}`, { token })).body;
+
+    t.chain.mine();
+    await t.app.locals.tracker.poll();
+    let tx = await check();
+    assert.equal(tx.status, 'pending');
+    assert.equal(tx.confirmations, 1);
+    assert.equal(tx.gas_used, '21000');
+
+    t.chain.mine(t.config.confirmationBlocks - 1);
+    await t.app.locals.tracker.poll();
+    tx = await check();
+    assert.equal(tx.status, 'confirmed');
+
+    t.chain.mine(t.config.finalityBlocks - t.config.confirmationBlocks);
+    await t.app.locals.tracker.poll();
+    tx = await check();
+    assert.equal(tx.status, 'final');
+
+    assert.equal(await t.chain.getBalance(RECIPIENT), ethers.parseEther('0.1'));
+    const { body } = await t.api('GET', '/api/wallet', { token });
+    assert.ok(Number(body.balance_eth) < 0.9);
+  });
+
+  it('sends tokens with the next nonce', async () => {
+    t.chain.addToken(TEST_TOKEN.address, { [address]: 5_000_000n });
+
+    const { status, body } = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '1.5', token: TEST_TOKEN.symbol },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.token, TEST_TOKEN.symbol);
+    assert.equal(body.nonce, 1);
+
+    t.chain.mine(t.config.confirmationBlocks);
+    await t.app.locals.tracker.poll();
+
+    const tx = await t.api('GET', `/api/transactions/${body.transaction_hash}`, { token });
+    assert.equal(tx.body.status, 'confirmed');
+    assert.equal(t.chain.tokenBalance(TEST_TOKEN.address, RECIPIENT), 1_500_000n);
+    assert.equal(t.chain.tokenBalance(TEST_TOKEN.address, address), 3_500_000n);
+  });
+
+  it('serves the stored entry when the node cannot be reached', async () => {
+    const { body: stored } = await t.api('GET', '/api/transactions', { token });
+    const { hash: latest } = stored.transactions[0];
+
+    const { getBlockNumber } = t.chain;
+    t.chain.getBlockNumber = async () => {
+      throw ethers.makeError('connection refused', 'SERVER_ERROR');
+    };
+    try {
+      const { status, body } = await t.api('GET', `/api/transactions/${latest}`, { token });
+      assert.equal(status, 200);
+      assert.equal(body.hash, latest);
+      assert.equal(body.status, 'confirmed');
+    } finally {
+      t.chain.getBlockNumber = getBlockNumber;
+    }
+  });
+
+  it('lists the ledger', async () => {
+    const { status, body } = await t.api('GET', '/api/transactions', { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.transactions.map((tx) => tx.status), ['confirmed', 'final']);
+  });
+});
+
+describe('auth', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t.close());
+
+  it('rejects requests without a valid token', async () => {
+    const missing = await t.api('GET', '/api/wallet');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'AUTH_MISSING');
+
+    const invalid = await t.api('GET', '/api/wallet', { token: 'not-a-token' });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, 'AUTH_INVALID');
+    assert.ok(invalid.body.request_id);
+  });
+
+  it('refreshes and logs out a session', async () => {
+    await t.api('POST', '/api/signup', { body: { email: 'bob@example.com', password: PASSWORD } });
+    const login = await t.api('POST', '/api/login', {
+      body: { email: 'bob@example.com', password: PASSWORD },
+    });
+
+    const refreshed = await t.api('POST', '/api/auth/refresh', {
+      body: { refresh_token: login.body.refresh_token },
+    });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refresh_token, login.body.refresh_token);
+
+    const reused = await t.api('POST', '/api/auth/refresh', {
+      body: { refresh_token: login.body.refresh_token },
+    });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'REFRESH_TOKEN_INVALID');
+
+    const { access_token } = refreshed.body;
+    const logout = await t.api('POST', '/api/auth/logout', { token: access_token });
+    assert.equal(logout.status, 200);
+
+    const revoked = await t.api('GET', '/api/wallet', { token: access_token });
+    assert.equal(revoked.status, 401);
+  });
+
+  it('rejects a duplicate signup', async () => {
+    const body = { email: 'carol@example.com', password: PASSWORD };
+    await t.api('POST', '/api/signup', { body });
+
+    const { status, body: error } = await t.api('POST', '/api/signup', { body });
+    assert.equal(status, 409);
+    assert.equal(error.code, 'EMAIL_TAKEN');
+  });
+});
+
+describe('wallet provisioning while Para is down', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ PROVISION_MAX_ATTEMPTS: '1' });
+  });
+
+  after(() => t.close());
+
+  it('reports the failure and recovers on a manual retry', async () => {
+    // The first try and PARA_MAX_RETRIES (3) retries
+    t.para.failNext(4, 503);
+    const { signup, token } = await signupAndLogin(t.api, 'dave@example.com');
+    assert.equal(signup.wallet_status, 'provisioning');
+
+    const failed = await waitForWallet(t.api, token);
+    assert.equal(failed.status, 200);
+    assert.equal(failed.body.wallet_status, 'failed');
+    assert.equal(failed.body.last_error, 'PARA_UNAVAILABLE');
+    assert.equal(failed.body.address, null);
+
+    const send = await t.api('POST', '/api/send', { token, body: { to: RECIPIENT, amount: '1' } });
+    assert.equal(send.status, 409);
+    assert.equal(send.body.code, 'WALLET_NOT_READY');
+
+    const retried = await t.api('POST', '/api/wallet/provision', { token });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.wallet_status, 'ready');
+    assert.ok(ethers.isAddress(retried.body.address));
+
+    const wallet = await t.api('GET', '/api/wallet', { token });
+    assert.equal(wallet.body.address, retried.body.address);
+  });
+
+  it('only checks on a wallet Para is creating when asked for it', async () => {
+    // The first try and PARA_MAX_RETRIES (3) retries
+    t.para.failNext(4, 503);
+    const email = 'erik@example.com';
+    const { signup, token } = await signupAndLogin(t.api, email);
+    const userId = signup.user_id;
+
+    const failed = await waitForWallet(t.api, token);
+    assert.equal(failed.body.wallet_status, 'failed');
+
+    // No attempt from GET /wallet: Para isn't asked for a wallet
+    const asked = t.para.requests.length;
+    assert.equal((await t.api('GET', '/api/wallet', { token })).body.wallet_status, 'failed');
+    assert.equal(t.para.requests.length, asked);
+
+    // An attempt that created the wallet, then stopped (a frozen serverless
+    // function), still holding its lock
+    const key = ethers.Wallet.createRandom();
+    const id = crypto.randomUUID();
+    t.para.wallets.set(id, { id, type: 'EVM', userIdentifier: email, key, lookups: 1 });
+    await t.store.provisioning.update(userId, {
+      status: 'provisioning',
+      para_wallet_id: id,
+      next_attempt_at: new Date().toISOString(),
+      locked_until: new Date(Date.now() + 60 * 1000).toISOString(),
+    });
+
+    const { status, body } = await t.api('GET', '/api/wallet', { token });
+    assert.equal(status, 200);
+    assert.equal(body.wallet_status, 'ready');
+    assert.equal(body.address, key.address);
+    assert.deepEqual(
+      t.para.requests.slice(asked).map((r) => `${r.method} ${r.path}`),
+      [`GET /wallets/${id}`]
+    );
+  });
+});
@@ -0,0 +1,269 @@
+import { ethers } from 'ethers';
+import { ERC20_ABI } from '../../lib/tokens.js';
+
+const erc20 = new ethers.Interface(ERC20_ABI);
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+const TRANSFER_GAS = 21000n;
+const TOKEN_TRANSFER_GAS = 52000n;
+// Nodes want a same-nonce replacement to raise fees by at least 10%
+const REPLACEMENT_BUMP_PERCENT = 110n;
+
+// In-memory EVM chain that stands in for an ethers provider (the subset the
+// app uses). Accounts hold ETH, and ERC-20 contracts registered with
+// addToken() hold token balances. Broadcast transactions wait in the mempool
+// until mine() puts them in a block; token transfers leave Transfer logs
+// for getLogs().
+//
+// Broadcast failures are ethers errors with the codes a real node produces
+// (NONCE_EXPIRED, REPLACEMENT_UNDERPRICED, INSUFFICIENT_FUNDS).
+export function createFakeChain({
+  chainId = 31337,
+  baseFeePerGas = ethers.parseUnits('1', 'gwei'),
+  priorityFee = ethers.parseUnits('1', 'gwei'),
+} = {}) {
+  const balances = new Map(); // address -> wei
+  const nonces = new Map(); // address -> next mined nonce
+  const tokens = new Map(); // contract address -> Map(holder -> units)
+  const mempool = new Map(); // hash -> Transaction
+  const mined = new Map(); // hash -> { tx, receipt }
+  const logs = [];
+  const blocks = [
+    { number: 0, baseFeePerGas, timestamp: Math.floor(Date.now() / 1000), transactions: [] },
+  ];
+
+  const key = (address) => address.toLowerCase();
+  const balanceOf = (address) => balances.get(key(address)) ?? 0n;
+  const minedNonce = (address) => nonces.get(key(address)) ?? 0;
+  const topicFor = (address) => ethers.zeroPadValue(address, 32);
+
+  function tokenCall(tx) {
+    const holders = tokens.get(key(tx.to ?? ''));
+    if (!holders) return null;
+    return { holders, call: erc20.parseTransaction({ data: tx.data }) };
+  }
+
+  function revert(tx) {
+    return ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+      action: 'call',
+      data: '0x',
+      reason: null,
+      transaction: tx,
+      invocation: null,
+      revert: null,
+    });
+  }
+
+  function pendingFrom(address) {
+    return [...mempool.values()].filter((tx) => key(tx.from) === key(address));
+  }
+
+  // What a transaction pays per gas: base fee plus the tip its max fee leaves room for
+  function effectiveGasPrice(tx) {
+    if (tx.type !== 2) return tx.gasPrice;
+    const room = tx.maxFeePerGas - baseFeePerGas;
+    return baseFeePerGas + (tx.maxPriorityFeePerGas < room ? tx.maxPriorityFeePerGas : room);
+  }
+
+  // Include every mempool transaction whose nonce is next for its sender
+  function execute(block) {
+    let progress = true;
+    while (progress) {
+      progress = false;
+      for (const tx of mempool.values()) {
+        if (tx.nonce !== minedNonce(tx.from)) continue;
+
+        mempool.delete(tx.hash);
+        const gasPrice = effectiveGasPrice(tx);
+        const token = tokenCall(tx);
+        const gasUsed = token ? TOKEN_TRANSFER_GAS : TRANSFER_GAS;
+        let status = 1;
+
+        balances.set(key(tx.from), balanceOf(tx.from) - tx.value - gasUsed * gasPrice);
+        nonces.set(key(tx.from), tx.nonce + 1);
+
+        if (token) {
+          const [to, units] = token.call.args;
+          const held = token.holders.get(key(tx.from)) ?? 0n;
+          if (token.call.name !== 'transfer' || held < units) {
+            status = 0;
+          } else {
+            token.holders.set(key(tx.from), held - units);
+            token.holders.set(key(to), (token.holders.get(key(to)) ?? 0n) + units);
+            logs.push({
+              address: ethers.getAddress(tx.to),
+              topics: [TRANSFER_TOPIC, topicFor(tx.from), topicFor(to)],
+              data: ethers.toBeHex(units, 32),
+              blockNumber: block.number,
+              transactionHash: tx.hash,
+              index: logs.filter((log) => log.blockNumber === block.number).length,
+            });
+          }
+        } else {
+          balances.set(key(tx.to), balanceOf(tx.to) + tx.value);
+        }
+
+        block.transactions.push(tx.hash);
+        mined.set(tx.hash, {
+          tx,
+          receipt: { hash: tx.hash, blockNumber: block.number, status, gasUsed, gasPrice },
+        });
+        progress = true;
+      }
+    }
+
+    // Whatever now has a used-up nonce was replaced and will never be mined
+    for (const tx of mempool.values()) {
+      if (tx.nonce < minedNonce(tx.from)) mempool.delete(tx.hash);
+    }
+  }
+
+  function describeTransaction(tx, blockNumber = null) {
+    const { hash, from, to, nonce, value } = tx;
+    return { hash, from, to, nonce, value, blockNumber };
+  }
+
+  return {
+    chainId,
+
+    // ============= PROVIDER =============
+
+    async getBlockNumber() {
+      return blocks.length - 1;
+    },
+
+    // With `prefetch`, like ethers, the block's transactions are included
+    // as prefetchedTransactions
+    async getBlock(tag, prefetch = false) {
+      const block = tag === 'latest' ? blocks.at(-1) : blocks[tag];
+      if (!block || !prefetch) return block ?? null;
+
+      const prefetchedTransactions = block.transactions.map((hash) =>
+        describeTransaction(mined.get(hash).tx, block.number)
+      );
+      return { ...block, prefetchedTransactions };
+    },
+
+    // Transfer logs; `address` may be one contract or a list, `topics[0]` is matched
+    async getLogs({ address, topics = [], fromBlock = 0, toBlock = blocks.length - 1 }) {
+      const contracts = address ? [].concat(address).map(key) : null;
+      return logs.filter(
+        (log) =>
+          log.blockNumber >= fromBlock &&
+          log.blockNumber <= toBlock &&
+          (!contracts || contracts.includes(key(log.address))) &&
+          (!topics[0] || log.topics[0] === topics[0])
+      );
+    },
+
+    async getFeeData() {
+      return {
+        gasPrice: baseFeePerGas + priorityFee,
+        maxFeePerGas: baseFeePerGas * 2n + priorityFee,
+        maxPriorityFeePerGas: priorityFee,
+      };
+    },
+
+    async getBalance(address) {
+      return balanceOf(address);
+    },
+
+    async getTransactionCount(address, tag = 'latest') {
+      let nonce = minedNonce(address);
+      if (tag !== 'pending') return nonce;
+
+      const queued = new Set(pendingFrom(address).map((tx) => tx.nonce));
+      while (queued.has(nonce)) nonce++;
+      return nonce;
+    },
+
+    async estimateGas(tx) {
+      const token = tokenCall(tx);
+      if (!token) return TRANSFER_GAS;
+
+      const [, units] = token.call.args;
+      if ((token.holders.get(key(tx.from)) ?? 0n) < units) throw revert(tx);
+      return TOKEN_TRANSFER_GAS;
+    },
+
+    async call(tx) {
+      const token = tokenCall(tx);
+      if (!token || token.call.name !== 'balanceOf') throw revert(tx);
+
+      const units = token.holders.get(key(token.call.args[0])) ?? 0n;
+      return erc20.encodeFunctionResult('balanceOf', [units]);
+    },
+
+    async broadcastTransaction(serialized) {
+      const tx = ethers.Transaction.from(serialized);
+      const fail = (message, code) => ethers.makeError(message, code, { transaction: tx });
+
+      if (tx.chainId !== BigInt(chainId)) throw fail('invalid chain id', 'SERVER_ERROR');
+      if (tx.nonce < minedNonce(tx.from)) throw fail('nonce too low', 'NONCE_EXPIRED');
+
+      const maxGasPrice = tx.maxFeePerGas ?? tx.gasPrice;
+      if (balanceOf(tx.from) < tx.value + tx.gasLimit * maxGasPrice) {
+        throw fail('insufficient funds for gas * price + value', 'INSUFFICIENT_FUNDS');
+      }
+
+      const existing = pendingFrom(tx.from).find((other) => other.nonce === tx.nonce);
+      if (existing) {
+        const existingMax = existing.maxFeePerGas ?? existing.gasPrice;
+        if (maxGasPrice * 100n < existingMax * REPLACEMENT_BUMP_PERCENT) {
+          throw fail('replacement transaction underpriced', 'REPLACEMENT_UNDERPRICED');
+        }
+        mempool.delete(existing.hash);
+      }
+
+      mempool.set(tx.hash, tx);
+      return describeTransaction(tx);
+    },
+
+    async getTransaction(hash) {
+      if (mempool.has(hash)) return describeTransaction(mempool.get(hash));
+      const entry = mined.get(hash);
+      return entry ? describeTransaction(entry.tx, entry.receipt.blockNumber) : null;
+    },
+
+    async getTransactionReceipt(hash) {
+      return mined.get(hash)?.receipt ?? null;
+    },
+
+    // ============= TEST CONTROLS =============
+
+    fund(address, wei) {
+      balances.set(key(address), balanceOf(address) + wei);
+    },
+
+    // Register an ERC-20 contract at `address`, optionally with balances
+    addToken(address, holders = {}) {
+      tokens.set(
+        key(address),
+        new Map(Object.entries(holders).map(([holder, units]) => [key(holder), units]))
+      );
+    },
+
+    tokenBalance(token, holder) {
+      return tokens.get(key(token))?.get(key(holder)) ?? 0n;
+    },
+
+    pending() {
+      return [...mempool.values()];
+    },
+
+    // Mine `count` blocks; the first includes every executable mempool transaction
+    mine(count = 1) {
+      for (let i = 0; i < count; i++) {
+        const block = {
+          number: blocks.length,
+          baseFeePerGas,
+          timestamp: blocks.at(-1).timestamp + 12,
+          transactions: [],
+        };
+        blocks.push(block);
+        execute(block);
+      }
+      return blocks.length - 1;
+    },
+  };
+}
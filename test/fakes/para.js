@@ -0,0 +1,136 @@
+import http from 'http';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+// In-process fake of the Para REST API (the subset lib/para.js calls):
+//   POST /wallets                   -> { wallet: { id, type, status } }, or 409
+//                                      { message, walletId } when that user
+//                                      identifier already has a wallet of the type
+//   GET  /wallets/:id               -> wallet; 'ready' with an address after
+//                                      `readyAfter` lookups
+//   POST /wallets/:id/sign-raw      -> { signature } from the wallet's local key
+//
+// Requests need the X-API-Key it was created with. failNext(count, status)
+// makes the next `count` requests fail, to exercise retries and provisioning;
+// dropNext(count) carries them out but closes the connection instead of
+// answering, as if the response were lost.
+// `requests` lists what was asked: { method, path, requestId }.
+export function createFakePara({ apiKey = 'test-para-key', readyAfter = 1 } = {}) {
+  const wallets = new Map(); // id -> { id, type, userIdentifier, key, lookups }
+  const failures = [];
+  let drops = 0;
+  const requests = [];
+  let server = null;
+  let url = null;
+
+  function describe(wallet) {
+    const ready = wallet.lookups >= readyAfter;
+    return {
+      id: wallet.id,
+      type: wallet.type,
+      status: ready ? 'ready' : 'creating',
+      ...(ready ? { address: wallet.key.address } : {}),
+    };
+  }
+
+  function route(method, path, body) {
+    const [, resource, id, action] = path.split('/');
+    if (resource !== 'wallets') return [404, { message: 'Not found' }];
+
+    if (method === 'POST' && !id) {
+      const existing = [...wallets.values()].find(
+        (w) => w.type === body.type && w.userIdentifier === body.userIdentifier
+      );
+      if (existing) {
+        return [409, { message: 'Wallet already exists', walletId: existing.id }];
+      }
+
+      const wallet = {
+        id: crypto.randomUUID(),
+        type: body.type,
+        userIdentifier: body.userIdentifier,
+        key: ethers.Wallet.createRandom(),
+        lookups: 0,
+      };
+      wallets.set(wallet.id, wallet);
+      return [201, { wallet: describe(wallet) }];
+    }
+
+    const wallet = wallets.get(id);
+    if (!wallet) return [404, { message: `Wallet ${id} not found` }];
+
+    if (method === 'GET' && !action) {
+      wallet.lookups++;
+      return [200, describe(wallet)];
+    }
+    if (method === 'POST' && action === 'sign-raw') {
+      if (!ethers.isHexString(body.data, 32)) {
+        return [400, { message: 'data must be a 32-byte hex digest' }];
+      }
+      return [200, { signature: wallet.key.signingKey.sign(body.data).serialized }];
+    }
+    return [404, { message: 'Not found' }];
+  }
+
+  async function handle(req, res) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    const reply = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/^\/v1/, '');
+    requests.push({ method: req.method, path, requestId: req.headers['x-request-id'] ?? null });
+
+    if (req.headers['x-api-key'] !== apiKey) return reply(401, { message: 'Invalid API key' });
+    if (failures.length) return reply(failures.shift(), { message: 'Injected failure' });
+
+    const [status, data] = route(req.method, path, raw ? JSON.parse(raw) : {});
+    if (drops) {
+      drops--;
+      return req.socket.destroy();
+    }
+    reply(status, data);
+  }
+
+  return {
+    apiKey,
+    wallets,
+    requests,
+
+    get url() {
+      return url;
+    },
+
+    // The ethers signer behind a Para wallet id
+    signer(walletId) {
+      return wallets.get(walletId)?.key ?? null;
+    },
+
+    failNext(count, status = 503) {
+      failures.push(...Array(count).fill(status));
+    },
+
+    dropNext(count = 1) {
+      drops += count;
+    },
+
+    async listen() {
+      server = http.createServer((req, res) => {
+        handle(req, res).catch((err) => {
+          res.writeHead(500);
+          res.end(JSON.stringify({ message: err.message }));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/v1`;
+      return url;
+    },
+
+    close() {
+      return new Promise((resolve) => (server ? server.close(resolve) : resolve()));
+    },
+  };
+}
@@ -0,0 +1,106 @@
+import net from 'net';
+
+// In-process SMTP server standing in for the mail relay lib/mailer.js talks
+// to. Accepts every message (no TLS; any AUTH succeeds) and keeps it in
+// `messages` as { from, to, subject, text, headers }.
+export function createFakeSmtp() {
+  const messages = [];
+  const sockets = new Set();
+  let server = null;
+  let url = null;
+
+  function parse(envelope, data) {
+    const raw = data.replace(/^\.\./gm, '.');
+    const [head, ...body] = raw.split('\r\n\r\n');
+    const headers = Object.fromEntries(
+      head.split('\r\n').map((line) => {
+        const colon = line.indexOf(':');
+        return [line.slice(0, colon).toLowerCase(), line.slice(colon + 1).trim()];
+      })
+    );
+    return {
+      ...envelope,
+      subject: headers.subject,
+      text: body.join('\r\n\r\n').replace(/\r\n/g, '\n'),
+      headers,
+    };
+  }
+
+  function session(socket) {
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let envelope = { from: null, to: [] };
+    let data = null; // collecting the message between DATA and "."
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    reply('220 localhost fake SMTP');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line !== '.') {
+            data.push(line);
+            continue;
+          }
+          const to = envelope.to.join(', ');
+          messages.push(parse({ from: envelope.from, to }, data.join('\r\n')));
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK queued');
+          continue;
+        }
+
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') {
+          reply('250-localhost');
+          reply('250 AUTH PLAIN');
+        } else if (verb === 'AUTH') {
+          reply('235 Authenticated');
+        } else if (verb === 'MAIL') {
+          envelope.from = line.match(/<([^>]*)>/)?.[1] ?? null;
+          reply('250 OK');
+        } else if (verb === 'RCPT') {
+          envelope.to.push(line.match(/<([^>]*)>/)?.[1]);
+          reply('250 OK');
+        } else if (verb === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  }
+
+  return {
+    messages,
+
+    get url() {
+      return url;
+    },
+
+    async listen() {
+      server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        session(socket);
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      url = `smtp://127.0.0.1:${server.address().port}`;
+      return url;
+    },
+
+    close() {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => (server ? server.close(resolve) : resolve()));
+    },
+  };
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+
+// In-memory fake of the Supabase Auth calls the app makes (admin.createUser,
+// admin.listUsers, admin.getUserById, signInWithPassword, refreshSession,
+// getUser, admin.signOut), answering in supabase-js's { data, error } shape.
+// Set a user's app_metadata (e.g. { role: 'admin' }) through `users` before
+// they sign in.
+//
+// Access tokens are HS256 JWTs signed with `jwtSecret`, so the app verifies
+// them locally when configured with the same SUPABASE_JWT_SECRET. Refresh
+// tokens rotate on use, like Supabase's.
+export function createFakeSupabase({ jwtSecret }) {
+  const users = new Map(); // email -> { id, email, password, app_metadata, ... }
+  const sessions = new Map(); // session_id -> { user, refreshToken }
+
+  function sign(claims) {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto.createHmac('sha256', jwtSecret).update(signingInput).digest();
+    return `${signingInput}.${signature.toString('base64url')}`;
+  }
+
+  function decode(token) {
+    try {
+      return JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function authError(code, message, status = 400) {
+    return { name: 'AuthApiError', code, message, status };
+  }
+
+  function describeUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      role: 'authenticated',
+      app_metadata: user.app_metadata,
+      created_at: user.created_at,
+      last_sign_in_at: user.last_sign_in_at,
+    };
+  }
+
+  function issueSession(user, sessionId = crypto.randomUUID()) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS;
+    const refreshToken = crypto.randomBytes(16).toString('hex');
+    sessions.set(sessionId, { user, refreshToken });
+
+    const accessToken = sign({
+      sub: user.id,
+      email: user.email,
+      aud: 'authenticated',
+      role: 'authenticated',
+      app_metadata: user.app_metadata,
+      session_id: sessionId,
+      exp: expiresAt,
+    });
+    return {
+      user: describeUser(user),
+      session: { access_token: accessToken, refresh_token: refreshToken, expires_at: expiresAt },
+    };
+  }
+
+  return {
+    users,
+    sessions,
+
+    auth: {
+      admin: {
+        async createUser({ email, password }) {
+          if (users.has(email)) {
+            const message = 'A user with this email address has already been registered';
+            return { data: { user: null }, error: authError('email_exists', message, 422) };
+          }
+          const user = {
+            id: crypto.randomUUID(),
+            email,
+            password,
+            app_metadata: {},
+            created_at: new Date().toISOString(),
+            last_sign_in_at: null,
+          };
+          users.set(email, user);
+          return { data: { user: describeUser(user) }, error: null };
+        },
+
+        async listUsers({ page = 1, perPage = 50 } = {}) {
+          const all = [...users.values()];
+          const lastPage = Math.max(Math.ceil(all.length / perPage), 1);
+          return {
+            data: {
+              users: all.slice((page - 1) * perPage, page * perPage).map(describeUser),
+              total: all.length,
+              nextPage: page < lastPage ? page + 1 : null,
+              lastPage,
+            },
+            error: null,
+          };
+        },
+
+        async getUserById(id) {
+          const user = [...users.values()].find((u) => u.id === id);
+          if (!user) {
+            const error = authError('user_not_found', 'User not found', 404);
+            return { data: { user: null }, error };
+          }
+          return { data: { user: describeUser(user) }, error: null };
+        },
+
+        async signOut(accessToken, scope = 'global') {
+          const claims = decode(accessToken);
+          const current = sessions.get(claims?.session_id);
+          if (!current) {
+            return { data: null, error: authError('session_not_found', 'Session not found', 404) };
+          }
+
+          for (const [id, session] of sessions) {
+            if (session.user.id !== current.user.id) continue;
+            const isCurrent = id === claims.session_id;
+            if (scope === 'global' || (scope === 'local') === isCurrent) sessions.delete(id);
+          }
+          return { data: null, error: null };
+        },
+      },
+
+      async signInWithPassword({ email, password }) {
+        const user = users.get(email);
+        if (!user || user.password !== password) {
+          const error = authError('invalid_credentials', 'Invalid login credentials');
+          return { data: { user: null, session: null }, error };
+        }
+        user.last_sign_in_at = new Date().toISOString();
+        return { data: issueSession(user), error: null };
+      },
+
+      async refreshSession({ refresh_token }) {
+        const entry = [...sessions].find(([, session]) => session.refreshToken === refresh_token);
+        if (!entry) {
+          const message = 'Invalid Refresh Token: Refresh Token Not Found';
+          const error = authError('refresh_token_not_found', message);
+          return { data: { user: null, session: null }, error };
+        }
+        const [sessionId, { user }] = entry;
+        return { data: issueSession(user, sessionId), error: null };
+      },
+
+      async getUser(accessToken) {
+        const claims = decode(accessToken);
+        const session = sessions.get(claims?.session_id);
+        if (!session) {
+          const error = authError('bad_jwt', 'invalid JWT', 403);
+          return { data: { user: null }, error };
+        }
+        return { data: { user: describeUser(session.user) }, error: null };
+      },
+    },
+  };
+}
@@ -0,0 +1,92 @@
+import { createApp } from '../lib/app.js';
+import { loadConfig } from '../lib/config.js';
+import { createMemoryStore } from '../lib/stores/index.js';
+import { createFakePara } from './fakes/para.js';
+import { createFakeChain } from './fakes/chain.js';
+import { createFakeSupabase } from './fakes/supabase.js';
+import { createFakeSmtp } from './fakes/smtp.js';
+
+const JWT_SECRET = 'test-jwt-secret';
+
+// Test token on the local chain; the fake chain runs it as an ERC-20
+export const TEST_TOKEN = {
+  chain: 'local',
+  symbol: 'TUSD',
+  address: '0x00000000000000000000000000000000000a11ce',
+  decimals: 6,
+};
+
+// Boot the real app on a random port against in-process fakes: Para (HTTP,
+// so lib/para.js is exercised too), in-memory chains, Supabase Auth, an
+// SMTP server and the in-memory stores. Nothing touches the network.
+//
+// Only `local` is enabled by default; a second fake chain, `base-sepolia`,
+// answers once CHAINS includes it. `chain` is the local one.
+//
+// Background workers are off; tests drive them with app.locals.*.poll().
+// `env` overrides config variables.
+export async function startTestApp(env = {}) {
+  const para = createFakePara();
+  await para.listen();
+  const chains = {
+    local: createFakeChain(),
+    'base-sepolia': createFakeChain({ chainId: 84532 }),
+  };
+  const chain = chains.local;
+  chain.addToken(TEST_TOKEN.address);
+  const supabase = createFakeSupabase({ jwtSecret: JWT_SECRET });
+  const store = createMemoryStore();
+  const smtp = createFakeSmtp();
+  await smtp.listen();
+
+  const config = loadConfig({
+    CHAINS: 'local',
+    TOKENS: JSON.stringify([TEST_TOKEN]),
+    SUPABASE_JWT_SECRET: JWT_SECRET,
+    PARA_API_KEY: para.apiKey,
+    PARA_BASE_URL: para.url,
+    PARA_RETRY_BASE_MS: '5',
+    WALLET_POLL_INTERVAL_MS: '5',
+    TRACKER_INTERVAL_MS: '0',
+    DEPOSIT_INTERVAL_MS: '0',
+    PROVISION_INTERVAL_MS: '0',
+    WEBHOOK_INTERVAL_MS: '0',
+    SMTP_URL: smtp.url,
+    LOG_LEVEL: 'silent',
+    // Webhook receivers run on 127.0.0.1
+    WEBHOOK_ALLOW_HTTP: 'true',
+    WEBHOOK_ALLOW_PRIVATE_URLS: 'true',
+    ...env,
+  });
+
+  const app = createApp({ supabase, provider: (c) => chains[c.key], store, config });
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // -> { status, headers, body }
+  async function api(method, path, { body, token, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  async function close() {
+    app.locals.tracker.stop();
+    app.locals.deposits.stop();
+    app.locals.provisioner.stop();
+    app.locals.webhooks.stop();
+    await new Promise((resolve) => server.close(resolve));
+    await para.close();
+    await smtp.close();
+  }
+
+  return { app, api, baseUrl, config, para, chain, chains, supabase, smtp, store, close };
+}
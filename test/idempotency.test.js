@@ -0,0 +1,123 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function fundedUser(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  t.chain.fund(wallet.address, ethers.parseEther('1'));
+  return { token, address: wallet.address };
+}
+
+describe('idempotency keys', () => {
+  let t;
+  let user;
+
+  const send = (key, amount = '0.01', token = user.token) =>
+    t.api('POST', '/api/send', {
+      token,
+      headers: { 'Idempotency-Key': key },
+      body: { to: RECIPIENT, amount },
+    });
+  const broadcasts = () => t.chain.pending().filter((tx) => tx.from === user.address).length;
+
+  before(async () => {
+    t = await startTestApp();
+    user = await fundedUser(t, 'abel@example.com');
+  });
+
+  after(() => t.close());
+
+  it('replays a retried send instead of broadcasting it again', async () => {
+    const first = await send('send-1');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const retry = await send('send-1');
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(broadcasts(), 1);
+  });
+
+  it('refuses a key reused for a different body', async () => {
+    const { status, body } = await send('send-1', '0.02');
+    assert.equal(status, 409);
+    assert.equal(body.code, 'IDEMPOTENCY_KEY_REUSED');
+    assert.equal(broadcasts(), 1);
+  });
+
+  it('answers a retry that overtakes the first request with 409', async () => {
+    const responses = await Promise.all([send('send-2'), send('send-2')]);
+    assert.deepEqual(
+      responses.map((res) => res.status).sort(),
+      [200, 409]
+    );
+    assert.equal(responses.find((res) => res.status === 409).body.code, 'IDEMPOTENCY_IN_PROGRESS');
+    assert.equal(broadcasts(), 2);
+  });
+
+  it('frees the key after a server error', async () => {
+    const { broadcastTransaction } = t.chain;
+    t.chain.broadcastTransaction = async () => {
+      throw ethers.makeError('connection refused', 'SERVER_ERROR');
+    };
+    try {
+      assert.equal((await send('send-3')).status, 503);
+    } finally {
+      t.chain.broadcastTransaction = broadcastTransaction;
+    }
+
+    const retry = await send('send-3');
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+    assert.equal(broadcasts(), 3);
+  });
+
+  it('scopes keys to the user', async () => {
+    const other = await fundedUser(t, 'bea@example.com');
+
+    const { status, headers } = await send('send-1', '0.01', other.token);
+    assert.equal(status, 200);
+    assert.equal(headers.get('idempotent-replayed'), null);
+  });
+
+  it('rejects keys longer than 255 characters', async () => {
+    const { status, body } = await send('k'.repeat(256));
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_REQUEST');
+    assert.equal(body.fields[0].field, 'Idempotency-Key');
+  });
+
+  it('replays a retried signup without creating a second wallet', async () => {
+    const signup = () =>
+      t.api('POST', '/api/signup', {
+        headers: { 'Idempotency-Key': 'signup-1' },
+        body: { email: 'cleo@example.com', password: PASSWORD },
+      });
+    const wallets = t.para.wallets.size;
+
+    const first = await signup();
+    assert.equal(first.status, 200);
+    const retry = await signup();
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+
+    // The wallet is created in the background
+    for (let i = 0; i < 50 && t.para.wallets.size === wallets; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.equal(t.para.wallets.size, wallets + 1);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startTestApp } from './harness.js';
+import { createJwtVerifier } from '../lib/jwt.js';
+
+const PASSWORD = 'password123';
+const SECRET = 'test-jwt-secret';
+
+const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+
+// An access token like Supabase's, HS256-signed with `secret` unless the
+// header names another algorithm
+function sign(overrides = {}, { alg = 'HS256', secret = SECRET } = {}) {
+  const claims = {
+    sub: crypto.randomUUID(),
+    aud: 'authenticated',
+    role: 'authenticated',
+    session_id: crypto.randomUUID(),
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...overrides,
+  };
+  const signingInput = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(signingInput).digest();
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+describe('access token verification', () => {
+  const jwt = createJwtVerifier({ supabaseJwtSecret: SECRET });
+
+  it('accepts a token signed with the JWT secret', async () => {
+    const { claims, unverified, error } = await jwt.verify(sign({ sub: 'user-1' }));
+    assert.equal(error, undefined);
+    assert.equal(unverified, undefined);
+    assert.equal(claims.sub, 'user-1');
+  });
+
+  it('tells expired tokens apart, allowing for clock skew', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    assert.deepEqual(await jwt.verify(sign({ exp: now - 60 })), { error: 'expired' });
+    assert.ok((await jwt.verify(sign({ exp: now - 10 }))).claims);
+  });
+
+  it('rejects a tampered payload or signature', async () => {
+    const [header, payload, signature] = sign().split('.');
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const claims = encode({ ...decoded, sub: 'someone-else' });
+    const forged = `${header}.${claims}.${signature}`;
+    assert.deepEqual(await jwt.verify(forged), { error: 'invalid' });
+
+    const otherKey = sign({}, { secret: 'not-the-secret' });
+    assert.deepEqual(await jwt.verify(otherKey), { error: 'invalid' });
+  });
+
+  it('rejects algorithms other than HS256, RS256 and ES256', async () => {
+    const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${sign().split('.')[1]}.`;
+    assert.deepEqual(await jwt.verify(unsigned), { error: 'invalid' });
+    assert.deepEqual(await jwt.verify(sign({}, { alg: 'HS512' })), { error: 'invalid' });
+  });
+
+  it('only takes user sessions', async () => {
+    assert.deepEqual(await jwt.verify(sign({ aud: 'anon' })), { error: 'invalid' });
+    assert.deepEqual(await jwt.verify(sign({ sub: undefined })), { error: 'invalid' });
+    assert.deepEqual(await jwt.verify('not.a.token'), { error: 'invalid' });
+  });
+});
+
+describe('token errors', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t.close());
+
+  it('answers AUTH_EXPIRED and AUTH_INVALID', async () => {
+    const exp = Math.floor(Date.now() / 1000) - 60;
+    const expired = await t.api('GET', '/api/wallet', { token: sign({ exp }) });
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.code, 'AUTH_EXPIRED');
+
+    const forged = await t.api('GET', '/api/wallet', {
+      token: sign({}, { secret: 'not-the-secret' }),
+    });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, 'AUTH_INVALID');
+  });
+});
+
+describe('without SUPABASE_JWT_SECRET', () => {
+  let t;
+  let lookups;
+
+  before(async () => {
+    t = await startTestApp({ SUPABASE_JWT_SECRET: '' });
+    const { getUser } = t.supabase.auth;
+    lookups = 0;
+    t.supabase.auth.getUser = (token) => {
+      lookups++;
+      return getUser(token);
+    };
+  });
+
+  after(() => t.close());
+
+  it('asks Supabase about each token, once', async () => {
+    await t.api('POST', '/api/signup', { body: { email: 'kim@example.com', password: PASSWORD } });
+    const login = await t.api('POST', '/api/login', {
+      body: { email: 'kim@example.com', password: PASSWORD },
+    });
+    const token = login.body.access_token;
+
+    assert.equal((await t.api('GET', '/api/wallet', { token })).status, 200);
+    assert.equal((await t.api('GET', '/api/wallet', { token })).status, 200);
+    assert.equal(lookups, 1);
+  });
+
+  it('refuses a token Supabase doesn\'t know', async () => {
+    const { status, body } = await t.api('GET', '/api/wallet', { token: sign() });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUTH_INVALID');
+  });
+
+  it('still refuses expired tokens without asking', async () => {
+    const asked = lookups;
+    const exp = Math.floor(Date.now() / 1000) - 60;
+
+    const { status, body } = await t.api('GET', '/api/wallet', { token: sign({ exp }) });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUTH_EXPIRED');
+    assert.equal(lookups, asked);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function fundedUser(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  t.chain.fund(wallet.address, ethers.parseEther('1'));
+  return { token, address: wallet.address, walletId: wallet.wallet_id };
+}
+
+describe('transaction ledger', () => {
+  let t;
+  let user;
+  const hashes = [];
+
+  const send = (amount) =>
+    t.api('POST', '/api/send', { token: user.token, body: { to: RECIPIENT, amount } });
+  const list = (query = '') => t.api('GET', `/api/transactions${query}`, { token: user.token });
+
+  before(async () => {
+    t = await startTestApp();
+    user = await fundedUser(t, 'uma@example.com');
+  });
+
+  after(() => t.close());
+
+  it('records each send before it is broadcast', async () => {
+    for (const amount of ['0.01', '0.02', '0.03']) {
+      hashes.push((await send(amount)).body.transaction_hash);
+    }
+
+    const { status, body } = await t.api('GET', `/api/transactions/${hashes[0]}`, {
+      token: user.token,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.direction, 'out');
+    assert.equal(body.wallet_id, user.walletId);
+    assert.equal(body.from_address, user.address);
+    assert.equal(body.to_address, RECIPIENT);
+    assert.equal(body.amount, '0.01');
+    assert.equal(body.nonce, 0);
+    assert.equal(body.kind, 'transfer');
+    assert.equal(body.gas_limit, '21000');
+    assert.equal(body.max_fee_per_gas, ethers.parseUnits('3', 'gwei').toString());
+    assert.equal(body.status, 'pending');
+  });
+
+  it('keeps a send the node refused, as failed', async () => {
+    const { broadcastTransaction } = t.chain;
+    t.chain.broadcastTransaction = async () => {
+      throw ethers.makeError('node is syncing', 'SERVER_ERROR');
+    };
+    try {
+      const { status, body } = await send('0.04');
+      assert.equal(status, 503);
+      assert.equal(body.code, 'RPC_UNAVAILABLE');
+    } finally {
+      t.chain.broadcastTransaction = broadcastTransaction;
+    }
+
+    const { body } = await list('?status=failed');
+    assert.equal(body.total, 1);
+    assert.equal(body.transactions[0].amount, '0.04');
+    assert.match(body.transactions[0].error, /^node is syncing/);
+    // Its nonce goes to the next send
+    assert.equal((await send('0.05')).body.nonce, 3);
+  });
+
+  it('lists newest first, a page at a time', async () => {
+    const first = await list('?limit=2');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.total, 5);
+    assert.equal(first.body.limit, 2);
+    assert.deepEqual(
+      first.body.transactions.map((tx) => tx.amount),
+      ['0.05', '0.04']
+    );
+
+    const second = await list('?limit=2&offset=2');
+    assert.equal(second.body.offset, 2);
+    assert.deepEqual(
+      second.body.transactions.map((tx) => tx.amount),
+      ['0.03', '0.02']
+    );
+  });
+
+  it('filters by status, direction and date', async () => {
+    t.chain.mine(t.config.confirmationBlocks);
+    await t.app.locals.tracker.poll();
+
+    const confirmed = await list('?status=confirmed');
+    assert.equal(confirmed.body.total, 4);
+    assert.equal((await list('?status=pending,failed')).body.total, 1);
+    assert.equal((await list('?direction=in')).body.total, 0);
+    assert.equal((await list('?direction=out')).body.total, 5);
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    assert.equal((await list(`?since=${tomorrow}`)).body.total, 0);
+    assert.equal((await list(`?until=${yesterday}`)).body.total, 0);
+    assert.equal((await list(`?since=${yesterday}&until=${tomorrow}`)).body.total, 5);
+  });
+
+  it('hides other users\' entries', async () => {
+    const other = await fundedUser(t, 'victor@example.com');
+
+    const { status, body } = await t.api('GET', `/api/transactions/${hashes[0]}`, {
+      token: other.token,
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'TRANSACTION_NOT_FOUND');
+
+    const listed = await t.api('GET', '/api/transactions', { token: other.token });
+    assert.equal(listed.body.total, 0);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function fundedUser(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  t.chain.fund(wallet.address, ethers.parseEther('1'));
+  return { token, address: wallet.address };
+}
+
+describe('nonce manager', () => {
+  let t;
+  let user;
+  let lost;
+
+  const send = () =>
+    t.api('POST', '/api/send', { token: user.token, body: { to: RECIPIENT, amount: '0.01' } });
+  const inspect = async () =>
+    (await t.api('GET', '/api/wallet/nonces', { token: user.token })).body;
+
+  before(async () => {
+    t = await startTestApp();
+    user = await fundedUser(t, 'zoe@example.com');
+  });
+
+  after(() => t.close());
+
+  it('hands concurrent sends consecutive nonces', async () => {
+    const sends = await Promise.all([send(), send(), send(), send()]);
+    assert.deepEqual(
+      sends.map((res) => res.status),
+      [200, 200, 200, 200]
+    );
+    assert.deepEqual(
+      sends.map((res) => res.body.nonce).sort(),
+      [0, 1, 2, 3]
+    );
+    assert.deepEqual(
+      t.chain.pending().map((tx) => tx.nonce).sort(),
+      [0, 1, 2, 3]
+    );
+
+    t.chain.mine();
+    assert.deepEqual(await inspect(), {
+      address: user.address,
+      chain: 'local',
+      latest_nonce: 4,
+      pending_nonce: 4,
+      next_nonce: 4,
+      gaps: [],
+      stuck_transaction: null,
+    });
+  });
+
+  it('flags a transaction holding up the queue for too long', async () => {
+    // The node takes the transaction but loses it
+    const { broadcastTransaction } = t.chain;
+    t.chain.broadcastTransaction = async (serialized) => ({
+      hash: ethers.Transaction.from(serialized).hash,
+    });
+    try {
+      lost = (await send()).body.transaction_hash;
+    } finally {
+      t.chain.broadcastTransaction = broadcastTransaction;
+    }
+
+    let state = await inspect();
+    assert.equal(state.next_nonce, 5);
+    assert.equal(state.stuck_transaction, null);
+
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    await t.store.transactions.update(lost, { created_at: hourAgo });
+    state = await inspect();
+    assert.equal(state.stuck_transaction, lost);
+  });
+
+  it('finds the gap a dropped transaction leaves and fills it', async () => {
+    assert.equal((await send()).body.nonce, 5);
+    await t.store.transactions.update(lost, { status: 'dropped' });
+
+    let state = await inspect();
+    assert.deepEqual(state.gaps, [4]);
+    assert.equal(state.next_nonce, 4);
+    assert.equal(state.stuck_transaction, null);
+
+    const { status, body } = await t.api('POST', '/api/wallet/nonces/repair', {
+      token: user.token,
+      body: { chain: 'local' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.filled.length, 1);
+    const [fill] = body.filled;
+    assert.equal(fill.nonce, 4);
+    assert.equal(fill.to, user.address);
+    assert.equal(fill.amount, '0');
+
+    const { body: entry } = await t.api('GET', `/api/transactions/${fill.transaction_hash}`, {
+      token: user.token,
+    });
+    assert.equal(entry.kind, 'nonce_fill');
+
+    t.chain.mine();
+    state = await inspect();
+    assert.equal(state.latest_nonce, 6);
+    assert.deepEqual(state.gaps, []);
+    assert.equal(t.chain.pending().length, 0);
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+import { createFakePara } from './fakes/para.js';
+import { loadConfig } from '../lib/config.js';
+import { createParaClient } from '../lib/para.js';
+import { createCircuitBreaker } from '../lib/circuit-breaker.js';
+import { logger } from '../lib/logger.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+describe('Para client', () => {
+  let para;
+
+  function client(env = {}) {
+    return createParaClient(
+      loadConfig({
+        CHAINS: 'local',
+        PARA_API_KEY: para.apiKey,
+        PARA_BASE_URL: para.url,
+        PARA_RETRY_BASE_MS: '1',
+        ...env,
+      })
+    );
+  }
+
+  // Requests Para saw since `from`, as "METHOD /path"
+  const seen = (from) => para.requests.slice(from).map((r) => `${r.method} ${r.path}`);
+
+  before(async () => {
+    logger.setLevel('silent');
+    para = createFakePara();
+    await para.listen();
+  });
+
+  after(() => para.close());
+
+  it('retries reads and signing through server errors', async () => {
+    const paraClient = client();
+    const wallet = await paraClient.createWallet('vera@example.com');
+
+    const from = para.requests.length;
+    para.failNext(2, 503);
+    assert.equal((await paraClient.getWallet(wallet.id)).id, wallet.id);
+    assert.equal(seen(from).length, 3);
+
+    para.failNext(1, 502);
+    const { signature } = await paraClient.signRaw(wallet.id, ethers.id('digest'));
+    assert.ok(signature);
+  });
+
+  it('gets back the wallet Para made when a creation\'s response is lost', async () => {
+    const from = para.requests.length;
+    para.dropNext();
+
+    const wallet = await client().createWallet('walt@example.com');
+    assert.deepEqual(seen(from), ['POST /wallets', 'POST /wallets', `GET /wallets/${wallet.id}`]);
+    assert.deepEqual(
+      [...para.wallets.values()]
+        .filter((w) => w.userIdentifier === 'walt@example.com')
+        .map((w) => w.id),
+      [wallet.id]
+    );
+
+    // Asking again is harmless too
+    assert.equal((await client().createWallet('walt@example.com')).id, wallet.id);
+  });
+
+  it('retries a wallet creation through server errors', async () => {
+    const from = para.requests.length;
+    para.failNext(1, 503);
+
+    const wallet = await client().createWallet('wes@example.com');
+    assert.ok(wallet.id);
+    assert.deepEqual(seen(from), ['POST /wallets', 'POST /wallets']);
+  });
+
+  it('retries a rate limited wallet creation', async () => {
+    const from = para.requests.length;
+    para.failNext(1, 429);
+
+    const wallet = await client().createWallet('wyn@example.com');
+    assert.ok(wallet.id);
+    assert.deepEqual(seen(from), ['POST /wallets', 'POST /wallets']);
+  });
+
+  it('gives up after PARA_MAX_RETRIES', async () => {
+    const from = para.requests.length;
+    para.failNext(3, 503);
+
+    const paraClient = client({ PARA_MAX_RETRIES: '2' });
+    await assert.rejects(paraClient.getWallet('any'), { code: 'PARA_UNAVAILABLE' });
+    assert.equal(seen(from).length, 3);
+  });
+
+  it('reports a rejected request as PARA_ERROR, without retrying', async () => {
+    const from = para.requests.length;
+
+    await assert.rejects(client().getWallet('missing'), (err) => {
+      assert.equal(err.code, 'PARA_ERROR');
+      assert.match(err.cause.message, /^Para API error \(404\): Wallet missing not found/);
+      return true;
+    });
+    assert.equal(seen(from).length, 1);
+  });
+
+  it('cuts off a call after PARA_TIMEOUT_MS', async () => {
+    // Takes requests and never answers
+    const silent = http.createServer(() => {});
+    await new Promise((resolve) => silent.listen(0, '127.0.0.1', resolve));
+    try {
+      const paraClient = client({
+        PARA_BASE_URL: `http://127.0.0.1:${silent.address().port}`,
+        PARA_TIMEOUT_MS: '50',
+        PARA_MAX_RETRIES: '0',
+      });
+      await assert.rejects(paraClient.getWallet('any'), (err) => {
+        assert.equal(err.code, 'PARA_UNAVAILABLE');
+        assert.equal(err.cause.message, 'Para request timed out after 50ms');
+        return true;
+      });
+    } finally {
+      silent.closeAllConnections();
+      await new Promise((resolve) => silent.close(resolve));
+    }
+  });
+
+  it('fails fast while the breaker is open, and closes it after a good trial call', async () => {
+    const paraClient = client({
+      PARA_MAX_RETRIES: '0',
+      PARA_BREAKER_THRESHOLD: '2',
+      PARA_BREAKER_COOLDOWN_MS: '50',
+    });
+    const wallet = await paraClient.createWallet('xena@example.com');
+
+    para.failNext(2, 503);
+    await assert.rejects(paraClient.getWallet(wallet.id), { code: 'PARA_UNAVAILABLE' });
+    await assert.rejects(paraClient.getWallet(wallet.id), { code: 'PARA_UNAVAILABLE' });
+
+    const from = para.requests.length;
+    await assert.rejects(paraClient.getWallet(wallet.id), (err) => {
+      assert.equal(err.code, 'PARA_UNAVAILABLE');
+      assert.match(err.cause.message, /circuit breaker is open/);
+      return true;
+    });
+    assert.equal(seen(from).length, 0);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.equal((await paraClient.getWallet(wallet.id)).id, wallet.id);
+    assert.equal((await paraClient.getWallet(wallet.id)).id, wallet.id);
+  });
+});
+
+describe('circuit breaker', () => {
+  it('lets one trial call through once the cooldown is over', async () => {
+    const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 20 });
+
+    breaker.failure();
+    assert.equal(breaker.state(), 'closed');
+    breaker.failure();
+    assert.equal(breaker.state(), 'open');
+    assert.equal(breaker.allow(), false);
+
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    assert.equal(breaker.state(), 'half-open');
+    assert.equal(breaker.allow(), true);
+    assert.equal(breaker.allow(), false);
+
+    // A failed trial opens it again straight away
+    breaker.failure();
+    assert.equal(breaker.state(), 'open');
+
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    assert.equal(breaker.allow(), true);
+    breaker.success();
+    assert.equal(breaker.state(), 'closed');
+    assert.equal(breaker.allow(), true);
+  });
+});
+
+describe('sending while Para is down', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t.close());
+
+  it('answers 503 and signs nothing until Para is back', async () => {
+    await t.api('POST', '/api/signup', { body: { email: 'yves@example.com', password: PASSWORD } });
+    const login = await t.api('POST', '/api/login', {
+      body: { email: 'yves@example.com', password: PASSWORD },
+    });
+    const token = login.body.access_token;
+
+    let wallet;
+    for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+      wallet = (await t.api('GET', '/api/wallet', { token })).body;
+    }
+    t.chain.fund(wallet.address, ethers.parseEther('1'));
+
+    // The first try and PARA_MAX_RETRIES (3) retries
+    t.para.failNext(4, 503);
+    const send = () =>
+      t.api('POST', '/api/send', { token, body: { to: RECIPIENT, amount: '0.1' } });
+
+    const { status, body } = await send();
+    assert.equal(status, 503);
+    assert.equal(body.code, 'PARA_UNAVAILABLE');
+    assert.equal(t.chain.pending().length, 0);
+    assert.equal((await t.api('GET', '/api/transactions', { token })).body.total, 0);
+
+    const retry = await send();
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.nonce, 0);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+const BLOCKED = ethers.getAddress(`0x${'d1'.repeat(20)}`);
+const SUSPECT = ethers.getAddress(`0x${'d2'.repeat(20)}`);
+
+async function fundedUser(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const { access_token: token, user_id: userId } = login.body;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  t.chain.fund(wallet.address, ethers.parseEther('5'));
+  return { token, userId };
+}
+
+describe('transfer policies', () => {
+  let t;
+
+  const sender = (token) => (amount, to = RECIPIENT) =>
+    t.api('POST', '/api/send', { token, body: { to, amount } });
+
+  before(async () => {
+    t = await startTestApp({
+      DEFAULT_POLICY: JSON.stringify({
+        max_per_tx: { ETH: '0.4' },
+        daily_limit: { ETH: '0.5' },
+        denylist: [BLOCKED],
+      }),
+    });
+  });
+
+  after(() => t.close());
+
+  it('refuses a send above max_per_tx, quoted or not', async () => {
+    const { token } = await fundedUser(t, 'nora@example.com');
+
+    const { status, body } = await sender(token)('0.45');
+    assert.equal(status, 403);
+    assert.equal(body.code, 'POLICY_DENIED');
+    assert.deepEqual(body.violations, [
+      {
+        rule: 'max_per_tx',
+        asset: 'ETH',
+        limit: '0.4',
+        requested: '0.45',
+        message: 'Amount exceeds the per-transaction limit of 0.4 ETH',
+      },
+    ]);
+
+    const quote = await t.api('POST', '/api/send/quote', {
+      token,
+      body: { to: RECIPIENT, amount: '0.45' },
+    });
+    assert.equal(quote.status, 403);
+    assert.equal(t.chain.pending().length, 0);
+  });
+
+  it('counts a sped-up send once towards the daily limit', async () => {
+    const { token } = await fundedUser(t, 'oscar@example.com');
+    const send = sender(token);
+
+    const first = await send('0.3');
+    assert.equal(first.status, 200);
+    const hash = first.body.transaction_hash;
+    const speedup = await t.api('POST', `/api/transactions/${hash}/speedup`, { token });
+    assert.equal(speedup.status, 200);
+
+    assert.equal((await send('0.15')).status, 200);
+
+    const { status, body } = await send('0.1');
+    assert.equal(status, 403);
+    assert.equal(body.code, 'POLICY_DENIED');
+    assert.equal(body.violations[0].rule, 'daily_limit');
+    assert.equal(body.violations[0].used, '0.45');
+  });
+
+  it('applies a user\'s own limits on top of the default', async () => {
+    const { token, userId } = await fundedUser(t, 'paula@example.com');
+    await t.store.policies.save(userId, {
+      daily_limit: { ETH: null },
+      weekly_limit: { ETH: '1' },
+    });
+    const send = sender(token);
+
+    assert.equal((await send('0.4')).status, 200);
+    assert.equal((await send('0.4')).status, 200);
+
+    const { status, body } = await send('0.3');
+    assert.equal(status, 403);
+    assert.deepEqual(
+      body.violations.map((violation) => [violation.rule, violation.used, violation.remaining]),
+      [['weekly_limit', '0.8', '0.2']]
+    );
+
+    const { body: policy } = await t.api('GET', '/api/policy', { token });
+    assert.deepEqual(policy.policy.daily_limit, {});
+    assert.deepEqual(policy.usage, [
+      { asset: 'ETH', weekly_limit: { limit: '1', used: '0.8', remaining: '0.2' } },
+    ]);
+  });
+
+  it('refuses denylisted recipients, from the default list and the user\'s', async () => {
+    const { token } = await fundedUser(t, 'quentin@example.com');
+    const send = sender(token);
+
+    const blocked = await send('0.01', BLOCKED);
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.violations[0].rule, 'denylist');
+
+    const added = await t.api('POST', '/api/policy/denylist', {
+      token,
+      body: { address: SUSPECT },
+    });
+    assert.equal(added.status, 200);
+    assert.equal((await send('0.01', SUSPECT)).status, 403);
+
+    const removed = await t.api('DELETE', `/api/policy/denylist/${SUSPECT}`, { token });
+    assert.equal(removed.status, 200);
+    assert.equal((await send('0.01', SUSPECT)).status, 200);
+
+    // Only operators can lift the default list
+    const { status, body } = await t.api('DELETE', `/api/policy/denylist/${BLOCKED}`, { token });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'POLICY_ENTRY_NOT_FOUND');
+  });
+
+  it('holds sends to new allowlist entries until the cooldown is over', async () => {
+    const { token, userId } = await fundedUser(t, 'rita@example.com');
+    await t.store.policies.save(userId, {
+      require_allowlist: true,
+      new_recipient_cooldown_hours: 24,
+    });
+    const send = sender(token);
+
+    const unlisted = await send('0.01');
+    assert.equal(unlisted.status, 403);
+    assert.equal(unlisted.body.violations[0].rule, 'allowlist');
+
+    const added = await t.api('POST', '/api/policy/allowlist', {
+      token,
+      body: { address: RECIPIENT, label: 'Landlord' },
+    });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.label, 'Landlord');
+
+    const cooling = await send('0.01');
+    assert.equal(cooling.status, 403);
+    assert.equal(cooling.body.violations[0].rule, 'recipient_cooldown');
+    const usableAt = new Date(added.body.added_at).getTime() + 24 * 60 * 60 * 1000;
+    assert.equal(cooling.body.violations[0].usable_at, new Date(usableAt).toISOString());
+
+    const policy = await t.store.policies.get(userId);
+    policy.allowlist[0].added_at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    await t.store.policies.save(userId, policy);
+    assert.equal((await send('0.01')).status, 200);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp, TEST_TOKEN } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function userWithWallet(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  return { token, address: wallet.address };
+}
+
+describe('fee quotes', () => {
+  let t;
+  let user;
+
+  const quote = (body) => t.api('POST', '/api/send/quote', { token: user.token, body });
+  const send = (body) => t.api('POST', '/api/send', { token: user.token, body });
+
+  before(async () => {
+    t = await startTestApp();
+    user = await userWithWallet(t, 'wendy@example.com');
+  });
+
+  after(() => t.close());
+
+  it('breaks down what an ETH send would cost', async () => {
+    t.chain.fund(user.address, ethers.parseEther('1.5'));
+
+    const { status, body } = await quote({ to: RECIPIENT, amount: '0.1' });
+    assert.equal(status, 200);
+    assert.ok(body.quote_id);
+    assert.ok(new Date(body.expires_at) > new Date());
+    assert.equal(body.chain, 'local');
+    assert.equal(body.token, 'ETH');
+    assert.equal(body.fee_tier, 'normal');
+    // Base fee 1 gwei and tip 1 gwei on the fake chain
+    assert.equal(body.gas_limit, '21000');
+    assert.equal(body.max_fee_per_gas, '3000000000');
+    assert.equal(body.max_priority_fee_per_gas, '1000000000');
+    assert.equal(body.expected_fee_eth, '0.000042');
+    assert.equal(body.max_fee_eth, '0.000063');
+    assert.equal(body.balance_eth, '1.5');
+    assert.equal(body.required_eth, '0.100063');
+    assert.equal(body.sufficient_funds, true);
+  });
+
+  it('prices each fee tier', async () => {
+    const slow = await quote({ to: RECIPIENT, amount: '0.1', fee_tier: 'slow' });
+    assert.equal(slow.body.max_fee_per_gas, '2050000000');
+    assert.equal(slow.body.max_priority_fee_per_gas, '800000000');
+
+    const fast = await quote({ to: RECIPIENT, amount: '0.1', fee_tier: 'fast' });
+    assert.equal(fast.body.max_fee_per_gas, '4500000000');
+    assert.equal(fast.body.max_priority_fee_per_gas, '1500000000');
+  });
+
+  it('adds headroom to the gas estimate of a token transfer', async () => {
+    t.chain.addToken(TEST_TOKEN.address, { [user.address]: 2_000_000n });
+
+    const { status, body } = await quote({
+      to: RECIPIENT,
+      amount: '1.5',
+      token: TEST_TOKEN.symbol,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.token, TEST_TOKEN.symbol);
+    assert.equal(body.token_balance, '2.0');
+    // 52000 estimated, plus 20%
+    assert.equal(body.gas_limit, '62400');
+  });
+
+  it('refuses a quote the wallet cannot pay for, with the breakdown', async () => {
+    const { status, body } = await quote({ to: RECIPIENT, amount: '1.5' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INSUFFICIENT_FUNDS');
+    assert.equal(body.balance_eth, '1.5');
+    assert.equal(body.required_eth, '1.500063');
+    assert.equal(body.sufficient_funds, false);
+  });
+
+  it('sends exactly what was quoted, once', async () => {
+    const { body: quoted } = await quote({ to: RECIPIENT, amount: '0.1', fee_tier: 'slow' });
+
+    // The rest of the body is ignored
+    const sent = await send({ quote_id: quoted.quote_id, amount: '0.2', fee_tier: 'fast' });
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.amount, '0.1');
+
+    const [tx] = t.chain.pending();
+    assert.equal(tx.hash, sent.body.transaction_hash);
+    assert.equal(tx.value, ethers.parseEther('0.1'));
+    assert.equal(tx.maxFeePerGas.toString(), quoted.max_fee_per_gas);
+
+    const again = await send({ quote_id: quoted.quote_id });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'QUOTE_USED');
+    assert.equal(t.chain.pending().length, 1);
+  });
+
+  it('checks the balance again when a quote is sent', async () => {
+    const { body: quoted } = await quote({ to: RECIPIENT, amount: '0.1' });
+    const balance = await t.chain.getBalance(user.address);
+    t.chain.fund(user.address, ethers.parseEther('0.05') - balance);
+
+    const { status, body } = await send({ quote_id: quoted.quote_id });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INSUFFICIENT_FUNDS');
+    assert.equal(body.balance_eth, '0.05');
+    assert.equal(body.required_eth, quoted.required_eth);
+    assert.equal(body.max_fee_per_gas, quoted.max_fee_per_gas);
+    assert.equal(body.sufficient_funds, false);
+    assert.equal(t.chain.pending().length, 1);
+
+    // The quote wasn't used up
+    t.chain.fund(user.address, ethers.parseEther('1'));
+    assert.equal((await send({ quote_id: quoted.quote_id })).status, 200);
+  });
+
+  it('checks the token balance again when a token quote is sent', async () => {
+    const { body: quoted } = await quote({ to: RECIPIENT, amount: '1', token: TEST_TOKEN.symbol });
+    t.chain.addToken(TEST_TOKEN.address, { [user.address]: 500_000n });
+
+    const { status, body } = await send({ quote_id: quoted.quote_id });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INSUFFICIENT_FUNDS');
+    assert.equal(body.token_balance, '0.5');
+    assert.equal(body.sufficient_funds, false);
+  });
+
+  it('keeps quotes to the user who asked for them', async () => {
+    const { body: quoted } = await quote({ to: RECIPIENT, amount: '0.1' });
+    const other = await userWithWallet(t, 'xavier@example.com');
+
+    const { status, body } = await t.api('POST', '/api/send', {
+      token: other.token,
+      body: { quote_id: quoted.quote_id },
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'QUOTE_NOT_FOUND');
+  });
+});
+
+describe('expired quotes', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ QUOTE_TTL_MS: '1' });
+  });
+
+  after(() => t.close());
+
+  it('refuses to send them', async () => {
+    const { token, address } = await userWithWallet(t, 'yara@example.com');
+    t.chain.fund(address, ethers.parseEther('1'));
+
+    const { body: quoted } = await t.api('POST', '/api/send/quote', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    const { status, body } = await t.api('POST', '/api/send', {
+      token,
+      body: { quote_id: quoted.quote_id },
+    });
+    assert.equal(status, 410);
+    assert.equal(body.code, 'QUOTE_EXPIRED');
+    assert.equal(t.chain.pending().length, 0);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+import { createRateLimiter, parseRateLimits } from '../lib/rate-limit.js';
+import { createMemoryRateLimitStore } from '../lib/stores/rate-limits.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+describe('rate limits', () => {
+  let t;
+  const tokens = {};
+
+  async function signup(email, headers = {}) {
+    return t.api('POST', '/api/signup', { body: { email, password: PASSWORD }, headers });
+  }
+
+  async function login(email, password = PASSWORD) {
+    return t.api('POST', '/api/login', { body: { email, password } });
+  }
+
+  async function fundedWallet(token) {
+    let wallet;
+    for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+      wallet = (await t.api('GET', '/api/wallet', { token })).body;
+    }
+    t.chain.fund(wallet.address, ethers.parseEther('1'));
+  }
+
+  before(async () => {
+    t = await startTestApp({
+      RATE_LIMITS: JSON.stringify({ signup: { ip: '3/1h', email: null }, send: { user: '1/1m' } }),
+      LOGIN_LOCKOUT_THRESHOLD: '3',
+      TRUST_PROXY: '1',
+    });
+    for (const email of ['judy@example.com', 'ken@example.com']) {
+      await signup(email);
+      tokens[email] = (await login(email)).body.access_token;
+      await fundedWallet(tokens[email]);
+    }
+  });
+
+  after(() => t.close());
+
+  it('locks an address out after repeated wrong passwords', async () => {
+    for (let i = 0; i < 3; i++) {
+      const { status, body } = await login('judy@example.com', 'wrong-password1');
+      assert.equal(status, 401);
+      assert.equal(body.code, 'INVALID_CREDENTIALS');
+    }
+
+    const { status, headers, body } = await login('judy@example.com');
+    assert.equal(status, 429);
+    assert.equal(body.code, 'LOGIN_LOCKED');
+    assert.equal(headers.get('retry-after'), '60');
+    assert.equal(body.retry_after, 60);
+
+    // Other addresses aren't affected
+    assert.equal((await login('ken@example.com')).status, 200);
+  });
+
+  it('throttles sends per user', async () => {
+    const send = (email) =>
+      t.api('POST', '/api/send', {
+        token: tokens[email],
+        body: { to: RECIPIENT, amount: '0.01' },
+      });
+
+    assert.equal((await send('ken@example.com')).status, 200);
+
+    const { status, headers, body } = await send('ken@example.com');
+    assert.equal(status, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.ok(Number(headers.get('retry-after')) <= 60);
+
+    assert.equal((await send('judy@example.com')).status, 200);
+  });
+
+  it('throttles signups per client IP', async () => {
+    assert.equal((await signup('liam@example.com')).status, 200);
+
+    const { status, headers, body } = await signup('mia@example.com');
+    assert.equal(status, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.ok(Number(headers.get('retry-after')) > 3500);
+    assert.equal(t.supabase.users.has('mia@example.com'), false);
+
+    // Behind the trusted proxy, the forwarded address is the client
+    const other = await signup('mia@example.com', { 'X-Forwarded-For': '203.0.113.9' });
+    assert.equal(other.status, 200);
+  });
+
+  it('counts wrong passwords given to enroll an authenticator app', async () => {
+    const enroll = (password) =>
+      t.api('POST', '/api/mfa/totp', { token: tokens['ken@example.com'], body: { password } });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await enroll('wrong-password1')).status, 401);
+    }
+
+    const locked = await enroll(PASSWORD);
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'LOGIN_LOCKED');
+    assert.equal((await login('ken@example.com')).body.code, 'LOGIN_LOCKED');
+  });
+});
+
+describe('login lockout', () => {
+  it('doubles the lock with each further failure, up to the maximum', async () => {
+    const memory = createMemoryRateLimitStore();
+    const locks = [];
+    const store = {
+      ...memory,
+      // Every lock has run out by the next attempt
+      get: async (key) => (key.startsWith('login:lock:') ? null : memory.get(key)),
+      hit: async (key, windowMs) => {
+        if (key.startsWith('login:lock:')) locks.push(windowMs);
+        return memory.hit(key, windowMs);
+      },
+    };
+    const limiter = createRateLimiter({
+      store,
+      config: {
+        loginLockout: { threshold: 3, baseMs: 1000, maxMs: 5000, failureWindowMs: 60 * 1000 },
+      },
+    });
+
+    for (let i = 0; i < 7; i++) await limiter.loginFailed('Nina@example.com');
+    assert.deepEqual(locks, [1000, 2000, 4000, 5000, 5000]);
+
+    await limiter.loginSucceeded('nina@example.com');
+    await limiter.loginFailed('nina@example.com');
+    assert.equal(locks.length, 5);
+  });
+});
+
+describe('RATE_LIMITS', () => {
+  it('overrides defaults and lifts budgets set to null', () => {
+    const limits = parseRateLimits('{"login": {"ip": "100/15m", "email": null}}');
+    assert.deepEqual(limits.login, { ip: { limit: 100, windowMs: 15 * 60 * 1000 } });
+    assert.deepEqual(limits.signup.ip, { limit: 5, windowMs: 60 * 60 * 1000 });
+    assert.deepEqual(parseRateLimits('off'), {});
+  });
+
+  it('rejects unknown routes and malformed budgets', () => {
+    assert.throws(() => parseRateLimits('{"logins": {"ip": "1/1m"}}'), /Unknown RATE_LIMITS route/);
+    assert.throws(() => parseRateLimits('{"login": {"ip": "ten"}}'), /Invalid RATE_LIMITS/);
+    assert.throws(() => parseRateLimits('{"send": {"wallet": "1/1m"}}'), /dimension/);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function fundedUser(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  t.chain.fund(wallet.address, ethers.parseEther('1'));
+  return { token, address: wallet.address };
+}
+
+describe('saved recipients', () => {
+  let t;
+  let user;
+  let other;
+  let landlord;
+
+  const save = (body, token = user.token) => t.api('POST', '/api/recipients', { token, body });
+
+  before(async () => {
+    t = await startTestApp();
+    user = await fundedUser(t, 'sam@example.com');
+    other = await fundedUser(t, 'tara@example.com');
+  });
+
+  after(() => t.close());
+
+  it('saves a recipient with its address checksummed', async () => {
+    const { status, body } = await save({
+      label: 'Landlord',
+      address: RECIPIENT.toLowerCase(),
+      chain: '31337',
+    });
+    assert.equal(status, 201);
+    assert.equal(body.label, 'Landlord');
+    assert.equal(body.address, RECIPIENT);
+    assert.equal(body.chain, 'local');
+    assert.equal(body.notes, null);
+    landlord = body;
+
+    const listed = await t.api('GET', '/api/recipients', { token: user.token });
+    assert.deepEqual(listed.body.recipients, [landlord]);
+    const fetched = await t.api('GET', `/api/recipients/${landlord.id}`, { token: user.token });
+    assert.deepEqual(fetched.body, landlord);
+  });
+
+  it('rejects a mixed-case address whose checksum is off', async () => {
+    const typo = RECIPIENT.replace('Cc', 'cc');
+    const { status, body } = await save({ label: 'Typo', address: typo });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_REQUEST');
+    assert.deepEqual(
+      body.fields.map((field) => field.field),
+      ['address']
+    );
+  });
+
+  it('keeps labels unique per user', async () => {
+    const taken = await save({ label: 'Landlord', address: RECIPIENT });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'RECIPIENT_LABEL_TAKEN');
+
+    const theirs = await save({ label: 'Landlord', address: RECIPIENT }, other.token);
+    assert.equal(theirs.status, 201);
+  });
+
+  it('updates only the fields given', async () => {
+    const path = `/api/recipients/${landlord.id}`;
+
+    const { status, body } = await t.api('PATCH', path, {
+      token: user.token,
+      body: { notes: 'Rent, on the 1st' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.notes, 'Rent, on the 1st');
+    assert.equal(body.label, 'Landlord');
+    assert.equal(body.address, RECIPIENT);
+
+    await save({ label: 'Plumber', address: RECIPIENT });
+    const renamed = await t.api('PATCH', path, { token: user.token, body: { label: 'Plumber' } });
+    assert.equal(renamed.status, 409);
+    assert.equal(renamed.body.code, 'RECIPIENT_LABEL_TAKEN');
+  });
+
+  it('pays a saved recipient by id', async () => {
+    const { status, body } = await t.api('POST', '/api/send', {
+      token: user.token,
+      body: { recipient_id: landlord.id, amount: '0.01' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.to, RECIPIENT);
+    assert.equal(body.chain, 'local');
+
+    const both = await t.api('POST', '/api/send', {
+      token: user.token,
+      body: { recipient_id: landlord.id, to: RECIPIENT, amount: '0.01' },
+    });
+    assert.equal(both.status, 400);
+    assert.equal(both.body.fields[0].field, 'recipient_id');
+
+    const theirs = await t.api('POST', '/api/send', {
+      token: other.token,
+      body: { recipient_id: landlord.id, amount: '0.01' },
+    });
+    assert.equal(theirs.status, 404);
+    assert.equal(theirs.body.code, 'RECIPIENT_NOT_FOUND');
+  });
+
+  it('hides and deletes recipients per user', async () => {
+    const path = `/api/recipients/${landlord.id}`;
+    assert.equal((await t.api('GET', path, { token: other.token })).status, 404);
+    assert.equal((await t.api('DELETE', path, { token: other.token })).status, 404);
+
+    const { status, body } = await t.api('DELETE', path, { token: user.token });
+    assert.equal(status, 200);
+    assert.deepEqual(body, { id: landlord.id, deleted: true });
+
+    const gone = await t.api('GET', path, { token: user.token });
+    assert.equal(gone.status, 404);
+    assert.equal(gone.body.code, 'RECIPIENT_NOT_FOUND');
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function userWithWallet(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  return { token, address: wallet.address };
+}
+
+describe('speedup and cancel', () => {
+  let t;
+  let replaced;
+  let canceller;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t.close());
+
+  const replace = (token, hash, mode) =>
+    t.api('POST', `/api/transactions/${hash}/${mode}`, { token });
+  const entry = async (token, hash) =>
+    (await t.api('GET', `/api/transactions/${hash}`, { token })).body;
+
+  it('speeds up a pending send with the same nonce and higher fees', async () => {
+    const { token, address } = await userWithWallet(t, 'nina@example.com');
+    t.chain.fund(address, ethers.parseEther('1'));
+
+    const send = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    const original = send.body.transaction_hash;
+    replaced = original;
+
+    const first = await replace(token, original, 'speedup');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.replaces, original);
+    assert.equal(first.body.nonce, 0);
+    // The fast tier beats the original's 3 gwei plus 20%
+    assert.equal(first.body.max_fee_per_gas, '4500000000');
+    assert.equal(first.body.max_priority_fee_per_gas, '1500000000');
+
+    const [pending] = t.chain.pending().filter((tx) => tx.from === address);
+    assert.equal(pending.hash, first.body.transaction_hash);
+    assert.equal(pending.to, RECIPIENT);
+    assert.equal(pending.value, ethers.parseEther('0.1'));
+
+    assert.equal((await entry(token, original)).replaced_by, first.body.transaction_hash);
+    const replacement = await entry(token, first.body.transaction_hash);
+    assert.equal(replacement.kind, 'speedup');
+    assert.equal(replacement.replaces_hash, original);
+
+    const again = await replace(token, original, 'speedup');
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'NOT_REPLACEABLE');
+
+    // Bumping the replacement raises its own fees by 20%
+    const second = await replace(token, first.body.transaction_hash, 'speedup');
+    assert.equal(second.status, 200);
+    assert.equal(second.body.max_fee_per_gas, '5400000000');
+    assert.equal(second.body.max_priority_fee_per_gas, '1800000000');
+
+    t.chain.mine();
+    await t.app.locals.tracker.poll();
+    assert.equal((await entry(token, original)).status, 'replaced');
+    assert.equal((await entry(token, first.body.transaction_hash)).status, 'replaced');
+    assert.equal((await entry(token, second.body.transaction_hash)).block_number, 1);
+
+    const mined = await replace(token, second.body.transaction_hash, 'speedup');
+    assert.equal(mined.status, 409);
+    assert.equal(mined.body.code, 'NOT_REPLACEABLE');
+  });
+
+  it('cancels a pending send with an empty transfer to the wallet itself', async () => {
+    const { token, address } = await userWithWallet(t, 'omar@example.com');
+    t.chain.fund(address, ethers.parseEther('1'));
+    canceller = { token, address };
+    const received = await t.chain.getBalance(RECIPIENT);
+
+    const send = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    const original = send.body.transaction_hash;
+
+    const { status, body } = await replace(token, original, 'cancel');
+    assert.equal(status, 200);
+    assert.equal(body.replaces, original);
+    assert.equal(body.to, address);
+    assert.equal(body.amount, '0');
+    assert.equal(body.nonce, send.body.nonce);
+    assert.equal((await entry(token, body.transaction_hash)).kind, 'cancel');
+
+    t.chain.mine();
+    await t.app.locals.tracker.poll();
+    assert.equal((await entry(token, original)).status, 'replaced');
+    assert.equal(await t.chain.getBalance(RECIPIENT), received);
+  });
+
+  it('lets only one of two concurrent speedups through', async () => {
+    // The canceller has funds left and nothing pending
+    const { token, address } = canceller;
+
+    const send = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    const original = send.body.transaction_hash;
+
+    const responses = await Promise.all([
+      replace(token, original, 'speedup'),
+      replace(token, original, 'speedup'),
+    ]);
+    assert.deepEqual(
+      responses.map((res) => res.status).sort(),
+      [200, 409]
+    );
+    const winner = responses.find((res) => res.status === 200);
+    assert.equal(responses.find((res) => res.status === 409).body.code, 'NOT_REPLACEABLE');
+    assert.equal((await entry(token, original)).replaced_by, winner.body.transaction_hash);
+    assert.deepEqual(
+      t.chain.pending()
+        .filter((tx) => tx.from === address)
+        .map((tx) => tx.hash),
+      [winner.body.transaction_hash]
+    );
+
+    t.chain.mine();
+    await t.app.locals.tracker.poll();
+  });
+
+  it('only replaces the caller\'s own transactions', async () => {
+    const { token } = await userWithWallet(t, 'pia@example.com');
+
+    const { status, body } = await replace(token, replaced, 'cancel');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'TRANSACTION_NOT_FOUND');
+  });
+
+  it('speeds up a legacy ledger entry on an EIP-1559 chain', async () => {
+    const { token, address } = await userWithWallet(t, 'quinn@example.com');
+    t.chain.fund(address, ethers.parseEther('1'));
+
+    const send = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    const hash = send.body.transaction_hash;
+    // As if it had been sent while the chain was configured as legacy
+    await t.store.transactions.update(hash, {
+      max_fee_per_gas: null,
+      max_priority_fee_per_gas: null,
+      gas_price: ethers.parseUnits('2', 'gwei').toString(),
+    });
+
+    const { status, body } = await replace(token, hash, 'speedup');
+    assert.equal(status, 200);
+    assert.equal(body.replaces, hash);
+    assert.equal(body.gas_price, null);
+    // The current fast tier: 3x the 1 gwei base fee plus 1.5x the 1 gwei tip
+    assert.equal(body.max_fee_per_gas, ethers.parseUnits('4.5', 'gwei').toString());
+    assert.deepEqual(
+      t.chain.pending().map((tx) => tx.hash),
+      [body.transaction_hash]
+    );
+  });
+
+  it('refuses a replacement the wallet cannot pay the higher fee for', async () => {
+    const { token, address } = await userWithWallet(t, 'rosa@example.com');
+    // 0.1 ETH plus the original's worst-case fee (21000 gas at 3 gwei), barely
+    t.chain.fund(address, ethers.parseEther('0.1') + ethers.parseUnits('70000', 'gwei'));
+
+    const send = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    assert.equal(send.status, 200);
+
+    const { status, body } = await replace(token, send.body.transaction_hash, 'speedup');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INSUFFICIENT_FUNDS');
+    assert.equal(body.sufficient_funds, false);
+    assert.equal(t.chain.pending().filter((tx) => tx.from === address).length, 1);
+  });
+});
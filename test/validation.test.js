@@ -0,0 +1,155 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestApp, TEST_TOKEN } from './harness.js';
+import * as v from '../lib/validation.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+async function fundedUser(t, email) {
+  await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+  const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+  const token = login.body.access_token;
+
+  let wallet;
+  for (let i = 0; i < 50 && wallet?.wallet_status !== 'ready'; i++) {
+    wallet = (await t.api('GET', '/api/wallet', { token })).body;
+  }
+  t.chain.fund(wallet.address, ethers.parseEther('1'));
+  return { token, address: wallet.address };
+}
+
+// -> [[field, message], ...] of an INVALID_REQUEST response
+function fieldsOf({ status, body }) {
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_REQUEST');
+  return body.fields.map(({ field, message }) => [field, message]);
+}
+
+describe('request validation', () => {
+  let t;
+  let user;
+
+  const send = (body) => t.api('POST', '/api/send', { token: user.token, body });
+
+  before(async () => {
+    t = await startTestApp();
+    user = await fundedUser(t, 'ugo@example.com');
+  });
+
+  after(() => t.close());
+
+  it('lists every bad field of a send, with the request id', async () => {
+    const res = await send({ to: '0x1234', amount: '0.1234567890123456789' });
+
+    assert.deepEqual(fieldsOf(res), [
+      ['to', 'to must be a valid 0x address (check for typos)'],
+      ['amount', 'amount must have at most 18 decimal places'],
+    ]);
+    assert.ok(res.body.request_id);
+    assert.equal(res.headers.get('x-request-id'), res.body.request_id);
+  });
+
+  it('wants an amount and a recipient', async () => {
+    assert.deepEqual(fieldsOf(await send({})), [
+      ['amount', 'amount is required'],
+      ['to', 'to (or recipient_id) is required'],
+    ]);
+    assert.deepEqual(fieldsOf(await send({ to: RECIPIENT, amount: '0' })), [
+      ['amount', 'amount must be greater than 0'],
+    ]);
+    assert.deepEqual(fieldsOf(await send({ to: RECIPIENT, amount: '-1' })), [
+      ['amount', 'amount must be a positive decimal number, e.g. "0.1"'],
+    ]);
+  });
+
+  it('refuses the zero address and the sender\'s own wallet', async () => {
+    assert.deepEqual(fieldsOf(await send({ to: ethers.ZeroAddress, amount: '0.1' })), [
+      ['to', 'to must not be the zero address'],
+    ]);
+    assert.deepEqual(fieldsOf(await send({ to: user.address.toLowerCase(), amount: '0.1' })), [
+      ['to', 'cannot send to your own wallet'],
+    ]);
+  });
+
+  it('holds token amounts to the token\'s decimals', async () => {
+    const res = await send({ to: RECIPIENT, amount: '1.1234567', token: TEST_TOKEN.symbol });
+    assert.deepEqual(fieldsOf(res), [
+      ['amount', 'amount has too many decimals for TUSD (max 6)'],
+    ]);
+
+    assert.deepEqual(fieldsOf(await send({ to: RECIPIENT, amount: '1', token: 'NOPE' })), [
+      ['token', 'unknown token on local: NOPE'],
+    ]);
+  });
+
+  it('checksums addresses and drops unknown fields', async () => {
+    const { status, body } = await send({
+      to: RECIPIENT.toLowerCase(),
+      amount: ' 0.01 ',
+      memo: 'ignored',
+    });
+    assert.equal(status, 200);
+    assert.equal(body.to, RECIPIENT);
+    assert.equal(body.amount, '0.01');
+  });
+
+  it('checks signups, query strings and path parameters', async () => {
+    const signup = await t.api('POST', '/api/signup', {
+      body: { email: 'not-an-email', password: 'password' },
+    });
+    assert.deepEqual(fieldsOf(signup), [
+      ['email', 'email must be a valid email address'],
+      ['password', 'password must contain at least one letter and one number'],
+    ]);
+
+    const listed = await t.api('GET', '/api/transactions?limit=0&status=pending,lost', {
+      token: user.token,
+    });
+    assert.deepEqual(
+      fieldsOf(listed).map(([field]) => field),
+      ['status', 'limit']
+    );
+
+    const fetched = await t.api('GET', '/api/transactions/0x1234', { token: user.token });
+    assert.deepEqual(fieldsOf(fetched), [
+      ['hash', 'hash must be a 0x-prefixed 32-byte transaction hash'],
+    ]);
+  });
+});
+
+describe('validators', () => {
+  // -> the cleaned value, or the message it was refused with
+  function check(validator, value) {
+    try {
+      return validator(value);
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  it('accepts lowercase addresses and refuses bad checksums', () => {
+    assert.equal(check(v.address(), RECIPIENT.toLowerCase()), RECIPIENT);
+    assert.equal(
+      check(v.address(), RECIPIENT.replace('Cc', 'cc')),
+      'must be a valid 0x address (check for typos)'
+    );
+  });
+
+  it('leaves missing optional fields to their fallback', () => {
+    assert.equal(check(v.optional(v.integer(), 20), ''), 20);
+    assert.equal(check(v.nullable(v.string()), ''), null);
+    assert.equal(check(v.string(), '   '), 'is required');
+  });
+
+  it('parses lists, integers and dates', () => {
+    assert.deepEqual(check(v.list(v.oneOf(['a', 'b'])), 'a, b'), ['a', 'b']);
+    assert.equal(
+      check(v.integer({ min: 1, max: 100 }), '101'),
+      'must be an integer between 1 and 100'
+    );
+    assert.equal(check(v.date(), 'yesterday'), 'must be an ISO 8601 date');
+    assert.equal(check(v.otp(), '123 456'), '123456');
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { startTestApp } from './harness.js';
+import { signPayload } from '../lib/webhooks.js';
+
+const PASSWORD = 'password123';
+const RECIPIENT = '0x742d35Cc6634C0532925a3b844bc9E7595f42e2e';
+
+// Local HTTP receiver: records every request and answers with `status`
+async function startReceiver() {
+  const received = [];
+  const receiver = { received, status: 200 };
+
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    received.push({ headers: req.headers, body, event: JSON.parse(body) });
+    res.writeHead(receiver.status);
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  receiver.url = `http://127.0.0.1:${server.address().port}/hooks`;
+  receiver.close = () => new Promise((resolve) => server.close(resolve));
+  return receiver;
+}
+
+// Wait until `count` requests have arrived
+async function waitFor(receiver, count) {
+  for (let i = 0; i < 100 && receiver.received.length < count; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.equal(receiver.received.length, count);
+  return receiver.received.at(-1);
+}
+
+describe('webhooks', () => {
+  let t;
+  let receiver;
+  let token;
+  let webhook;
+
+  before(async () => {
+    t = await startTestApp({ WEBHOOK_MAX_ATTEMPTS: '2', WEBHOOK_RETRY_BASE_MS: '1' });
+    receiver = await startReceiver();
+  });
+
+  after(async () => {
+    await t.close();
+    await receiver.close();
+  });
+
+  it('registers an endpoint and shows its secret once', async () => {
+    const email = 'erin@example.com';
+    await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+    const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+    token = login.body.access_token;
+
+    const created = await t.api('POST', '/api/webhooks', {
+      token,
+      body: { url: receiver.url, events: ['transaction.broadcast', 'transaction.confirmed'] },
+    });
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^whsec_/);
+    webhook = created.body;
+
+    const fetched = await t.api('GET', `/api/webhooks/${webhook.id}`, { token });
+    assert.equal(fetched.body.url, receiver.url);
+    assert.equal(fetched.body.secret, undefined);
+  });
+
+  it('rejects unknown events and non-http URLs', async () => {
+    const { status, body } = await t.api('POST', '/api/webhooks', {
+      token,
+      body: { url: 'ftp://example.com', events: ['wallet.deleted'] },
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.fields.map((f) => f.field).sort(), ['events', 'url']);
+  });
+
+  it('sends signed transaction.broadcast and transaction.confirmed events', async () => {
+    const wallet = await t.api('GET', '/api/wallet', { token });
+    t.chain.fund(wallet.body.address, ethers.parseEther('1'));
+
+    const send = await t.api('POST', '/api/send', {
+      token,
+      body: { to: RECIPIENT, amount: '0.1' },
+    });
+    assert.equal(send.status, 200);
+
+    const broadcast = await waitFor(receiver, 1);
+    assert.equal(broadcast.event.type, 'transaction.broadcast');
+    assert.equal(broadcast.event.data.hash, send.body.transaction_hash);
+    assert.equal(broadcast.headers['x-webhook-event'], 'transaction.broadcast');
+    assert.equal(broadcast.headers['x-webhook-id'], broadcast.event.id);
+
+    const [, timestamp, signature] = broadcast.headers['x-webhook-signature'].match(
+      /^t=(\d+),v1=([0-9a-f]{64})$/
+    );
+    assert.equal(signature, signPayload(webhook.secret, timestamp, broadcast.body));
+
+    t.chain.mine(t.config.confirmationBlocks);
+    await t.app.locals.tracker.poll();
+
+    const confirmed = await waitFor(receiver, 2);
+    assert.equal(confirmed.event.type, 'transaction.confirmed');
+    assert.equal(confirmed.event.data.status, 'confirmed');
+  });
+
+  it('retries a failing endpoint, gives up, and replays on request', async () => {
+    receiver.status = 500;
+    await t.api('POST', '/api/send', { token, body: { to: RECIPIENT, amount: '0.1' } });
+    await waitFor(receiver, 3);
+
+    // The retry is due almost at once (WEBHOOK_RETRY_BASE_MS=1)
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await t.app.locals.webhooks.poll();
+    await waitFor(receiver, 4);
+
+    const log = await t.api('GET', `/api/webhooks/${webhook.id}/deliveries`, { token });
+    const [failed] = log.body.deliveries;
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.response_status, 500);
+
+    receiver.status = 204;
+    const replayed = await t.api(
+      'POST',
+      `/api/webhooks/${webhook.id}/deliveries/${failed.id}/replay`,
+      { token }
+    );
+    assert.equal(replayed.status, 200);
+    assert.equal(replayed.body.status, 'delivered');
+    assert.equal((await waitFor(receiver, 5)).event.id, failed.event_id);
+  });
+
+  it('delivers every user\'s events to operator endpoints', async () => {
+    await t.store.webhooks.create({
+      id: crypto.randomUUID(),
+      user_id: null,
+      url: receiver.url,
+      secret: 'whsec_operator',
+      events: ['wallet.created'],
+    });
+
+    const count = receiver.received.length;
+    await t.api('POST', '/api/signup', {
+      body: { email: 'frank@example.com', password: PASSWORD },
+    });
+
+    const created = await waitFor(receiver, count + 1);
+    assert.equal(created.event.type, 'wallet.created');
+    assert.ok(ethers.isAddress(created.event.data.address));
+  });
+
+  it('hides other users\' endpoints', async () => {
+    const email = 'grace@example.com';
+    await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+    const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+
+    const { status, body } = await t.api('GET', `/api/webhooks/${webhook.id}`, {
+      token: login.body.access_token,
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'WEBHOOK_NOT_FOUND');
+  });
+});
+
+describe('webhook URLs', () => {
+  let t;
+  let token;
+
+  before(async () => {
+    t = await startTestApp({ WEBHOOK_ALLOW_HTTP: 'false', WEBHOOK_ALLOW_PRIVATE_URLS: 'false' });
+    const email = 'hana@example.com';
+    await t.api('POST', '/api/signup', { body: { email, password: PASSWORD } });
+    const login = await t.api('POST', '/api/login', { body: { email, password: PASSWORD } });
+    token = login.body.access_token;
+  });
+
+  after(() => t.close());
+
+  const register = (url) => t.api('POST', '/api/webhooks', { token, body: { url } });
+
+  it('wants https', async () => {
+    const { status, body } = await register('http://93.184.216.34/hooks');
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].message, 'url must be an https URL');
+  });
+
+  it('refuses local, private and link-local addresses', async () => {
+    for (const url of [
+      'https://127.0.0.1/hooks',
+      'https://localhost:8443/hooks',
+      'https://10.1.2.3/hooks',
+      'https://192.168.0.10/hooks',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/hooks',
+      'https://[::ffff:127.0.0.1]/hooks',
+      'https://[fd00::1]/hooks',
+    ]) {
+      const { status, body } = await register(url);
+      assert.equal(status, 400, url);
+      assert.equal(body.fields[0].message, 'url must not point to a private or local address');
+    }
+
+    const { body: created } = await register('https://93.184.216.34/hooks');
+    const moved = await t.api('PATCH', `/api/webhooks/${created.id}`, {
+      token,
+      body: { url: 'https://127.0.0.1/hooks' },
+    });
+    assert.equal(moved.status, 400);
+  });
+
+  it('accepts a public address', async () => {
+    const { status, body } = await register('https://93.184.216.34/hooks');
+    assert.equal(status, 201);
+    assert.equal(body.url, 'https://93.184.216.34/hooks');
+  });
+
+  it('refuses to deliver to endpoints that point inwards', async () => {
+    const endpoints = [];
+    for (const url of ['https://169.254.169.254/hooks', 'https://localhost:8443/hooks']) {
+      endpoints.push(
+        await t.store.webhooks.create({
+          id: crypto.randomUUID(),
+          user_id: null,
+          url,
+          secret: 'whsec_stale',
+          events: ['deposit.received'],
+        })
+      );
+    }
+
+    const deliveries = await t.app.locals.webhooks.emit(null, 'deposit.received', {});
+    assert.equal(deliveries.length, 2);
+
+    for (const [i, endpoint] of endpoints.entries()) {
+      let delivery;
+      for (let attempt = 0; attempt < 100 && !delivery?.attempts; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        delivery = await t.store.deliveries.get(endpoint.id, deliveries[i].id);
+      }
+      assert.equal(delivery.response_status, null);
+      assert.match(delivery.last_error, /private or local address/);
+    }
+  });
+});